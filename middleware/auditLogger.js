@@ -1,4 +1,20 @@
 import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+
+/**
+ * Organization of an audited request: the one tenantIsolation selected, the
+ * token's, or for logins and signups the user's with that email
+ */
+const resolveOrganizationId = async (req, email) => {
+  if (req?.organizationId || req?.user?.organizationId) {
+    return req.organizationId || req.user.organizationId;
+  }
+  if (!email || email === 'anonymous') {
+    return null;
+  }
+  const user = await User.findOne({ email: String(email).toLowerCase() }).select('organizationId');
+  return user?.organizationId || null;
+};
 
 /**
  * Middleware to automatically log all requests
@@ -26,6 +42,7 @@ export const auditLogger = (action, resourceType) => {
           const userEmail = req.user?.email || req.body?.email || 'anonymous';
           
           await AuditLog.logAction({
+            organizationId: await resolveOrganizationId(req, userEmail),
             userId: req.user?.userId || null,
             userEmail,
             action: req.auditAction || action,
@@ -75,6 +92,7 @@ export const setAuditResource = (req, resourceId, resourceName) => {
 export const logFailedAuth = async (email, ipAddress, userAgent, reason) => {
   try {
     await AuditLog.logAction({
+      organizationId: await resolveOrganizationId(null, email),
       userId: null,
       userEmail: email,
       action: 'login_failed',
@@ -98,6 +116,7 @@ export const logFailedAuth = async (email, ipAddress, userAgent, reason) => {
 export const logRateLimitExceeded = async (req) => {
   try {
     await AuditLog.logAction({
+      organizationId: req.organizationId || req.user?.organizationId || null,
       userId: req.user?.userId,
       userEmail: req.user?.email || 'anonymous',
       action: 'rate_limit_exceeded',
@@ -123,6 +142,7 @@ export const logRateLimitExceeded = async (req) => {
 export const logValidationError = async (req, errors) => {
   try {
     await AuditLog.logAction({
+      organizationId: req.organizationId || req.user?.organizationId || null,
       userId: req.user?.userId,
       userEmail: req.user?.email || 'anonymous',
       action: 'validation_failed',
@@ -144,6 +164,7 @@ export const logValidationError = async (req, errors) => {
 export const logUnauthorizedAccess = async (req, reason) => {
   try {
     await AuditLog.logAction({
+      organizationId: req.organizationId || req.user?.organizationId || null,
       userId: req.user?.userId,
       userEmail: req.user?.email || 'anonymous',
       action: 'unauthorized_access',
@@ -160,4 +181,28 @@ export const logUnauthorizedAccess = async (req, reason) => {
   }
 };
 
+/**
+ * Log a request rejected by an organization's IP allowlist
+ */
+export const logIpAccessDenied = async (req, organizationId) => {
+  try {
+    await AuditLog.logAction({
+      organizationId,
+      userId: req.user?.userId,
+      userEmail: req.user?.email || 'anonymous',
+      action: 'ip_access_denied',
+      resourceType: 'organization',
+      resourceId: organizationId.toString(),
+      method: req.method,
+      endpoint: req.originalUrl,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent'),
+      status: 'failure',
+      errorMessage: 'IP address not in the organization allowlist'
+    });
+  } catch (error) {
+    console.error('Failed to log denied IP access:', error);
+  }
+};
+
 export default auditLogger;
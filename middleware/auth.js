@@ -1,21 +1,42 @@
 import jwt from 'jsonwebtoken';
+import { enforceOrganizationPolicies } from './tenantIsolation.js';
 
-export const authMiddleware = (req, res, next) => {
+// Also applies the policies of the user's organizations (see
+// enforceOrganizationPolicies), so routes without tenantIsolation are covered
+const authenticate = ({ requireMfa = true } = {}) => async (req, res, next) => {
   const token = req.headers.authorization?.replace('Bearer ', '');
 
   if (!token) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = {
-      userId: decoded.userId,
-      email: decoded.email,
-      organizationId: decoded.organizationId || null
-    };
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  // Tokens of an unfinished login (password verified, MFA pending) are not sessions
+  if (decoded.type) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+
+  req.user = {
+    userId: decoded.userId,
+    email: decoded.email,
+    organizationId: decoded.organizationId || null,
+    // Signed in with an authenticator or recovery code
+    mfa: decoded.mfa === true
+  };
+
+  if (await enforceOrganizationPolicies(req, res, { requireMfa })) {
+    next();
+  }
 };
+
+export const authMiddleware = authenticate();
+
+// Setting up an authenticator app, which sessions from before the
+// organization required MFA must still be able to do
+export const mfaSetupAuthMiddleware = authenticate({ requireMfa: false });
@@ -103,3 +103,18 @@ export const syncLimiter = DISABLE_RATE_LIMIT
         return req.user?.userId || req.ip;
       }
     });
+
+// GitHub webhook limiter - 120 deliveries per minute per application. Always on:
+// the endpoint is unauthenticated and verifies a signature over up to 5 MB.
+// Keyed by application since GitHub delivers from shared addresses.
+export const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 120,
+  keyGenerator: (req) => req.params.applicationId,
+  handler: (req, res) => {
+    res.status(429).json({
+      error: 'Too many webhook deliveries for this application, please try again later.',
+      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
+    });
+  }
+});
@@ -1,5 +1,6 @@
 import helmet from 'helmet';
 import mongoSanitize from 'express-mongo-sanitize';
+import { isIpAllowed } from '../utils/ipAllowlist.js';
 
 /**
  * Helmet configuration for security headers
@@ -124,7 +125,8 @@ export const securityHeaders = (req, res, next) => {
 };
 
 /**
- * IP whitelist middleware (optional)
+ * IP whitelist middleware (optional): addresses or CIDR ranges, IPv4 or IPv6.
+ * Organizations' own allowlists are applied by authMiddleware.
  */
 export const ipWhitelist = (whitelist = []) => {
   return (req, res, next) => {
@@ -134,7 +136,7 @@ export const ipWhitelist = (whitelist = []) => {
     
     const clientIp = req.ip || req.connection.remoteAddress;
     
-    if (whitelist.includes(clientIp)) {
+    if (isIpAllowed(clientIp, whitelist)) {
       next();
     } else {
       res.status(403).json({
@@ -1,4 +1,7 @@
+import mongoose from 'mongoose';
 import Organization from '../models/Organization.js';
+import { logIpAccessDenied } from './auditLogger.js';
+import { isIpAllowed } from '../utils/ipAllowlist.js';
 
 /**
  * Tenant Isolation Middleware
@@ -63,6 +66,64 @@ export const tenantIsolation = async (req, res, next) => {
   }
 };
 
+/**
+ * Policies of the organizations a request acts for, the selected one
+ * (X-Organization-Id) and the session's. Called by authMiddleware for every
+ * authenticated request.
+ * @returns {Promise<boolean>} - false when the request was rejected
+ */
+export const enforceOrganizationPolicies = async (req, res, { requireMfa = true } = {}) => {
+  const ids = [...new Set([req.headers['x-organization-id'], req.user.organizationId].filter(Boolean).map(String))]
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  if (ids.length === 0) {
+    return true;
+  }
+
+  try {
+    const organizations = await Organization.find({
+      _id: { $in: ids },
+      isActive: true,
+      $or: [
+        { ownerId: req.user.userId },
+        { 'members.userId': req.user.userId }
+      ]
+    }).select('settings.ipWhitelist settings.requireMFA');
+
+    for (const organization of organizations) {
+      // req.ip is the client address as resolved with the 'trust proxy' setting
+      if (!isIpAllowed(req.ip, organization.settings?.ipWhitelist)) {
+        await logIpAccessDenied(req, organization._id);
+        res.status(403).json({
+          error: 'Access denied from your IP address',
+          code: 'IP_NOT_ALLOWED',
+          message: `${req.ip} is not in this organization's IP allowlist`
+        });
+        return false;
+      }
+
+      // Sessions that did not sign in with an authenticator code, e.g. from before MFA was required
+      if (requireMfa && organization.settings?.requireMFA && !req.user.mfa) {
+        res.status(403).json({
+          error: 'MFA required',
+          code: 'MFA_REQUIRED',
+          message: 'This organization requires two-factor authentication. Set up an authenticator app and sign in again.'
+        });
+        return false;
+      }
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Organization policy check error:', error);
+    res.status(500).json({
+      error: 'Organization policy check failed',
+      message: error.message
+    });
+    return false;
+  }
+};
+
 /**
  * Check if user has required role
  */
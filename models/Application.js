@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { encrypt, decrypt, isEncrypted } from '../utils/encryption.js';
 
 const applicationSchema = new mongoose.Schema({
   userId: {
@@ -32,10 +33,46 @@ const applicationSchema = new mongoose.Schema({
     startCommand: String,
     appType: {
       type: String,
-      enum: ['nodejs', 'react', 'nextjs', 'python', 'static', 'auto']
+      enum: [
+        'nodejs', 'react', 'nextjs', 'vite', 'vue', 'angular',
+        'python', 'django', 'fastapi', 'flask',
+        'go', 'java-maven', 'java-gradle', 'ruby', 'rails', 'php', 'laravel', 'dotnet',
+        'static', 'dockerfile', 'auto'
+      ]
     },
-    token: String, // GitHub Personal Access Token for private repos
-    isPrivate: { type: Boolean, default: false }
+    // Type found by the last build when appType is auto
+    detectedAppType: String,
+    // Monorepos: folder holding the application, relative to the repository root
+    rootDirectory: { type: String, default: '', trim: true },
+    token: String, // GitHub Personal Access Token for private repos (encrypted)
+    isPrivate: { type: Boolean, default: false },
+    // Push webhook: HMAC secret (encrypted, never returned by the API) and
+    // whether pushes to `branch` deploy automatically
+    webhookSecret: { type: String, select: false },
+    autoDeploy: { type: Boolean, default: true },
+    // Pull request preview environments (pull_request webhook events)
+    previews: {
+      enabled: { type: Boolean, default: false },
+      // Build pull requests from forks too (runs code from outside the repository)
+      allowForks: { type: Boolean, default: false }
+    }
+  },
+  
+  // Set on preview environments, which are torn down when the pull request closes
+  preview: {
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application',
+      default: null
+    },
+    pullRequestNumber: Number,
+    pullRequestUrl: String,
+    title: String,
+    author: String,
+    headBranch: String,
+    headSha: String,
+    // Pull request from a fork: nothing is inherited from the parent
+    fromFork: { type: Boolean, default: false }
   },
   
   // Docker Configuration
@@ -45,6 +82,15 @@ const applicationSchema = new mongoose.Schema({
     tag: { type: String, default: 'latest' }
   },
   
+  // Build cache of GitHub deployments: the clone and image layers of the
+  // previous build are reused, dependency layers are keyed by lockfile hash
+  build: {
+    cacheEnabled: { type: Boolean, default: true },
+    dependencyHash: String,
+    // Stage durations and cache hits of the last build (same shape as Release.build)
+    lastMetrics: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  
   // Runtime Configuration
   runtime: {
     port: { type: Number, default: 3000 },
@@ -54,7 +100,13 @@ const applicationSchema = new mongoose.Schema({
       type: Map,
       of: String,
       default: {}
-    }
+    },
+    // Shared env vars of the organization. Later groups override earlier ones,
+    // environmentVariables override all groups.
+    environmentGroups: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EnvironmentGroup'
+    }]
   },
   
   // Deployment Target
@@ -64,11 +116,25 @@ const applicationSchema = new mongoose.Schema({
     default: 'ecs'
   },
   
+  // How ECS redeploys replace the running version
+  deploymentStrategy: {
+    // rolling: replace tasks in place, blue_green: start a second service and switch the listener
+    type: { type: String, enum: ['rolling', 'blue_green'], default: 'rolling' },
+    // Rolling only, percentages of the desired task count
+    minimumHealthyPercent: { type: Number, min: 0, max: 100, default: 100 },
+    maximumPercent: { type: Number, min: 100, max: 200, default: 200 },
+    // Target health is watched this long after a deploy, failures roll back (0 disables)
+    rollbackWindowSeconds: { type: Number, min: 0, max: 3600, default: 120 }
+  },
+  
   // EC2 Deployment (if deploymentTarget is 'ec2')
   ec2: {
     instanceId: String,
     publicIp: String,
-    privateIp: String
+    privateIp: String,
+    // Port published on the instance when it differs from runtime.port (previews)
+    hostPort: Number,
+    containerName: String
   },
   
   // AWS Resources
@@ -88,32 +154,116 @@ const applicationSchema = new mongoose.Schema({
     loadBalancerArn: String,
     loadBalancerDns: String,
     targetGroupArn: String,
+    listenerArn: String,
+    // Port 443 listener, created for the first custom domain
+    httpsListenerArn: String,
+    // Blue/green: color of the service receiving traffic
+    activeColor: { type: String, enum: ['blue', 'green'], default: 'blue' },
     securityGroupId: String
   },
   
   // Status & Monitoring
+  // degraded and down are set by health checks of a running application
   status: {
     type: String,
-    enum: ['pending', 'cloning', 'building', 'pushing', 'deploying', 'running', 'stopped', 'failed', 'error'],
+    enum: ['pending', 'cloning', 'building', 'pushing', 'deploying', 'running', 'degraded', 'down', 'stopped', 'failed', 'error'],
     default: 'pending'
   },
   url: String,
   
+  // HTTP health checks of the deployed url (utils/healthMonitor.js)
+  healthCheck: {
+    enabled: { type: Boolean, default: true },
+    path: { type: String, default: '/' },
+    // Status codes counted as healthy: a code (200) or a range (200-399)
+    expectedStatus: { type: String, default: '200-399', match: /^\d{3}(-\d{3})?$/ },
+    intervalSeconds: { type: Number, default: 60, min: 10, max: 3600 },
+    timeoutSeconds: { type: Number, default: 5, min: 1, max: 60 },
+    // Failed checks in a row before the application is down (degraded before that)
+    failureThreshold: { type: Number, default: 3, min: 1, max: 10 },
+    // Slower successful responses mark the application degraded
+    degradedLatencyMs: { type: Number, default: 2000, min: 100 },
+    consecutiveFailures: { type: Number, default: 0 },
+    lastCheckedAt: Date,
+    nextCheckAt: Date
+  },
+  
+  // Custom hostnames served over HTTPS by the load balancer (ECS only).
+  // pending_validation: waiting for the DNS validation record, issued: certificate
+  // ready and waiting for a deploy, active: serving traffic, failed: validation failed
+  domains: [{
+    hostname: { type: String, required: true, lowercase: true, trim: true },
+    status: {
+      type: String,
+      enum: ['pending_validation', 'issued', 'active', 'failed'],
+      default: 'pending_validation'
+    },
+    certificateArn: String,
+    validationRecords: [{
+      _id: false,
+      name: String,
+      type: { type: String },
+      value: String
+    }],
+    errorMessage: String,
+    lastCheckedAt: Date,
+    verifiedAt: Date,
+    createdAt: { type: Date, default: Date.now }
+  }],
+  
   // Logs & History
   buildLogs: [String],
   deploymentLogs: [String],
   errorMessage: String,
   lastDeployedAt: Date,
+  // Release currently deployed (models/Release.js)
+  currentReleaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Release',
+    default: null
+  },
   
   // Metadata
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
+// One preview environment per pull request
+applicationSchema.index(
+  { 'preview.parentId': 1, 'preview.pullRequestNumber': 1 },
+  { unique: true, partialFilterExpression: { 'preview.parentId': { $type: 'objectId' } } }
+);
+
 // Update timestamp on save
 applicationSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
-  next();
+  
+  try {
+    // GitHub tokens are stored encrypted like AWS keys
+    if (this.github?.token && !isEncrypted(this.github.token)) {
+      this.github.token = encrypt(this.github.token);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Decrypted GitHub token for cloning (tokens saved before encryption are plain)
+applicationSchema.methods.getGitHubToken = function() {
+  const token = this.github?.token;
+  return token && isEncrypted(token) ? decrypt(token) : token || null;
+};
+
+// Never return the GitHub token, only whether there is one
+applicationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.github) {
+      ret.github.hasToken = !!ret.github.token;
+      delete ret.github.token;
+    }
+    return ret;
+  }
 });
 
 const Application = mongoose.model('Application', applicationSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Signed head of an organization's audit log chain (utils/auditChain.js).
+// Checkpoints are kept after their entries expire: they prove how far the
+// chain went and which hash it had at that point.
+const auditCheckpointSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  // hash and expiresAt of the audit log entry at sequence
+  hash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // HMAC-SHA256 of the fields above with AUDIT_CHECKPOINT_SECRET
+  signature: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditCheckpointSchema.index({ organizationId: 1, sequence: 1 }, { unique: true });
+
+export default mongoose.model('AuditCheckpoint', auditCheckpointSchema);
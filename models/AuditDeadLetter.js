@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Audit log entry a sink kept failing to take. The entry is copied so it can
+// be redelivered after the original expires.
+const auditDeadLetterSchema = new mongoose.Schema({
+  sinkId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditSink',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  auditLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AuditLog'
+  },
+  sequence: Number,
+  // Serialized entry, as sent to the sink
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  error: String,
+  attempts: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditDeadLetterSchema.index({ sinkId: 1, sequence: 1 });
+auditDeadLetterSchema.index({ organizationId: 1, createdAt: -1 });
+
+export default mongoose.model('AuditDeadLetter', auditDeadLetterSchema);
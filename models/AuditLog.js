@@ -1,6 +1,21 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import Organization from './Organization.js';
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// previousHash of the first entry of an organization's chain
+export const GENESIS_HASH = '0'.repeat(64);
 
 const auditLogSchema = new mongoose.Schema({
+  // Organization the action happened in (null for unauthenticated requests of unknown users)
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  
   // User information
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -20,15 +35,29 @@ const auditLogSchema = new mongoose.Schema({
     enum: [
       // Authentication
       'signup','signup_verified', 'login', 'logout', 'login_failed', 'otp_requested', 'otp_verified','password_login', 'password_reset',
+      'mfa_enabled', 'mfa_disabled', 'mfa_recovery_codes_regenerated',
       // AWS Accounts
       'aws_account_added', 'aws_account_updated', 'aws_account_deleted', 'aws_account_verified',
       // Deployments
-      'deployment_created', 'deployment_completed', 'deployment_failed', 
+      'deployment_created', 'deployment_planned', 'deployment_approved', 'deployment_completed', 'deployment_failed', 
       'deployment_destroyed', 'deployment_destroy_failed', 'deployment_deleted',
+      'deployment_from_template', 'terraform_state_unlocked',
       // Sync
       'sync_initiated', 'sync_completed', 'sync_failed',
+      // Organization
+      'organization_settings_updated', 'member_added', 'member_removed', 'member_domain_rejected', 'ip_access_denied',
+      // Billing
+      'subscription_created', 'subscription_updated', 'subscription_cancelled', 'payment_method_updated',
+      // Templates
+      'template_created', 'template_updated', 'template_deleted',
       // Profile
       'profile_updated', 'profile_photo_updated',
+      // Secrets (values are never logged)
+      'secret_created', 'secret_updated', 'secret_deleted', 'secret_accessed',
+      // Environment groups
+      'environment_group_created', 'environment_group_updated', 'environment_group_deleted', 'environment_group_redeployed',
+      // Audit logs
+      'audit_logs_exported', 'audit_sink_created', 'audit_sink_updated', 'audit_sink_deleted', 'audit_sink_redelivered',
       // Security
       'unauthorized_access', 'rate_limit_exceeded', 'validation_failed'
     ],
@@ -38,7 +67,8 @@ const auditLogSchema = new mongoose.Schema({
   // Resource details
   resourceType: {
     type: String,
-    enum: ['user', 'aws_account', 'deployment', 'ec2', 's3', 'iam', 'sync', 'profile'],
+    enum: ['user', 'aws_account', 'deployment', 'ec2', 's3', 'iam', 'sync', 'profile', 'secret', 'environment_group',
+      'organization', 'billing', 'template', 'audit_log', 'audit_sink'],
     index: true
   },
   resourceId: {
@@ -89,30 +119,158 @@ const auditLogSchema = new mongoose.Schema({
   },
   duration: {
     type: Number // Request duration in milliseconds
+  },
+
+  // Hash chain per organization: hash covers the entry and previousHash, the
+  // hash of the entry before it (see computeHash). Entries without an
+  // organization, and those written before the chain existed, have none.
+  sequence: {
+    type: Number
+  },
+  previousHash: {
+    type: String
+  },
+  hash: {
+    type: String
+  },
+
+  // Deleted by the TTL index, from the organization's plan (limits.auditLogRetentionDays)
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + DEFAULT_RETENTION_DAYS * DAY_MS)
   }
 });
 
 // Compound indexes for common queries
+auditLogSchema.index({ organizationId: 1, timestamp: -1, _id: -1 });
 auditLogSchema.index({ userId: 1, timestamp: -1 });
 auditLogSchema.index({ action: 1, timestamp: -1 });
 auditLogSchema.index({ status: 1, timestamp: -1 });
 auditLogSchema.index({ resourceType: 1, resourceId: 1 });
 
-// TTL index - automatically delete logs older than 90 days
-auditLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+auditLogSchema.index(
+  { organizationId: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+// TTL index - automatically delete logs once their retention is over
+auditLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Stable JSON: sorted keys, dates and ObjectIds as strings. Empty, null and
+// undefined values are left out, as MongoDB may not store them as given.
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype === 'ObjectId') return value.toString();
+  if (Array.isArray(value)) return value.map(item => canonicalize(item) ?? null);
+  if (typeof value !== 'object') return value;
+
+  const entries = Object.keys(value).sort()
+    .map(key => [key, canonicalize(value[key])])
+    .filter(([, item]) => item !== undefined);
+  return entries.length ? Object.fromEntries(entries) : undefined;
+};
+
+const HASHED_FIELDS = [
+  'organizationId', 'sequence', 'timestamp', 'userId', 'userEmail', 'action', 'resourceType', 'resourceId',
+  'resourceName', 'method', 'endpoint', 'ipAddress', 'userAgent', 'status', 'details', 'errorMessage', 'duration'
+];
+
+/**
+ * Hash of an entry's content chained to the previous entry's hash
+ * @param {object} log - Plain audit log (lean or toObject())
+ * @returns {string} - SHA-256 hex digest
+ */
+auditLogSchema.statics.computeHash = function(log) {
+  const content = canonicalize(Object.fromEntries(HASHED_FIELDS.map(field => [field, log[field]])));
+  return crypto.createHash('sha256')
+    .update(`${log.previousHash}\n${JSON.stringify(content)}`)
+    .digest('hex');
+};
+
+// Entry as returned by the API, exports and audit sinks
+auditLogSchema.statics.serialize = function(log) {
+  return {
+    id: log._id.toString(),
+    timestamp: log.timestamp,
+    userId: log.userId?.toString() || null,
+    userEmail: log.userEmail,
+    action: log.action,
+    resourceType: log.resourceType || null,
+    resourceId: log.resourceId || null,
+    resourceName: log.resourceName || null,
+    status: log.status,
+    method: log.method || null,
+    endpoint: log.endpoint || null,
+    ipAddress: log.ipAddress,
+    userAgent: log.userAgent || null,
+    duration: log.duration ?? null,
+    errorMessage: log.errorMessage || null,
+    details: log.details ?? null,
+    sequence: log.sequence ?? null,
+    previousHash: log.previousHash || null,
+    hash: log.hash || null
+  };
+};
+
+const getRetentionDays = async (organizationId) => {
+  const organization = await Organization.findById(organizationId).select('limits.auditLogRetentionDays').lean();
+  return organization?.limits?.auditLogRetentionDays || DEFAULT_RETENTION_DAYS;
+};
 
 // Static method to log an action
 auditLogSchema.statics.logAction = async function(data) {
   try {
-    const log = new this(data);
-    await log.save();
-    return log;
+    if (!data.organizationId) {
+      return await this.create(data);
+    }
+
+    const retentionDays = await getRetentionDays(data.organizationId);
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const previous = await this.findOne({ organizationId: data.organizationId, sequence: { $exists: true } })
+        .sort({ sequence: -1 })
+        .select('sequence hash expiresAt')
+        .lean();
+
+      const log = new this(data);
+      log.sequence = (previous?.sequence || 0) + 1;
+      log.previousHash = previous?.hash || GENESIS_HASH;
+      // Never expire before the previous entry, so retention only ever removes the start of the chain
+      log.expiresAt = new Date(Math.max(log.timestamp.getTime() + retentionDays * DAY_MS, previous?.expiresAt?.getTime() || 0));
+      log.hash = this.computeHash(log.toObject());
+
+      try {
+        await log.save();
+        return log;
+      } catch (error) {
+        // Another entry took the sequence number, chain onto it instead
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw new Error('Could not allocate an audit log sequence');
   } catch (error) {
     console.error('Failed to create audit log:', error);
     // Don't throw error - audit logging should not break the application
   }
 };
 
+// Static method to drop the TTL index on timestamp that expired every entry
+// after 90 days whatever the plan's retention. Returns its name, null if gone.
+auditLogSchema.statics.dropLegacyTtlIndex = async function() {
+  const indexes = await this.collection.indexes();
+  const legacy = indexes.find(index =>
+    index.key.timestamp === 1 && Object.keys(index.key).length === 1 && index.expireAfterSeconds !== undefined
+  );
+  if (!legacy) {
+    return null;
+  }
+
+  await this.collection.dropIndex(legacy.name);
+  return legacy.name;
+};
+
 // Static method to get user activity
 auditLogSchema.statics.getUserActivity = async function(userId, limit = 50) {
   return this.find({ userId })
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+// External destination audit log entries of an organization are streamed to
+// (utils/auditSinks.js). cursor is the sequence of the last entry delivered.
+const auditSinkSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: ['webhook', 'syslog', 'file'],
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // webhook: HTTPS URL, events are POSTed in batches signed with the secret
+  webhook: {
+    url: String,
+    secret: String // Encrypted HMAC key
+  },
+  // syslog: RFC 5424 messages, octet-counted over TCP or one per UDP datagram
+  syslog: {
+    host: String,
+    port: {
+      type: Number,
+      default: 514
+    },
+    protocol: {
+      type: String,
+      enum: ['tcp', 'udp'],
+      default: 'tcp'
+    },
+    facility: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 13 // log audit
+    },
+    appName: {
+      type: String,
+      default: 'radynamics'
+    }
+  },
+  // file: newline-delimited JSON appended under AUDIT_SINK_FILE_DIR/<organizationId>/
+  file: {
+    filename: String
+  },
+
+  batchSize: {
+    type: Number,
+    min: 1,
+    max: 500,
+    default: 100
+  },
+
+  // Delivery state
+  cursor: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  lastDeliveredAt: Date,
+  lastError: String,
+  deliveredCount: {
+    type: Number,
+    default: 0
+  },
+  deadLetterCount: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  // Never return the webhook secret, only whether there is one
+  toJSON: {
+    transform: (doc, ret) => {
+      if (ret.webhook) {
+        ret.webhook.hasSecret = !!ret.webhook.secret;
+        delete ret.webhook.secret;
+      }
+      delete ret.lockedUntil;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+auditSinkSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('AuditSink', auditSinkSchema);
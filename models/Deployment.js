@@ -30,7 +30,7 @@ const deploymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'destroying', 'destroyed', 'destroy_failed', 'deleted_externally'],
+    enum: ['planning', 'planned', 'plan_failed', 'pending', 'completed', 'failed', 'destroying', 'destroyed', 'destroy_failed', 'deleted_externally'],
     default: 'pending'
   },
   terraformOutput: {
@@ -42,6 +42,64 @@ const deploymentSchema = new mongoose.Schema({
   workspaceId: {
     type: String
   },
+  // Terraform state backend used for the workspace (see utils/terraformBackend.js)
+  stateBackend: {
+    type: String,
+    default: null
+  },
+  // Saved Terraform plan awaiting review (POST /api/deploy/:type/plan)
+  plan: {
+    summary: {
+      add: { type: Number, default: 0 },
+      change: { type: Number, default: 0 },
+      destroy: { type: Number, default: 0 }
+    },
+    resourceChanges: [{
+      _id: false,
+      address: String,
+      type: { type: String },
+      name: String,
+      actions: [String],
+      changedAttributes: [String]
+    }],
+    output: String,
+    file: {
+      type: Buffer,
+      select: false
+    },
+    checksum: String,
+    createdAt: Date,
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    approvedAt: Date
+  },
+  // Latest drift check (utils/driftDetector.js)
+  drift: {
+    status: {
+      type: String,
+      enum: ['unknown', 'in_sync', 'drifted', 'error'],
+      default: 'unknown'
+    },
+    checkedAt: Date,
+    detectedAt: Date,
+    resources: [{
+      _id: false,
+      address: String,
+      type: { type: String },
+      name: String,
+      actions: [String],
+      // Sensitive values are masked before they are stored
+      attributes: [{
+        _id: false,
+        name: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+      }]
+    }],
+    error: String
+  },
   deletedBy: {
     type: String,
     enum: ['ui', 'aws_console', 'unknown'],
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const LOG_RETENTION_HOURS = parseInt(process.env.DEPLOYMENT_LOG_RETENTION_HOURS || '72');
+
+// One line of live deployment output, streamed by GET /api/applications/:id/logs/stream.
+// The _id doubles as the SSE event ID, so clients resume with Last-Event-ID.
+const deploymentLogEventSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  // clone, build, deploy or system
+  source: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + LOG_RETENTION_HOURS * 60 * 60 * 1000)
+  }
+});
+
+deploymentLogEventSchema.index({ applicationId: 1, _id: 1 });
+
+// Auto-delete old log lines
+deploymentLogEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('DeploymentLogEvent', deploymentLogEventSchema);
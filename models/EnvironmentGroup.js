@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Named set of env vars shared by the applications of an organization that
+// attach it (e.g. staging-common). Values may reference secrets as secret://NAME.
+const environmentGroupSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9-]{0,62}$/, 'Group names may contain lowercase letters, digits and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  variables: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Increments on every change of the variables, releases record the version they ran
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+environmentGroupSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('EnvironmentGroup', environmentGroupSchema);
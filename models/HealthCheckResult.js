@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const HEALTH_CHECK_RETENTION_DAYS = parseInt(process.env.HEALTH_CHECK_RETENTION_DAYS || '30');
+
+// One HTTP probe of a running application (utils/healthMonitor.js).
+// Uptime is the share of successful probes over a period.
+const healthCheckResultSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  url: String,
+  // Responded in time with an expected status code
+  ok: {
+    type: Boolean,
+    required: true
+  },
+  statusCode: Number,
+  latencyMs: Number,
+  // Network error or unexpected status
+  error: String,
+  checkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + HEALTH_CHECK_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+});
+
+healthCheckResultSchema.index({ applicationId: 1, checkedAt: -1 });
+
+// Auto-delete old results
+healthCheckResultSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Uptime per application since a date
+ * @returns {Promise<Map>} - applicationId string => { checks, successful, uptime (percent), avgLatencyMs }
+ */
+healthCheckResultSchema.statics.getUptime = async function(applicationIds, since) {
+  const rows = await this.aggregate([
+    { $match: { applicationId: { $in: applicationIds }, checkedAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$applicationId',
+        checks: { $sum: 1 },
+        successful: { $sum: { $cond: ['$ok', 1, 0] } },
+        avgLatencyMs: { $avg: { $cond: ['$ok', '$latencyMs', null] } }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), {
+    checks: row.checks,
+    successful: row.successful,
+    uptime: Math.round((row.successful / row.checks) * 10000) / 100,
+    avgLatencyMs: row.avgLatencyMs === null ? null : Math.round(row.avgLatencyMs)
+  }]));
+};
+
+export default mongoose.model('HealthCheckResult', healthCheckResultSchema);
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS || '7');
+
+const jobSchema = new mongoose.Schema({
+  // Handler name, e.g. application.deploy (see utils/jobQueue.js)
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Jobs sharing a key run one at a time, e.g. application:<id>
+  key: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  // Ownership
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Retries
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  failures: [{
+    _id: false,
+    attempt: Number,
+    message: String,
+    failedAt: Date
+  }],
+
+  // Lease held by the worker running the job, renewed by its heartbeat
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  // Finished jobs are removed after JOB_RETENTION_DAYS
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, leaseExpiresAt: 1 });
+jobSchema.index({ type: 1, 'payload.applicationId': 1, status: 1 });
+jobSchema.index({ key: 1, status: 1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+jobSchema.statics.retentionDate = function() {
+  return new Date(Date.now() + JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+export default mongoose.model('Job', jobSchema);
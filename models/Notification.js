@@ -14,6 +14,9 @@ const notificationSchema = new mongoose.Schema({
       'deployment_success',
       'deployment_failed',
       'deployment_started',
+      'drift_detected',
+      'application_down',
+      'application_recovered',
       'limit_warning',
       'limit_reached',
       'subscription_expiring',
@@ -99,6 +99,11 @@ const organizationSchema = new mongoose.Schema({
     maxDeploymentsPerMonth: {
       type: Number,
       default: 100
+    },
+    // Days audit log entries are kept
+    auditLogRetentionDays: {
+      type: Number,
+      default: 90
     }
   },
   
@@ -259,25 +264,29 @@ organizationSchema.methods.updateLimitsForPlan = function(plan) {
       maxAWSAccounts: 3,
       maxDeployments: 50,
       maxDeploymentsPerMonth: 100,
-      maxUsers: 5
+      maxUsers: 5,
+      auditLogRetentionDays: 90
     },
     starter: {
       maxAWSAccounts: 5,
       maxDeployments: 200,
       maxDeploymentsPerMonth: 500,
-      maxUsers: 10
+      maxUsers: 10,
+      auditLogRetentionDays: 90
     },
     professional: {
       maxAWSAccounts: 15,
       maxDeployments: 1000,
       maxDeploymentsPerMonth: 2000,
-      maxUsers: 50
+      maxUsers: 50,
+      auditLogRetentionDays: 365
     },
     enterprise: {
       maxAWSAccounts: -1, // Unlimited
       maxDeployments: -1,
       maxDeploymentsPerMonth: -1,
-      maxUsers: -1
+      maxUsers: -1,
+      auditLogRetentionDays: 730
     }
   };
   
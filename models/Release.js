@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+
+// Artifact and configuration of one successful application deployment.
+// Rollbacks redeploy a release exactly as recorded, without rebuilding.
+const releaseSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Increments per application
+  version: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['deploy', 'rollback'],
+    default: 'deploy'
+  },
+  // What started the deploy: a user, a GitHub push webhook, or a change to an
+  // environment group the application attaches
+  trigger: {
+    type: String,
+    enum: ['manual', 'webhook', 'environment_group'],
+    default: 'manual'
+  },
+  // Release that was redeployed, for rollbacks
+  rolledBackFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Release',
+    default: null
+  },
+
+  // Source
+  commit: {
+    sha: String,
+    message: String,
+    author: String,
+    branch: String
+  },
+
+  // Artifact
+  deploymentTarget: {
+    type: String,
+    enum: ['ecs', 'ec2'],
+    required: true
+  },
+  image: {
+    type: String,
+    required: true
+  },
+  taskDefinitionArn: String,
+  ec2InstanceId: String,
+
+  // GitHub builds: time per stage (ms) and how much the build cache helped
+  build: {
+    durationMs: Number,
+    stages: {
+      clone: Number,
+      analyze: Number,
+      build: Number,
+      push: Number,
+      deploy: Number
+    },
+    repositoryCached: Boolean,
+    dependencyHash: String,
+    dependenciesChanged: Boolean,
+    cacheSources: [String],
+    totalSteps: Number,
+    cachedSteps: Number,
+    cacheHitRatio: Number
+  },
+
+  // Configuration snapshot
+  port: Number,
+  cpu: String,
+  memory: String,
+  environmentVariables: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Environment groups attached, in order, and the version of each that was deployed
+  environmentGroups: [{
+    _id: false,
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'EnvironmentGroup' },
+    name: String,
+    version: Number
+  }],
+  url: String,
+
+  deployedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+releaseSchema.index({ applicationId: 1, version: -1 }, { unique: true });
+
+// Static method to store the next release of an application
+releaseSchema.statics.record = async function(data) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ applicationId: data.applicationId })
+      .sort({ version: -1 })
+      .select('version');
+
+    try {
+      return await this.create({ ...data, version: (latest?.version || 0) + 1 });
+    } catch (error) {
+      // Another release took the version number, try the next one
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not allocate a release version');
+};
+
+export default mongoose.model('Release', releaseSchema);
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import { encrypt, decrypt } from '../utils/encryption.js';
+
+// Secret of an application, or of the whole organization when applicationId is
+// null. Env vars reference secrets as secret://NAME; values are injected at
+// deploy time and never returned by the API.
+const secretSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[A-Za-z_][A-Za-z0-9_]{0,127}$/, 'Secret names may contain letters, digits and underscores and cannot start with a digit']
+  },
+  // Encrypted with utils/encryption.js, only selected to deploy
+  value: {
+    type: String,
+    required: true,
+    select: false
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Increments on every value change
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.value;
+      delete ret.__v;
+      ret.scope = ret.applicationId ? 'application' : 'organization';
+      return ret;
+    }
+  }
+});
+
+secretSchema.index({ organizationId: 1, applicationId: 1, name: 1 }, { unique: true });
+
+// Values are encrypted here rather than in a pre-save hook: any string is a
+// valid secret, including ones that look like encrypted data
+secretSchema.methods.setValue = function(plainText) {
+  this.value = encrypt(String(plainText));
+};
+
+secretSchema.methods.getValue = function() {
+  return decrypt(this.value);
+};
+
+// Secrets visible to an application: its own, its parent's (preview
+// environments) and its organization's. Fork previews only see their own.
+secretSchema.statics.findForApplication = function(application, names) {
+  const owners = [application._id, application.preview?.parentId].filter(Boolean);
+  return this.find({
+    organizationId: application.organizationId,
+    applicationId: { $in: application.preview?.fromFork ? [application._id] : [...owners, null] },
+    name: { $in: names }
+  }).select('+value');
+};
+
+export default mongoose.model('Secret', secretSchema);
@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+
+const STATE_BUCKET = 'terraformStates';
+
+const terraformStateSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Deployment ID (or another stable key) the state belongs to
+  stateKey: {
+    type: String,
+    required: true
+  },
+
+  // Latest state file stored in GridFS
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  serial: {
+    type: Number
+  },
+  lineage: {
+    type: String
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+
+  // Lock held by a running Terraform command
+  lock: {
+    id: {
+      type: String,
+      default: null
+    },
+    info: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    lockedAt: {
+      type: Date
+    }
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+terraformStateSchema.index({ organizationId: 1, stateKey: 1 }, { unique: true });
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+  bucketName: STATE_BUCKET
+});
+
+// Static method to read the current state file
+terraformStateSchema.statics.readState = async function(organizationId, stateKey) {
+  const record = await this.findOne({ organizationId, stateKey });
+
+  if (!record || !record.fileId) {
+    return null;
+  }
+
+  const chunks = [];
+  for await (const chunk of getBucket().openDownloadStream(record.fileId)) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+// Static method to store a new state file, replacing the previous one
+terraformStateSchema.statics.writeState = async function(organizationId, stateKey, content, metadata = {}) {
+  const bucket = getBucket();
+
+  const fileId = await new Promise((resolve, reject) => {
+    const upload = bucket.openUploadStream(`${organizationId}/${stateKey}.tfstate`, {
+      metadata: { organizationId, stateKey, serial: metadata.serial }
+    });
+    upload.once('finish', () => resolve(upload.id));
+    upload.once('error', reject);
+    upload.end(content);
+  });
+
+  const previous = await this.findOneAndUpdate(
+    { organizationId, stateKey },
+    {
+      $set: {
+        fileId,
+        serial: metadata.serial,
+        lineage: metadata.lineage,
+        size: content.length,
+        updatedAt: new Date()
+      },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true }
+  );
+
+  if (previous?.fileId) {
+    await bucket.delete(previous.fileId).catch(error => {
+      console.error('Failed to delete previous Terraform state file:', error.message);
+    });
+  }
+};
+
+// Static method to delete the state file (keeps the lock record)
+terraformStateSchema.statics.deleteState = async function(organizationId, stateKey) {
+  const record = await this.findOneAndUpdate(
+    { organizationId, stateKey },
+    { $set: { fileId: null, serial: null, lineage: null, size: 0, updatedAt: new Date() } }
+  );
+
+  if (record?.fileId) {
+    await getBucket().delete(record.fileId);
+  }
+};
+
+// Static method to take the lock. Returns null when it is already held,
+// the unique index makes this safe across API replicas.
+terraformStateSchema.statics.acquireLock = async function(organizationId, stateKey, lockInfo) {
+  try {
+    return await this.findOneAndUpdate(
+      { organizationId, stateKey, 'lock.id': null },
+      {
+        $set: {
+          lock: { id: lockInfo.ID, info: lockInfo, lockedAt: new Date() }
+        },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Static method to release the lock held with lockId
+terraformStateSchema.statics.releaseLock = async function(organizationId, stateKey, lockId) {
+  return this.findOneAndUpdate(
+    { organizationId, stateKey, 'lock.id': lockId },
+    { $set: { lock: { id: null, info: null, lockedAt: null } } },
+    { new: true }
+  );
+};
+
+// Static method to release whatever lock is held, e.g. one left behind by a
+// Terraform process that died. Returns the record as it was, null when unlocked.
+terraformStateSchema.statics.forceUnlock = async function(organizationId, stateKey) {
+  return this.findOneAndUpdate(
+    { organizationId, stateKey, 'lock.id': { $ne: null } },
+    { $set: { lock: { id: null, info: null, lockedAt: null } } }
+  );
+};
+
+export default mongoose.model('TerraformState', terraformStateSchema);
@@ -1,4 +1,9 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
+import { decrypt } from '../utils/encryption.js';
+import { base32Encode, verifyCode } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -43,6 +48,28 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // TOTP second factor. Secrets are encrypted, recovery codes only stored hashed.
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Enrollment started but not confirmed with a code yet
+    pendingSecret: String,
+    enrolledAt: Date,
+    // Last accepted time step, so each code works once
+    lastUsedStep: {
+      type: Number,
+      default: -1
+    },
+    recoveryCodes: [{
+      _id: false,
+      hash: String,
+      usedAt: Date
+    }]
+  },
   
   createdAt: {
     type: Date,
@@ -60,4 +87,58 @@ userSchema.pre('save', function(next) {
   next();
 });
 userSchema.index({ email: 1, emailVerified: 1 });
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).toUpperCase().replace(/[^A-Z0-9]/g, '')).digest('hex');
+
+// Replace the recovery codes, returns the new ones (only shown once)
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  this.mfa.recoveryCodes = codes.map(code => ({ hash: hashRecoveryCode(code) }));
+  return codes;
+};
+
+userSchema.methods.getRemainingRecoveryCodes = function() {
+  return (this.mfa?.recoveryCodes || []).filter(code => !code.usedAt).length;
+};
+
+/**
+ * Check an authenticator code, or a recovery code when allowed, and use it up.
+ * The update is conditional so concurrent logins cannot use a code twice.
+ * @returns {Promise<string|null>} - 'totp', 'recovery_code' or null
+ */
+userSchema.methods.verifyMfaCode = async function(code, { allowRecoveryCode = true } = {}) {
+  if (!this.mfa?.enabled || !this.mfa.secret) {
+    return null;
+  }
+
+  const step = verifyCode(decrypt(this.mfa.secret), code, { afterStep: this.mfa.lastUsedStep });
+  if (step !== null) {
+    const { modifiedCount } = await this.constructor.updateOne(
+      { _id: this._id, 'mfa.lastUsedStep': { $lt: step } },
+      { $set: { 'mfa.lastUsedStep': step } }
+    );
+    if (modifiedCount === 0) return null;
+    this.mfa.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (!allowRecoveryCode || !code) {
+    return null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const usedAt = new Date();
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, 'mfa.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+    { $set: { 'mfa.recoveryCodes.$.usedAt': usedAt } }
+  );
+  if (modifiedCount === 0) return null;
+  const recoveryCode = this.mfa.recoveryCodes.find(item => item.hash === hash);
+  recoveryCode.usedAt = usedAt;
+  return 'recovery_code';
+};
 export default mongoose.model('User', userSchema);
@@ -2,6 +2,8 @@ import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
 import Deployment from '../models/Deployment.js';
 import AWSAccount from '../models/AWSAccount.js';
+import Application from '../models/Application.js';
+import HealthCheckResult from '../models/HealthCheckResult.js';
 
 const router = express.Router();
 
@@ -225,4 +227,120 @@ router.get('/hourly', authMiddleware, async (req, res) => {
   }
 });
 
+// Uptime of the user's applications from their health checks
+router.get('/uptime', authMiddleware, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    
+    const applications = await Application.find({
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    }).select('name status url healthCheck.enabled');
+    
+    const uptime = await HealthCheckResult.getUptime(applications.map(app => app._id), since);
+    
+    let checks = 0;
+    let successful = 0;
+    const rows = applications.map(app => {
+      const stats = uptime.get(app._id.toString());
+      checks += stats?.checks || 0;
+      successful += stats?.successful || 0;
+      return {
+        applicationId: app._id,
+        name: app.name,
+        status: app.status,
+        url: app.url,
+        healthCheckEnabled: app.healthCheck?.enabled !== false,
+        checks: stats?.checks || 0,
+        uptime: stats ? stats.uptime : null,
+        avgLatencyMs: stats?.avgLatencyMs ?? null
+      };
+    });
+    
+    res.json({
+      uptime: {
+        days,
+        since,
+        overall: checks > 0 ? Math.round((successful / checks) * 10000) / 100 : null,
+        applications: rows
+      }
+    });
+  } catch (error) {
+    console.error('Analytics uptime error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Uptime of one application: last 24 hours / 7 days / 30 days, availability
+// and latency history (hourly up to 2 days, daily above) and the latest checks
+router.get('/uptime/:applicationId', authMiddleware, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.applicationId,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    }).select('name status url healthCheck');
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30);
+    const hourly = days <= 2;
+    const now = Date.now();
+    const ago = (hours) => new Date(now - hours * 60 * 60 * 1000);
+    
+    const [last24h, last7d, last30d, history, recentChecks] = await Promise.all([
+      HealthCheckResult.getUptime([application._id], ago(24)),
+      HealthCheckResult.getUptime([application._id], ago(24 * 7)),
+      HealthCheckResult.getUptime([application._id], ago(24 * 30)),
+      HealthCheckResult.aggregate([
+        { $match: { applicationId: application._id, checkedAt: { $gte: ago(24 * days) } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: hourly ? '%Y-%m-%dT%H:00:00Z' : '%Y-%m-%d', date: '$checkedAt' } },
+            checks: { $sum: 1 },
+            successful: { $sum: { $cond: ['$ok', 1, 0] } },
+            avgLatencyMs: { $avg: { $cond: ['$ok', '$latencyMs', null] } },
+            maxLatencyMs: { $max: { $cond: ['$ok', '$latencyMs', null] } }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+      HealthCheckResult.find({ applicationId: application._id })
+        .sort({ checkedAt: -1 })
+        .limit(20)
+        .select('-_id checkedAt ok statusCode latencyMs error')
+    ]);
+    
+    const id = application._id.toString();
+    res.json({
+      application: {
+        id: application._id,
+        name: application.name,
+        status: application.status,
+        url: application.url,
+        healthCheck: application.healthCheck
+      },
+      uptime: {
+        last24h: last24h.get(id) || null,
+        last7d: last7d.get(id) || null,
+        last30d: last30d.get(id) || null
+      },
+      history: history.map(bucket => ({
+        period: bucket._id,
+        checks: bucket.checks,
+        uptime: Math.round((bucket.successful / bucket.checks) * 10000) / 100,
+        avgLatencyMs: bucket.avgLatencyMs === null ? null : Math.round(bucket.avgLatencyMs),
+        maxLatencyMs: bucket.maxLatencyMs
+      })),
+      recentChecks
+    });
+  } catch (error) {
+    console.error('Analytics application uptime error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
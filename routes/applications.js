@@ -1,23 +1,49 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
 import Application from '../models/Application.js';
+import Release from '../models/Release.js';
+import Job from '../models/Job.js';
+import Secret from '../models/Secret.js';
+import EnvironmentGroup from '../models/EnvironmentGroup.js';
 import AWSAccount from '../models/AWSAccount.js';
 import githubService from '../services/github-service.js';
 import dockerService from '../services/docker-service.js';
 import ecrService from '../services/ecr-service.js';
 import ecsService from '../services/ecs-service.js';
+import loadBalancerService from '../services/load-balancer-service.js';
 import ec2DockerService from '../services/ec2-docker-service.js';
+import parameterStoreService from '../services/parameter-store-service.js';
 import { authMiddleware as authenticateToken } from '../middleware/auth.js';
-import { decrypt } from '../utils/encryption.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { registerJobHandler, enqueueJob, cancelJobs, hasActiveJob } from '../utils/jobQueue.js';
+import { appendDeploymentLog, deploymentLogger, subscribeDeploymentLogs, getDeploymentLogsSince, redactDeploymentLogs } from '../utils/deploymentLogs.js';
+import { resolveEnvironment } from '../utils/secrets.js';
+import { buildEnvironment } from '../utils/environmentGroups.js';
+import { activateDomains, getCustomDomainUrl } from '../utils/customDomains.js';
+import { isValidHealthCheckPath } from '../utils/healthMonitor.js';
 
 const router = express.Router();
 
+const IN_PROGRESS_STATUSES = ['pending', 'cloning', 'building', 'pushing', 'deploying'];
+
+// Job types that change what an application runs, at most one at a time
+const DEPLOY_JOB_TYPES = ['application.deploy', 'application.rollback'];
+
 // Get all applications for user
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const applications = await Application.find({ 
+    const filter = {
       userId: req.user.userId,
-      organizationId: req.user.organizationId 
-    })
+      organizationId: req.user.organizationId
+    };
+    
+    // Pull request previews are listed under their application unless asked for
+    if (req.query.includePreviews !== 'true') {
+      filter['preview.parentId'] = null;
+    }
+    
+    const applications = await Application.find(filter)
     .populate('aws.accountId', 'accountName region')
     .sort({ createdAt: -1 });
     
@@ -58,6 +84,7 @@ router.post('/', authenticateToken, async (req, res) => {
       github,
       docker,
       runtime,
+      deploymentStrategy,
       awsAccountId,
       ec2InstanceId
     } = req.body;
@@ -96,6 +123,7 @@ router.post('/', authenticateToken, async (req, res) => {
       docker: deploymentMethod === 'docker' ? docker : undefined,
       ec2: deploymentTarget === 'ec2' ? { instanceId: ec2InstanceId } : undefined,
       runtime,
+      deploymentStrategy,
       aws: {
         accountId: awsAccountId,
         region: awsAccount.region
@@ -105,10 +133,8 @@ router.post('/', authenticateToken, async (req, res) => {
     
     await application.save();
     
-    // Start deployment process asynchronously
-    deployApplication(application._id).catch(error => {
-      console.error('Deployment error:', error);
-    });
+    // Queue the deployment, it survives server restarts
+    await enqueueDeployment(application, req.user.userId);
     
     res.status(201).json(application);
   } catch (error) {
@@ -139,6 +165,10 @@ router.post('/:id/deploy', authenticateToken, async (req, res) => {
     console.log('✅ Application found:', application.name);
     console.log('Current status:', application.status);
     
+    if (await hasActiveJob(DEPLOY_JOB_TYPES, { applicationId: application._id.toString() })) {
+      return res.status(409).json({ error: 'A deployment is already queued or running for this application' });
+    }
+    
     application.status = 'pending';
     application.errorMessage = '';
     application.deploymentLogs = [`[${new Date().toISOString()}] Redeployment initiated`];
@@ -146,14 +176,12 @@ router.post('/:id/deploy', authenticateToken, async (req, res) => {
     
     console.log('✅ Application status updated to pending');
     
-    // Start deployment
-    console.log('🎬 Starting deployment process...');
-    deployApplication(application._id).catch(error => {
-      console.error('❌ Deployment error:', error);
-    });
+    // Queue deployment
+    console.log('🎬 Queueing deployment...');
+    const job = await enqueueDeployment(application, req.user.userId);
     
-    console.log('✅ Deployment process started');
-    res.json({ message: 'Deployment started', application });
+    console.log('✅ Deployment queued:', job._id.toString());
+    res.json({ message: 'Deployment started', application, jobId: job._id });
   } catch (error) {
     console.error('❌ Error starting deployment:', error);
     console.error('Error stack:', error.stack);
@@ -161,6 +189,317 @@ router.post('/:id/deploy', authenticateToken, async (req, res) => {
   }
 });
 
+// Update how ECS redeploys roll out (applies from the next deploy)
+router.put('/:id/deployment-strategy', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    });
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    const { type, minimumHealthyPercent, maximumPercent, rollbackWindowSeconds } = req.body;
+    
+    if (type !== undefined) application.deploymentStrategy.type = type;
+    if (minimumHealthyPercent !== undefined) application.deploymentStrategy.minimumHealthyPercent = minimumHealthyPercent;
+    if (maximumPercent !== undefined) application.deploymentStrategy.maximumPercent = maximumPercent;
+    if (rollbackWindowSeconds !== undefined) application.deploymentStrategy.rollbackWindowSeconds = rollbackWindowSeconds;
+    
+    const validationError = application.validateSync();
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    
+    await application.save();
+    res.json({ message: 'Deployment strategy updated', deploymentStrategy: application.deploymentStrategy });
+  } catch (error) {
+    console.error('Error updating deployment strategy:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn the GitHub build cache on or off; turning it off drops the cached clone
+router.put('/:id/build-cache', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    });
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+    
+    application.build.cacheEnabled = req.body.enabled;
+    if (!req.body.enabled) {
+      // The next build with the cache back on starts from the previous image only
+      application.build.dependencyHash = undefined;
+      // A running build still uses the clone
+      if (!(await hasActiveJob(DEPLOY_JOB_TYPES, { applicationId: application._id.toString() }))) {
+        await githubService.cleanupRepo(application._id.toString());
+      }
+    }
+    await application.save();
+    
+    res.json({ message: 'Build cache updated', build: application.build });
+  } catch (error) {
+    console.error('Error updating build cache:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update the HTTP health check (applies from the next check)
+router.put('/:id/health-check', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    });
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    const fields = ['enabled', 'path', 'expectedStatus', 'intervalSeconds', 'timeoutSeconds', 'failureThreshold', 'degradedLatencyMs'];
+    for (const field of fields) {
+      if (req.body[field] !== undefined) {
+        application.healthCheck[field] = req.body[field];
+      }
+    }
+    
+    if (!isValidHealthCheckPath(application.healthCheck.path)) {
+      return res.status(400).json({ error: 'path must start with a single / (e.g. /health)' });
+    }
+    if (application.healthCheck.timeoutSeconds >= application.healthCheck.intervalSeconds) {
+      return res.status(400).json({ error: 'timeoutSeconds must be shorter than intervalSeconds' });
+    }
+    
+    const validationError = application.validateSync(fields.map(field => `healthCheck.${field}`));
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+    
+    // Disabling checks clears the status they set
+    if (!application.healthCheck.enabled && ['degraded', 'down'].includes(application.status)) {
+      application.status = 'running';
+    }
+    application.healthCheck.consecutiveFailures = 0;
+    application.healthCheck.nextCheckAt = new Date();
+    await application.save();
+    
+    res.json({ message: 'Health check updated', healthCheck: application.healthCheck });
+  } catch (error) {
+    console.error('Error updating health check:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Attach environment groups, in order (later groups override earlier ones).
+// Applies from the next deploy.
+router.put('/:id/environment-groups', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    });
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    const { groupIds } = req.body;
+    if (!Array.isArray(groupIds) || groupIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: 'groupIds must be a list of environment group IDs' });
+    }
+    if (new Set(groupIds.map(String)).size !== groupIds.length) {
+      return res.status(400).json({ error: 'An environment group can only be attached once' });
+    }
+    
+    const groups = await EnvironmentGroup.find({ _id: { $in: groupIds }, organizationId: application.organizationId });
+    if (groups.length !== groupIds.length) {
+      return res.status(404).json({ error: 'Environment group not found' });
+    }
+    
+    application.runtime.environmentGroups = groupIds;
+    await application.save();
+    
+    const { sources } = await buildEnvironment(application);
+    res.json({
+      message: 'Environment groups updated. Redeploy to apply them.',
+      environmentGroups: application.runtime.environmentGroups,
+      sources
+    });
+  } catch (error) {
+    console.error('Error updating environment groups:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Env vars the next deploy runs with and where each comes from
+// (secret references are listed, never resolved)
+router.get('/:id/environment', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    });
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    const { environment, sources, groups } = await buildEnvironment(application);
+    res.json({
+      groups,
+      variables: Object.entries(environment).map(([name, value]) => ({ name, value, source: sources[name] }))
+    });
+  } catch (error) {
+    console.error('Error fetching application environment:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GitHub push webhook settings
+const webhookUrl = (req, applicationId) =>
+  `${process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`}/api/webhooks/github/${applicationId}`;
+
+router.get('/:id/webhook', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    }).select('+github.webhookSecret');
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    res.json({
+      url: webhookUrl(req, application._id),
+      contentType: 'application/json',
+      events: application.github?.previews?.enabled ? ['push', 'pull_request'] : ['push'],
+      branch: application.github?.branch,
+      autoDeploy: application.github?.autoDeploy !== false,
+      previews: application.github?.previews,
+      secretConfigured: !!application.github?.webhookSecret
+    });
+  } catch (error) {
+    console.error('Error getting webhook settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generate (or rotate) the webhook secret. It is only shown in this response.
+router.post('/:id/webhook/secret', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    });
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    if (application.deploymentMethod !== 'github') {
+      return res.status(400).json({ error: 'Push webhooks are only available for GitHub deployments' });
+    }
+    
+    const secret = crypto.randomBytes(32).toString('hex');
+    application.github.webhookSecret = encrypt(secret);
+    await application.save();
+    
+    res.json({
+      message: 'Webhook secret generated. Add it to the GitHub webhook now, it will not be shown again.',
+      url: webhookUrl(req, application._id),
+      contentType: 'application/json',
+      events: application.github.previews?.enabled ? ['push', 'pull_request'] : ['push'],
+      secret
+    });
+  } catch (error) {
+    console.error('Error generating webhook secret:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/:id/webhook', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    });
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    const { autoDeploy, previewsEnabled, previewsAllowForks } = req.body;
+    
+    for (const [field, value] of Object.entries({ autoDeploy, previewsEnabled, previewsAllowForks })) {
+      if (value !== undefined && typeof value !== 'boolean') {
+        return res.status(400).json({ error: `${field} must be true or false` });
+      }
+    }
+    
+    if (application.preview?.parentId) {
+      return res.status(400).json({ error: 'Preview environments have no webhook of their own' });
+    }
+    
+    if (autoDeploy !== undefined) application.github.autoDeploy = autoDeploy;
+    if (previewsEnabled !== undefined) application.github.previews.enabled = previewsEnabled;
+    if (previewsAllowForks !== undefined) application.github.previews.allowForks = previewsAllowForks;
+    await application.save();
+    
+    res.json({
+      message: 'Webhook settings updated',
+      autoDeploy: application.github.autoDeploy,
+      previews: application.github.previews
+    });
+  } catch (error) {
+    console.error('Error updating webhook settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pull request preview environments of an application
+router.get('/:id/previews', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    });
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    const previews = await Application.find({ 'preview.parentId': application._id })
+      .select('name status url preview lastDeployedAt errorMessage createdAt')
+      .sort({ 'preview.pullRequestNumber': -1 });
+    
+    res.json({ previews });
+  } catch (error) {
+    console.error('Error fetching previews:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Stop application
 router.post('/:id/stop', authenticateToken, async (req, res) => {
   try {
@@ -301,6 +640,192 @@ router.get('/:id/progress', authenticateToken, async (req, res) => {
   }
 });
 
+// Deployment history, newest first
+router.get('/:id/releases', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    }).select('_id currentReleaseId');
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    const releases = await Release.find({ applicationId: application._id })
+      .populate('deployedBy', 'name email')
+      .sort({ version: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+    
+    res.json({
+      currentReleaseId: application.currentReleaseId,
+      releases
+    });
+  } catch (error) {
+    console.error('Error fetching releases:', error);
+    res.status(500).json({ error: 'Failed to fetch releases' });
+  }
+});
+
+// Redeploy a previous release exactly as it was, without rebuilding
+router.post('/:id/rollback/:releaseId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.releaseId)) {
+      return res.status(400).json({ error: 'Invalid release ID' });
+    }
+    
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    });
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    const release = await Release.findOne({
+      _id: req.params.releaseId,
+      applicationId: application._id
+    });
+    
+    if (!release) {
+      return res.status(404).json({ error: 'Release not found' });
+    }
+    
+    if (release.deploymentTarget !== application.deploymentTarget) {
+      return res.status(400).json({ error: `Release was deployed to ${release.deploymentTarget}, the application now targets ${application.deploymentTarget}` });
+    }
+    
+    if (await hasActiveJob(DEPLOY_JOB_TYPES, { applicationId: application._id.toString() })) {
+      return res.status(409).json({ error: 'A deployment is already queued or running for this application' });
+    }
+    
+    application.status = 'pending';
+    application.errorMessage = '';
+    application.deploymentLogs = [`[${new Date().toISOString()}] Rollback to release v${release.version} initiated`];
+    await application.save();
+    
+    const job = await enqueueJob('application.rollback', {
+      applicationId: application._id.toString(),
+      releaseId: release._id.toString()
+    }, {
+      organizationId: application.organizationId,
+      userId: req.user.userId,
+      key: deployJobKey(application._id)
+    });
+    
+    res.status(202).json({ message: 'Rollback started', release, jobId: job._id });
+  } catch (error) {
+    console.error('Error starting rollback:', error);
+    res.status(500).json({ error: 'Failed to start rollback' });
+  }
+});
+
+// Stream deployment output (Server-Sent Events). Reconnecting clients send
+// Last-Event-ID and get every line they missed before the live ones.
+router.get('/:id/logs/stream', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    }).select('_id status');
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    const requestedId = req.headers['last-event-id'] || req.query.lastEventId;
+    let lastEventId = mongoose.Types.ObjectId.isValid(requestedId) ? requestedId.toString() : null;
+    let lastStatus = application.status;
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    
+    const send = (event) => {
+      const id = event.id || event._id.toString();
+      // IDs only grow for one application, anything older was already sent
+      if (lastEventId && id <= lastEventId) return;
+      lastEventId = id;
+      
+      res.write(`id: ${id}\nevent: log\ndata: ${JSON.stringify({
+        source: event.source,
+        message: event.message,
+        timestamp: event.createdAt
+      })}\n\n`);
+    };
+    
+    const sendStatus = (status) => {
+      res.write(`event: status\ndata: ${JSON.stringify({ status })}\n\n`);
+    };
+    
+    // Live lines from deployments running in this process. Held back until the
+    // backlog is sent, otherwise a live line would skip the older stored ones.
+    let backlog = [];
+    const unsubscribe = subscribeDeploymentLogs(application._id, (event) => {
+      if (backlog) backlog.push(event);
+      else send(event);
+    });
+    
+    let poll;
+    let keepAlive;
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(poll);
+      clearInterval(keepAlive);
+      unsubscribe();
+      res.end();
+    };
+    req.on('close', close);
+    
+    // Catch up from the database, covers deployments running on another replica
+    const catchUp = async () => {
+      const events = await getDeploymentLogsSince(application._id, lastEventId);
+      if (closed) return;
+      events.forEach(send);
+      
+      const current = await Application.findById(application._id).select('status').lean();
+      if (closed) return;
+      if (!current) {
+        res.write('event: deleted\ndata: {}\n\n');
+        return close();
+      }
+      if (current.status !== lastStatus) {
+        lastStatus = current.status;
+        sendStatus(lastStatus);
+      }
+    };
+    
+    sendStatus(lastStatus);
+    await catchUp();
+    if (closed) return;
+    backlog.forEach(send);
+    backlog = null;
+    
+    poll = setInterval(() => {
+      catchUp().catch(error => console.error('⚠️ Log stream catch-up failed:', error.message));
+    }, 3000);
+    
+    // Comment line keeps proxies from closing an idle stream
+    keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 20000);
+  } catch (error) {
+    console.error('Error streaming deployment logs:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: 'Failed to stream deployment logs' });
+  }
+});
+
 // Cancel deployment
 router.post('/:id/cancel', authenticateToken, async (req, res) => {
   try {
@@ -314,10 +839,12 @@ router.post('/:id/cancel', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Application not found' });
     }
     
-    if (!['pending', 'cloning', 'building', 'pushing', 'deploying'].includes(application.status)) {
+    if (!IN_PROGRESS_STATUSES.includes(application.status)) {
       return res.status(400).json({ error: 'Cannot cancel deployment in current status' });
     }
     
+    await cancelJobs({ type: { $in: DEPLOY_JOB_TYPES }, 'payload.applicationId': application._id.toString() });
+    
     application.status = 'failed';
     application.errorMessage = 'Deployment cancelled by user';
     application.deploymentLogs.push(`[${new Date().toISOString()}] ❌ Deployment cancelled by user`);
@@ -337,32 +864,341 @@ router.post('/:id/cancel', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete application
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
-    const application = await Application.findOne({
-      _id: req.params.id,
-      userId: req.user.userId,
-      organizationId: req.user.organizationId
-    });
-    
-    if (!application) {
-      return res.status(404).json({ error: 'Application not found' });
+// Delete application
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const application = await Application.findOne({
+      _id: req.params.id,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    });
+    
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    
+    // Previews remove their own AWS resources before the record goes
+    if (application.preview?.parentId) {
+      const job = await enqueuePreviewTeardown(application);
+      return res.status(202).json({ message: 'Preview environment is being torn down', jobId: job._id });
+    }
+    
+    // TODO: Clean up AWS resources (ECS service, task definition, etc.)
+    
+    const previews = await Application.find({ 'preview.parentId': application._id });
+    for (const preview of previews) {
+      await enqueuePreviewTeardown(preview);
+    }
+    
+    await cancelJobs({ type: { $in: DEPLOY_JOB_TYPES }, 'payload.applicationId': application._id.toString() });
+    await application.deleteOne();
+    await Secret.deleteMany({ applicationId: application._id });
+    
+    // Cached clone of the build cache
+    await githubService.cleanupRepo(application._id.toString());
+    
+    res.json({ message: 'Application deleted', previewsTornDown: previews.length });
+  } catch (error) {
+    console.error('Error deleting application:', error);
+    res.status(500).json({ error: 'Failed to delete application' });
+  }
+});
+
+// Jobs that change what an application runs share a key so they never overlap
+const deployJobKey = (applicationId) => `application:${applicationId}`;
+
+/**
+ * Queue a deploy of an application
+ * @param {object} options - { commitSha, commit: { message, author, authorEmail }, trigger }
+ *   to deploy a specific commit (push webhooks)
+ */
+export function enqueueDeployment(application, userId, options = {}) {
+  return enqueueJob('application.deploy', {
+    applicationId: application._id.toString(),
+    commitSha: options.commitSha || null,
+    commit: options.commit || null,
+    trigger: options.trigger || 'manual'
+  }, {
+    organizationId: application.organizationId,
+    userId,
+    key: deployJobKey(application._id)
+  });
+}
+
+// Deployments run from the job queue (utils/jobQueue.js)
+registerJobHandler('application.deploy', async ({ applicationId, commitSha, commit, trigger }, job) => {
+  if (job.attempts > 1) {
+    await Application.updateOne(
+      { _id: applicationId },
+      {
+        $set: { status: 'pending', errorMessage: '' },
+        $push: { deploymentLogs: `[${new Date().toISOString()}] 🔁 Retrying deployment (attempt ${job.attempts}/${job.maxAttempts})` }
+      }
+    );
+  }
+
+  await deployApplication(applicationId, job.userId, { commitSha, commit, trigger });
+  return { applicationId, commitSha };
+}, {
+  maxAttempts: parseInt(process.env.DEPLOY_JOB_MAX_ATTEMPTS || '2'),
+  leaseMs: 2 * 60 * 1000,
+  // Out of attempts, or the worker died and the job could not be resumed
+  onFailed: async ({ applicationId }, error) => {
+    await Application.updateOne(
+      { _id: applicationId, status: { $in: IN_PROGRESS_STATUSES } },
+      {
+        $set: { status: 'failed', errorMessage: error.message },
+        $push: { deploymentLogs: `[${new Date().toISOString()}] ❌ Deployment failed: ${error.message}` }
+      }
+    );
+  },
+  // Applications left in progress by a deploy that was never queued (or whose job is gone)
+  recover: async () => {
+    const stuck = await Application.find({ status: { $in: IN_PROGRESS_STATUSES } }).select('_id');
+
+    for (const { _id } of stuck) {
+      if (await hasActiveJob(DEPLOY_JOB_TYPES, { applicationId: _id.toString() })) continue;
+
+      await Application.updateOne(
+        { _id, status: { $in: IN_PROGRESS_STATUSES } },
+        {
+          $set: { status: 'failed', errorMessage: 'Deployment was interrupted by a server restart' },
+          $push: { deploymentLogs: `[${new Date().toISOString()}] ❌ Deployment was interrupted by a server restart, please redeploy` }
+        }
+      );
+      console.log(`♻️ Marked interrupted deployment of application ${_id} as failed`);
+    }
+  }
+});
+
+// Rollbacks redeploy a recorded release and record it as a new release
+registerJobHandler('application.rollback', async ({ applicationId, releaseId }, job) => {
+  await rollbackApplication(applicationId, releaseId, job.userId);
+  return { applicationId, releaseId };
+}, {
+  maxAttempts: 1,
+  leaseMs: 2 * 60 * 1000,
+  onFailed: async ({ applicationId }, error) => {
+    await Application.updateOne(
+      { _id: applicationId, status: { $in: IN_PROGRESS_STATUSES } },
+      {
+        $set: { status: 'failed', errorMessage: error.message },
+        $push: { deploymentLogs: `[${new Date().toISOString()}] ❌ Rollback failed: ${error.message}` }
+      }
+    );
+  }
+});
+
+/**
+ * Queue removal of a preview environment: its ECS service and load balancer
+ * or EC2 container, then the application record and its releases
+ */
+export async function enqueuePreviewTeardown(preview) {
+  const applicationId = preview._id.toString();
+  
+  // Queued deploys are pointless now, a running one is stopped at its next heartbeat
+  await cancelJobs({ type: { $in: DEPLOY_JOB_TYPES }, 'payload.applicationId': applicationId });
+  
+  const existing = await Job.findOne({
+    type: 'application.preview.teardown',
+    status: { $in: ['queued', 'running'] },
+    'payload.applicationId': applicationId
+  });
+  if (existing) {
+    return existing;
+  }
+  
+  await Application.updateOne(
+    { _id: preview._id },
+    {
+      $set: { status: 'stopped' },
+      $push: { deploymentLogs: `[${new Date().toISOString()}] 🧹 Tearing down preview environment` }
     }
+  );
+  
+  return enqueueJob('application.preview.teardown', { applicationId }, {
+    organizationId: preview.organizationId,
+    key: deployJobKey(preview._id)
+  });
+}
+
+registerJobHandler('application.preview.teardown', async ({ applicationId }) => {
+  const preview = await Application.findById(applicationId).populate('aws.accountId');
+  if (!preview) {
+    return { applicationId, alreadyRemoved: true };
+  }
+  
+  const log = deploymentLogger(preview._id, 'system');
+  const awsAccount = preview.aws.accountId;
+  
+  if (awsAccount) {
+    const credentials = {
+      accessKeyId: decrypt(awsAccount.accessKey),
+      secretAccessKey: decrypt(awsAccount.secretKey)
+    };
+    const region = preview.aws.region;
     
-    // TODO: Clean up AWS resources (ECS service, task definition, etc.)
-    
-    await application.deleteOne();
+    if (preview.deploymentTarget === 'ec2') {
+      if (preview.ec2?.instanceId && preview.ec2?.containerName) {
+        log(`Removing container ${preview.ec2.containerName}`);
+        await ec2DockerService.removeContainer(credentials, region, preview.ec2.instanceId, preview.ec2.containerName);
+      }
+    } else if (preview.aws.ecsCluster) {
+      for (const serviceName of [`radynamics-${preview._id}`, `radynamics-${preview._id}-green`]) {
+        await ecsService.deleteService(credentials, region, preview.aws.ecsCluster, serviceName);
+      }
+      log('Removing load balancer, target groups and security groups');
+      await loadBalancerService.deprovisionForApplication(credentials, region, preview._id.toString());
+    }
     
-    res.json({ message: 'Application deleted' });
-  } catch (error) {
-    console.error('Error deleting application:', error);
-    res.status(500).json({ error: 'Failed to delete application' });
+    await parameterStoreService.deleteApplicationSecrets(credentials, region, preview._id.toString());
+  }
+  
+  await Release.deleteMany({ applicationId: preview._id });
+  await Secret.deleteMany({ applicationId: preview._id });
+  await githubService.cleanupRepo(preview._id.toString());
+  await preview.deleteOne();
+  
+  log(`🧹 Preview environment for pull request #${preview.preview?.pullRequestNumber} removed`);
+  console.log(`🧹 Preview environment ${preview.name} removed`);
+  return { applicationId };
+}, {
+  // Security groups can only be deleted once ECS has released the tasks' network interfaces
+  maxAttempts: 6,
+  backoffMs: 60 * 1000,
+  leaseMs: 2 * 60 * 1000,
+  onFailed: async ({ applicationId }, error) => {
+    await Application.updateOne(
+      { _id: applicationId },
+      {
+        $set: { status: 'error', errorMessage: `Preview teardown failed: ${error.message}` },
+        $push: { deploymentLogs: `[${new Date().toISOString()}] ❌ Preview teardown failed: ${error.message}` }
+      }
+    );
   }
 });
 
-// Deployment function (runs asynchronously)
-async function deployApplication(applicationId) {
+async function rollbackApplication(applicationId, releaseId, deployedBy) {
+  const application = await Application.findById(applicationId).populate('aws.accountId');
+  const release = await Release.findOne({ _id: releaseId, applicationId });
+  
+  if (!application || !release) {
+    throw new Error('Application or release not found');
+  }
+  
+  const awsAccount = application.aws.accountId;
+  const credentials = {
+    accessKeyId: decrypt(awsAccount.accessKey),
+    secretAccessKey: decrypt(awsAccount.secretKey)
+  };
+  
+  const environmentVariables = Object.fromEntries(release.environmentVariables || []);
+  
+  appendDeploymentLog(application._id, 'system', `⏪ Rolling back to release v${release.version} (${release.image})`);
+  
+  // The release's environment groups and secret references get their current values
+  const { environment, groups } = await buildEnvironment(
+    application,
+    environmentVariables,
+    (release.environmentGroups || []).map(entry => entry.groupId)
+  );
+  application.$locals.environmentGroups = groups;
+  application.$locals.environment = await resolveEnvironment(application, environment, {
+    userId: deployedBy,
+    reason: 'rollback'
+  });
+  redactDeploymentLogs(application._id, Object.values(application.$locals.environment.secrets));
+  application.status = 'deploying';
+  application.deploymentLogs.push(`⏪ Rolling back to release v${release.version}`);
+  application.deploymentLogs.push(`📦 Image: ${release.image}`);
+  if (release.commit?.sha) {
+    application.deploymentLogs.push(`🔖 Commit: ${release.commit.sha.slice(0, 7)} ${release.commit.message || ''}`);
+  }
+  await application.save();
+  
+  if (release.deploymentTarget === 'ec2') {
+    const { plain, secretParameters } = await prepareContainerEnvironment(application, credentials);
+    const deployResult = await ec2DockerService.deployDockerToEC2(
+      credentials,
+      application.aws.region,
+      release.ec2InstanceId || application.ec2.instanceId,
+      release.image,
+      release.port,
+      plain,
+      deploymentLogger(application._id, 'deploy'),
+      { hostPort: application.ec2.hostPort, secretParameters }
+    );
+    application.deploymentLogs.push(`Container: ${deployResult.containerName}`);
+  } else {
+    // Rolled out like a deploy (blue/green or rolling, health checks included)
+    application.runtime.port = release.port;
+    await runOnECS(application, credentials, release.image, { taskDefinitionArn: release.taskDefinitionArn });
+    if (release.image.includes('.dkr.ecr.')) {
+      application.aws.ecrImageUri = release.image;
+    }
+  }
+  
+  // The application runs the release configuration again
+  application.runtime.port = release.port;
+  application.runtime.environmentVariables = environmentVariables;
+  application.runtime.environmentGroups = groups.map(group => group.groupId);
+  application.status = 'running';
+  if (release.deploymentTarget === 'ec2') {
+    application.url = release.url || application.url;
+  }
+  application.lastDeployedAt = new Date();
+  application.deploymentLogs.push(`✅ Rolled back to release v${release.version}`);
+  application.$locals.deployedImage = release.image;
+  await application.save();
+  
+  await recordRelease(application, deployedBy, {
+    source: 'rollback',
+    rolledBackFrom: release._id,
+    commit: release.commit?.sha ? release.commit.toObject() : undefined,
+    taskDefinitionArn: release.taskDefinitionArn,
+    ec2InstanceId: release.ec2InstanceId
+  });
+  
+  appendDeploymentLog(application._id, 'system', `✅ Rolled back to release v${release.version}`);
+}
+
+// Store what was just deployed so it can be rolled back to later.
+// Deploy steps leave the commit and image on application.$locals.
+async function recordRelease(application, deployedBy, extra = {}) {
+  const release = await Release.record({
+    applicationId: application._id,
+    organizationId: application.organizationId,
+    commit: application.$locals.commit
+      ? { ...application.$locals.commit, branch: application.github?.branch }
+      : undefined,
+    deploymentTarget: application.deploymentTarget,
+    image: application.$locals.deployedImage,
+    taskDefinitionArn: application.deploymentTarget === 'ecs' ? application.aws.taskDefinitionArn : undefined,
+    ec2InstanceId: application.deploymentTarget === 'ec2' ? application.ec2?.instanceId : undefined,
+    port: application.runtime.port,
+    cpu: application.runtime.cpu,
+    memory: application.runtime.memory,
+    environmentVariables: Object.fromEntries(application.runtime.environmentVariables || []),
+    environmentGroups: application.$locals.environmentGroups,
+    url: application.url,
+    build: application.$locals.build ? application.build.lastMetrics : undefined,
+    deployedBy,
+    ...extra
+  });
+  
+  application.currentReleaseId = release._id;
+  // Health checks judge the new release on its own
+  application.healthCheck.consecutiveFailures = 0;
+  application.healthCheck.nextCheckAt = new Date();
+  application.deploymentLogs.push(`📌 Release v${release.version} recorded`);
+  await application.save();
+  
+  return release;
+}
+
+// Deployment function (runs from the job queue)
+// options: { commitSha, commit, trigger } when a webhook asked for a specific commit
+async function deployApplication(applicationId, deployedBy = null, options = {}) {
   let application;
   
   try {
@@ -378,6 +1214,15 @@ async function deployApplication(applicationId) {
     }
     
     console.log('✅ Application found:', application.name);
+    
+    // Previews always build their pull request head, also when redeployed by hand
+    const commitSha = options.commitSha || application.preview?.headSha || null;
+    appendDeploymentLog(application._id, 'system', commitSha
+      ? `🚀 Deployment of ${application.name} started for commit ${commitSha.slice(0, 7)}`
+      : `🚀 Deployment of ${application.name} started`);
+    application.$locals.requestedCommit = commitSha
+      ? { sha: commitSha, ...(options.commit || {}) }
+      : null;
     console.log('📦 Deployment Method:', application.deploymentMethod);
     console.log('🎯 Deployment Target:', application.deploymentTarget);
     
@@ -398,6 +1243,16 @@ async function deployApplication(applicationId) {
       accessKeyIdLength: credentials.accessKeyId?.length || 0
     });
     
+    // Env vars of the attached groups, then the application's own. Secret
+    // references are resolved before building so a missing secret fails fast.
+    const { environment, groups } = await buildEnvironment(application);
+    application.$locals.environmentGroups = groups;
+    application.$locals.environment = await resolveEnvironment(application, environment, {
+      userId: deployedBy,
+      reason: 'deploy'
+    });
+    redactDeploymentLogs(application._id, Object.values(application.$locals.environment.secrets));
+    
     if (application.deploymentMethod === 'github') {
       console.log('📂 Starting GitHub deployment...');
       await deployFromGitHub(application, credentials);
@@ -406,9 +1261,14 @@ async function deployApplication(applicationId) {
       await deployFromDocker(application, credentials);
     }
     
+    if (application.status === 'running' && application.$locals.deployedImage) {
+      await recordRelease(application, deployedBy, { trigger: options.trigger || 'manual' });
+    }
+    
     console.log('='.repeat(80));
     console.log('✅ DEPLOYMENT COMPLETED SUCCESSFULLY');
     console.log('='.repeat(80));
+    appendDeploymentLog(application._id, 'system', '✅ Deployment completed successfully');
     
   } catch (error) {
     console.error('='.repeat(80));
@@ -417,13 +1277,24 @@ async function deployApplication(applicationId) {
     console.error('Stack:', error.stack);
     console.error('='.repeat(80));
     
-    if (application) {
+    if (application && error.rolledBack) {
+      // The previous version is still serving traffic
+      appendDeploymentLog(application._id, 'system', `⏪ Deployment rolled back: ${error.message}`);
+      application.status = 'running';
+      application.errorMessage = error.message;
+      application.deploymentLogs.push(`⏪ Deployment rolled back: ${error.message}`);
+      await application.save();
+    } else if (application) {
+      appendDeploymentLog(application._id, 'system', `❌ Deployment failed: ${error.message}`);
       application.status = 'failed';
       application.errorMessage = error.message;
       application.deploymentLogs.push(`ERROR: ${error.message}`);
       application.deploymentLogs.push(`Stack: ${error.stack}`);
       await application.save();
     }
+    
+    // Let the job queue decide whether to retry
+    throw error;
   }
 }
 
@@ -439,6 +1310,9 @@ async function deployFromGitHub(application, credentials) {
   const startTime = Date.now();
   let progressInterval;
   
+  // Stage timings and cache results, stored on the release (see recordRelease)
+  application.$locals.build = { startedAt: startTime, stages: {} };
+  
   try {
     // Start progress updates every 10 seconds during clone
     progressInterval = setInterval(async () => {
@@ -455,15 +1329,33 @@ async function deployFromGitHub(application, credentials) {
       await application.save().catch(() => {}); // Ignore save errors during progress updates
     }, 10000);
     
-    const repoPath = await githubService.cloneRepository(
+    const cloneArgs = [
       application.github.repoUrl,
       application.github.branch,
       application._id.toString(),
-      application.github.token // Pass GitHub token for private repos
-    );
+      application.getGitHubToken(), // Pass GitHub token for private repos
+      deploymentLogger(application._id, 'clone')
+    ];
+    
+    // With the build cache on, the latest commit is fetched into the clone of the previous build
+    const { repoPath, reused } = application.build?.cacheEnabled !== false
+      ? await githubService.syncRepository(...cloneArgs)
+      : { repoPath: await githubService.cloneRepository(...cloneArgs), reused: false };
     
     clearInterval(progressInterval);
+    application.$locals.build.repositoryCached = reused;
+    if (reused) {
+      application.deploymentLogs.push('♻️ Reused the cached clone, fetched the latest commit only');
+    }
+    
+    // Webhook deploys build the pushed commit even if the branch has moved on
+    const requestedCommit = application.$locals.requestedCommit;
+    if (requestedCommit?.sha) {
+      await githubService.checkoutCommit(repoPath, requestedCommit.sha, application.getGitHubToken());
+      application.deploymentLogs.push(`🔖 Checked out commit ${requestedCommit.sha.slice(0, 7)}`);
+    }
     
+    application.$locals.build.stages.clone = Date.now() - startTime;
     const cloneDuration = ((Date.now() - startTime) / 1000).toFixed(2);
     application.deploymentLogs.push(`✅ Repository cloned successfully in ${cloneDuration}s`);
     
@@ -501,43 +1393,89 @@ async function deployFromGitHub(application, credentials) {
 
 async function continueGitHubDeployment(application, credentials, repoPath) {
   try {
+    // Prefer what git reports, fall back to the commit details sent by the webhook
+    application.$locals.commit = await githubService.getCommitInfo(repoPath) ||
+      (application.$locals.requestedCommit?.sha ? application.$locals.requestedCommit : null);
+    if (application.$locals.commit) {
+      application.deploymentLogs.push(`🔖 Commit: ${application.$locals.commit.sha.slice(0, 7)} ${application.$locals.commit.message}`);
+    }
+    
     // Step 2: Detect app type if auto
+    const analyzeStartTime = Date.now();
     application.deploymentLogs.push('🔍 Analyzing repository structure...');
     await application.save();
     
-    if (application.github.appType === 'auto') {
-      const detectedType = await githubService.detectAppType(repoPath);
-      application.github.appType = detectedType;
+    // Monorepos build from their application folder
+    const buildPath = await githubService.resolveRootDirectory(repoPath, application.github.rootDirectory);
+    if (buildPath !== repoPath) {
+      application.deploymentLogs.push(`📁 Root directory: ${application.github.rootDirectory}`);
+    }
+    
+    // Detection also collects the build hints of explicitly set types
+    const { appType: detectedType, hints } = await githubService.analyzeRepository(buildPath);
+    application.github.detectedAppType = detectedType;
+    
+    // 'auto' stays set so the next build detects again
+    const autoDetect = !application.github.appType || application.github.appType === 'auto';
+    const appType = autoDetect ? detectedType : application.github.appType;
+    
+    if (autoDetect) {
       application.deploymentLogs.push(`✅ Detected app type: ${detectedType}`);
-      await application.save();
     } else {
       application.deploymentLogs.push(`📋 Using specified app type: ${application.github.appType}`);
-      await application.save();
+    }
+    await application.save();
+    
+    if (appType === 'unknown') {
+      throw new Error(
+        'Could not detect the app type: no Dockerfile, package.json, go.mod, pom.xml, build.gradle, Gemfile, ' +
+        'composer.json, .csproj, Python project or index.html found. Add a Dockerfile, set the app type, ' +
+        'or set rootDirectory to the application folder.'
+      );
     }
     
     // Step 3: Build Docker image with timeout protection
     application.status = 'building';
     application.deploymentLogs.push('🔨 Building Docker image...');
-    application.deploymentLogs.push(`📦 App type: ${application.github.appType}`);
-    application.deploymentLogs.push(`🚀 Start command: ${application.github.startCommand}`);
+    application.deploymentLogs.push(`📦 App type: ${appType}`);
+    application.deploymentLogs.push(`🚀 Start command: ${application.github.startCommand || 'template default'}`);
     application.deploymentLogs.push(`🔌 Port: ${application.runtime.port}`);
     await application.save();
     
     const buildStartTime = Date.now();
+    application.$locals.build.stages.analyze = buildStartTime - analyzeStartTime;
     
-    // Generate optimized Dockerfile
-    await dockerService.generateDockerfile(
-      application.github.appType,
-      repoPath,
+    // Generate optimized Dockerfile (a Dockerfile in the repository is used as is)
+    const { generated } = await dockerService.generateDockerfile(
+      appType,
+      buildPath,
       application.github.startCommand,
-      application.runtime.port
+      application.runtime.port,
+      hints
     );
     
-    application.deploymentLogs.push('📄 Dockerfile generated');
+    application.deploymentLogs.push(generated ? '📄 Dockerfile generated' : '📄 Using the Dockerfile from the repository');
     await application.save();
     
     const imageName = `radynamics-${application._id}`;
     
+    // Layers of earlier builds are reused unless the build cache is off
+    const cacheEnabled = application.build?.cacheEnabled !== false;
+    const dependencyHash = await dockerService.getDependencyHash(buildPath);
+    const previousDependencyHash = application.build?.dependencyHash;
+    const cacheFrom = cacheEnabled
+      ? await getBuildCacheSources(application, credentials, imageName, dependencyHash)
+      : [];
+    
+    Object.assign(application.$locals.build, {
+      dependencyHash,
+      dependenciesChanged: !!previousDependencyHash && previousDependencyHash !== dependencyHash,
+      cacheSources: cacheFrom
+    });
+    if (cacheFrom.length > 0) {
+      application.deploymentLogs.push(`♻️ Build cache: ${cacheFrom.length} image(s)${application.$locals.build.dependenciesChanged ? ', dependency files changed since the last build' : ''}`);
+    }
+    
     // Build with progress tracking
     const buildProgressInterval = setInterval(async () => {
       const elapsed = ((Date.now() - buildStartTime) / 1000).toFixed(0);
@@ -546,14 +1484,29 @@ async function continueGitHubDeployment(application, credentials, repoPath) {
     }, 15000); // Update every 15 seconds
     
     try {
-      await dockerService.buildImage(repoPath, imageName);
+      const { cache } = await dockerService.buildImage(
+        buildPath,
+        imageName,
+        'latest',
+        deploymentLogger(application._id, 'build'),
+        { cacheFrom }
+      );
       clearInterval(buildProgressInterval);
       
+      application.$locals.build.stages.build = Date.now() - buildStartTime;
+      Object.assign(application.$locals.build, cache);
+      
       const buildDuration = ((Date.now() - buildStartTime) / 1000).toFixed(2);
       application.deploymentLogs.push(`✅ Docker image built successfully in ${buildDuration}s`);
+      application.deploymentLogs.push(`♻️ Layer cache: ${cache.cachedSteps}/${cache.totalSteps} steps cached (${Math.round(cache.cacheHitRatio * 100)}%)`);
       await application.save();
       
+      if (cacheEnabled) {
+        await keepDependencyCache(application, imageName, dependencyHash, previousDependencyHash);
+      }
+      
       // Step 4: Deploy based on target
+      const deployStartTime = Date.now();
       if (application.deploymentTarget === 'ec2') {
         application.deploymentLogs.push('🚀 Deploying to EC2 instance...');
         await application.save();
@@ -563,6 +1516,8 @@ async function continueGitHubDeployment(application, credentials, repoPath) {
         await application.save();
         await pushToECRAndDeploy(application, credentials, imageName);
       }
+      // The ECR push is timed separately
+      application.$locals.build.stages.deploy = Date.now() - deployStartTime - (application.$locals.build.stages.push || 0);
       
     } catch (buildError) {
       clearInterval(buildProgressInterval);
@@ -583,16 +1538,81 @@ async function continueGitHubDeployment(application, credentials, repoPath) {
     await application.save();
     throw error;
   } finally {
-    // Always cleanup the repository
+    await saveBuildMetrics(application);
+    
+    // The clone is the next build's cache, otherwise it goes
+    if (application.build?.cacheEnabled === false) {
+      try {
+        await githubService.cleanupRepo(application._id.toString());
+        console.log('🧹 Repository cleanup completed');
+      } catch (cleanupError) {
+        console.error('⚠️ Cleanup error (non-critical):', cleanupError);
+      }
+    }
+  }
+}
+
+// Images whose layers a build can reuse: the previous build, and the last image
+// built from the same dependency files (deps-<lockfile hash> tag), locally and in ECR
+async function getBuildCacheSources(application, credentials, imageName, dependencyHash) {
+  const dependencyTag = dependencyHash ? `deps-${dependencyHash.slice(0, 16)}` : null;
+  const sources = [];
+  
+  for (const image of [`${imageName}:latest`, dependencyTag && `${imageName}:${dependencyTag}`]) {
+    if (image && await dockerService.imageExists(image)) {
+      sources.push(image);
+    }
+  }
+  
+  const previousImage = application.deploymentTarget === 'ecs' ? application.aws.ecrImageUri : null;
+  if (previousImage) {
     try {
-      await githubService.cleanupRepo(application._id.toString());
-      console.log('🧹 Repository cleanup completed');
-    } catch (cleanupError) {
-      console.error('⚠️ Cleanup error (non-critical):', cleanupError);
+      await ecrService.loginToECR(credentials, application.aws.region);
+      sources.push(previousImage);
+      if (dependencyTag) {
+        sources.push(`${previousImage.replace(/:[^:/]+$/, '')}:${dependencyTag}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️ ECR build cache unavailable: ${error.message}`);
+    }
+  }
+  
+  return [...new Set(sources)];
+}
+
+// Tag the new image with its lockfile hash, replacing the tag of older dependencies
+async function keepDependencyCache(application, imageName, dependencyHash, previousDependencyHash) {
+  try {
+    if (dependencyHash) {
+      await dockerService.tagImage(`${imageName}:latest`, `${imageName}:deps-${dependencyHash.slice(0, 16)}`);
+    }
+    if (previousDependencyHash && previousDependencyHash !== dependencyHash) {
+      await dockerService.removeImage(`${imageName}:deps-${previousDependencyHash.slice(0, 16)}`);
     }
+    application.build.dependencyHash = dependencyHash;
+  } catch (error) {
+    console.warn(`⚠️ Could not update the dependency cache of ${imageName}: ${error.message}`);
   }
 }
 
+// Store what the build spent its time on, on the application and (via
+// recordRelease) on the release
+async function saveBuildMetrics(application) {
+  const build = application.$locals.build;
+  if (!build) return;
+  
+  const { startedAt, ...metrics } = build;
+  application.build.lastMetrics = { ...metrics, durationMs: Date.now() - startedAt };
+  application.markModified('build.lastMetrics');
+  
+  const seconds = (ms) => `${((ms || 0) / 1000).toFixed(1)}s`;
+  application.deploymentLogs.push(
+    `📊 Build stages: clone ${seconds(metrics.stages.clone)}, analyze ${seconds(metrics.stages.analyze)}, ` +
+    `build ${seconds(metrics.stages.build)}, push ${seconds(metrics.stages.push)}, deploy ${seconds(metrics.stages.deploy)}`
+  );
+  await application.save().catch(error => console.error('⚠️ Failed to store build metrics:', error.message));
+}
+
 async function deployFromDocker(application, credentials) {
   console.log('🐳 DOCKER DEPLOYMENT STARTED');
   console.log('Image:', application.docker.image);
@@ -646,58 +1666,326 @@ async function deployDirectlyToECS(application, credentials, dockerHubImage) {
     application.deploymentLogs.push('Creating ECS resources...');
     await application.save();
     
-    const clusterName = 'radynamics-cluster';
-    console.log('🏗️  Creating ECS cluster:', clusterName);
-    await ecsService.createCluster(credentials, application.aws.region, clusterName);
-    console.log('✅ ECS cluster ready');
+    // ECS pulls the image from Docker Hub when the tasks start
+    await runOnECS(application, credentials, dockerHubImage);
     
-    application.deploymentLogs.push('ECS cluster ready');
-    await application.save();
+    console.log('🎉 Application deployed successfully!');
+    console.log('🌐 URL:', application.url);
+    console.log('📦 ECS pulled image:', dockerHubImage);
     
-    // Register task definition with Docker Hub image directly
-    const taskFamily = `radynamics-${application._id}`;
-    console.log('📋 Registering task definition:', taskFamily);
-    console.log('Using Docker Hub image directly:', dockerHubImage);
+  } catch (error) {
+    console.error('❌ Direct ECS deployment failed:', error);
+    throw error;
+  }
+}
+
+const ecsSteadyStateTimeout = () => parseInt(process.env.ECS_STEADY_STATE_TIMEOUT_MINUTES || '10') * 60 * 1000;
+
+// A deploy that failed after the previous version was put back (or kept) serving
+// traffic. Not retried: the same image would fail the same way.
+function rolledBackError(message) {
+  const error = new Error(message);
+  error.rolledBack = true;
+  error.retryable = false;
+  return error;
+}
+
+// Container env vars: plain values, plus the Parameter Store names of secret
+// values, which ECS (task definition secrets) or the EC2 deploy script read
+async function prepareContainerEnvironment(application, credentials) {
+  const { plain, secrets } = application.$locals.environment ||
+    await resolveEnvironment(application, (await buildEnvironment(application)).environment);
+  
+  if (Object.keys(secrets).length === 0) {
+    return { plain, secretParameters: {} };
+  }
+  
+  const secretParameters = await parameterStoreService.syncApplicationSecrets(
+    credentials,
+    application.aws.region,
+    application._id.toString(),
+    secrets
+  );
+  application.deploymentLogs.push(`🔐 ${Object.keys(secretParameters).length} secret(s) stored in SSM Parameter Store`);
+  
+  return { plain, secretParameters };
+}
+
+// Register a task definition for the image and run it as a Fargate service
+// behind the application's load balancer, then wait until it serves traffic.
+// Rollbacks pass the release's recorded taskDefinitionArn, which already
+// references its image, instead of registering a new revision.
+async function runOnECS(application, credentials, image, { taskDefinitionArn = null } = {}) {
+  const region = application.aws.region;
+  const clusterName = 'radynamics-cluster';
+  const taskFamily = `radynamics-${application._id}`;
+  const containerName = application.name.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+  const strategy = application.deploymentStrategy || {};
+  const log = deploymentLogger(application._id, 'deploy');
+  
+  console.log('🏗️  Creating ECS cluster:', clusterName);
+  await ecsService.createCluster(credentials, region, clusterName);
+  application.deploymentLogs.push('ECS cluster ready');
+  log(`ECS cluster ${clusterName} ready`);
+  await application.save();
+  
+  const { plain, secretParameters } = await prepareContainerEnvironment(application, credentials);
+  
+  if (taskDefinitionArn) {
+    // Its secrets are the same parameter names, which now hold the current values
+    application.deploymentLogs.push(`Using task definition ${taskDefinitionArn}`);
+    log(`Using task definition ${taskDefinitionArn}`);
+  } else {
+    const executionRoleArn = await ecsService.ensureExecutionRole(credentials, region);
     
-    const taskDefinition = await ecsService.registerTaskDefinition(credentials, application.aws.region, {
+    console.log('📋 Registering task definition:', taskFamily);
+    const taskDefinition = await ecsService.registerTaskDefinition(credentials, region, {
       family: taskFamily,
-      image: dockerHubImage, // Use Docker Hub image directly
-      containerName: application.name.toLowerCase().replace(/[^a-z0-9-]/g, '-'),
+      image,
+      containerName,
       port: application.runtime.port,
       cpu: application.runtime.cpu,
       memory: application.runtime.memory,
-      environment: Object.entries(application.runtime.environmentVariables || {}).map(([key, value]) => ({
+      executionRoleArn,
+      environment: Object.entries(plain).map(([key, value]) => ({
         name: key,
         value: value
+      })),
+      secrets: Object.entries(secretParameters).map(([key, parameterName]) => ({
+        name: key,
+        valueFrom: parameterName
       }))
     });
-    
     console.log('✅ Task definition registered');
-    application.deploymentLogs.push('Task definition registered');
-    
-    application.aws.ecsCluster = clusterName;
-    application.aws.taskDefinition = taskFamily;
-    application.aws.taskDefinitionArn = taskDefinition.taskDefinitionArn;
-    await application.save();
-    
-    // Mark as running (ECS will pull the image from Docker Hub when task starts)
-    console.log('✅ Marking application as running');
-    application.status = 'running';
-    application.url = `http://app-${application._id}.radynamics.local`;
-    application.lastDeployedAt = new Date();
-    application.deploymentLogs.push('Deployment completed successfully!');
-    application.deploymentLogs.push(`ECS will pull image from Docker Hub: ${dockerHubImage}`);
-    application.deploymentLogs.push('No local Docker required - image pulled directly by AWS ECS');
-    await application.save();
-    
-    console.log('🎉 Application deployed successfully!');
-    console.log('🌐 URL:', application.url);
-    console.log('📦 ECS will pull image:', dockerHubImage);
+    taskDefinitionArn = taskDefinition.taskDefinitionArn;
     
+    application.deploymentLogs.push(`Task definition registered: ${taskDefinitionArn}`);
+    log(`Task definition ${taskFamily}:${taskDefinition.revision} registered`);
+  }
+  
+  application.aws.ecsCluster = clusterName;
+  application.aws.taskDefinition = taskFamily;
+  await application.save();
+  
+  console.log('⚖️  Preparing load balancer...');
+  log('Preparing load balancer, target group and listener');
+  const network = await loadBalancerService.provisionForApplication(credentials, region, {
+    applicationId: application._id.toString(),
+    port: application.runtime.port
+  });
+  
+  application.aws.loadBalancerArn = network.loadBalancerArn;
+  application.aws.loadBalancerDns = network.loadBalancerDns;
+  application.aws.listenerArn = network.listenerArn;
+  application.aws.securityGroupId = network.serviceSecurityGroupId;
+  application.deploymentLogs.push(`Load balancer ready: ${network.loadBalancerDns}`);
+  await application.save();
+  
+  // Blue is the original service and target group, green the second one used by blue/green
+  const colors = {
+    blue: { serviceName: `radynamics-${application._id}`, targetGroupArn: network.targetGroupArn },
+    green: { serviceName: `radynamics-${application._id}-green`, targetGroupArn: null }
+  };
+  const activeColor = network.activeTargetGroupArn === network.targetGroupArn ? 'blue' : 'green';
+  if (activeColor === 'green') {
+    colors.green.targetGroupArn = network.activeTargetGroupArn;
+  }
+  
+  const activeService = await ecsService.getServiceStatus(credentials, region, clusterName, colors[activeColor].serviceName);
+  const isServing = activeService?.status === 'ACTIVE' && activeService.desiredCount > 0;
+  
+  const deployment = {
+    region,
+    clusterName,
+    containerName,
+    taskDefinitionArn,
+    network,
+    colors,
+    activeColor,
+    activeService: isServing ? activeService : null,
+    strategy,
+    log
+  };
+  
+  // Blue/green needs a running version to switch away from, a first deploy is rolled out in place
+  if (strategy.type === 'blue_green' && isServing) {
+    await deployBlueGreen(application, credentials, deployment);
+  } else {
+    await deployRolling(application, credentials, deployment);
+  }
+  
+  application.aws.taskDefinitionArn = taskDefinitionArn;
+  
+  // Custom domains with an issued certificate, the load balancer may be new
+  if (application.domains.some(domain => ['issued', 'active'].includes(domain.status))) {
+    const served = await activateDomains(application, credentials);
+    log(`🔒 ${served} custom domain(s) served over HTTPS`);
+  }
+  
+  application.$locals.deployedImage = image;
+  application.status = 'running';
+  application.url = getCustomDomainUrl(application) || `http://${network.loadBalancerDns}`;
+  application.lastDeployedAt = new Date();
+  application.deploymentLogs.push(`Application URL: ${application.url}`);
+  application.deploymentLogs.push('Deployment completed successfully!');
+  await application.save();
+}
+
+// Replace the tasks of the serving service in place, within the strategy's
+// minimum healthy / maximum percent
+async function deployRolling(application, credentials, deployment) {
+  const { region, clusterName, network, strategy, log } = deployment;
+  const { serviceName, targetGroupArn } = deployment.colors[deployment.activeColor];
+  const previousTaskDefinition = deployment.activeService?.taskDefinition || null;
+  
+  console.log('🚢 Rolling out ECS service:', serviceName);
+  await ecsService.createOrUpdateService(credentials, region, {
+    cluster: clusterName,
+    serviceName,
+    taskDefinition: deployment.taskDefinitionArn,
+    subnets: network.subnetIds,
+    securityGroups: [network.serviceSecurityGroupId],
+    targetGroupArn,
+    containerName: deployment.containerName,
+    containerPort: application.runtime.port,
+    deploymentStrategy: strategy
+  });
+  
+  application.aws.ecsService = serviceName;
+  application.aws.targetGroupArn = targetGroupArn;
+  application.aws.activeColor = deployment.activeColor;
+  application.deploymentLogs.push(`ECS service ${serviceName} updated (rolling, ${strategy.minimumHealthyPercent ?? 100}-${strategy.maximumPercent ?? 200}%), waiting for tasks to become healthy...`);
+  log(`Waiting for ECS service ${serviceName} to reach a steady state`);
+  await application.save();
+  
+  try {
+    await ecsService.waitForSteadyState(credentials, region, clusterName, serviceName, {
+      taskDefinition: deployment.taskDefinitionArn,
+      timeoutMs: ecsSteadyStateTimeout(),
+      onEvent: log
+    });
   } catch (error) {
-    console.error('❌ Direct ECS deployment failed:', error);
+    if (error.circuitBreakerTripped && previousTaskDefinition) {
+      throw rolledBackError(`${error.message}. ECS rolled back to ${previousTaskDefinition}`);
+    }
     throw error;
   }
+  console.log('✅ ECS service is stable');
+  
+  // Nothing to go back to on a first deploy
+  const windowMs = (strategy.rollbackWindowSeconds ?? 120) * 1000;
+  if (!previousTaskDefinition || windowMs === 0) {
+    return;
+  }
+  
+  log(`Watching load balancer health checks for ${windowMs / 1000}s`);
+  const health = await loadBalancerService.watchTargetHealth(credentials, region, targetGroupArn, { windowMs });
+  if (health.healthy) {
+    return;
+  }
+  
+  console.log('⏪ Health checks failed, rolling back to', previousTaskDefinition);
+  log(`⏪ Health checks failed (${health.reason}), rolling back to ${previousTaskDefinition}`);
+  await ecsService.updateService(credentials, region, clusterName, serviceName, previousTaskDefinition, {
+    deploymentStrategy: strategy
+  });
+  await ecsService.waitForSteadyState(credentials, region, clusterName, serviceName, {
+    taskDefinition: previousTaskDefinition,
+    timeoutMs: ecsSteadyStateTimeout(),
+    onEvent: log
+  });
+  
+  throw rolledBackError(`Health checks failed after deploy (${health.reason}), rolled back to ${previousTaskDefinition}`);
+}
+
+// Start the new version as the idle color's service, switch the listener to it
+// once its targets are healthy and keep the old service running until the
+// rollback window has passed
+async function deployBlueGreen(application, credentials, deployment) {
+  const { region, clusterName, network, colors, strategy, log } = deployment;
+  const activeColor = deployment.activeColor;
+  const idleColor = activeColor === 'blue' ? 'green' : 'blue';
+  const active = colors[activeColor];
+  const idle = colors[idleColor];
+  const desiredCount = Math.max(1, deployment.activeService.desiredCount);
+  
+  if (!idle.targetGroupArn) {
+    idle.targetGroupArn = await loadBalancerService.ensureTargetGroup(credentials, region, {
+      name: loadBalancerService.getResourceName(application._id.toString(), '-g'),
+      vpcId: network.vpcId,
+      port: application.runtime.port
+    });
+  }
+  
+  console.log(`🔵🟢 Blue/green deploy: ${activeColor} is live, deploying to ${idleColor}`);
+  log(`Blue/green: ${activeColor} is serving traffic, starting the new version as ${idleColor}`);
+  await ecsService.createOrUpdateService(credentials, region, {
+    cluster: clusterName,
+    serviceName: idle.serviceName,
+    taskDefinition: deployment.taskDefinitionArn,
+    desiredCount,
+    subnets: network.subnetIds,
+    securityGroups: [network.serviceSecurityGroupId],
+    targetGroupArn: idle.targetGroupArn,
+    containerName: deployment.containerName,
+    containerPort: application.runtime.port,
+    deploymentStrategy: strategy
+  });
+  application.deploymentLogs.push(`Blue/green: starting ${idle.serviceName} (${idleColor}), ${active.serviceName} keeps serving traffic`);
+  await application.save();
+  
+  // Until the listener switches, a failure leaves the live version untouched
+  try {
+    await ecsService.waitForSteadyState(credentials, region, clusterName, idle.serviceName, {
+      taskDefinition: deployment.taskDefinitionArn,
+      timeoutMs: ecsSteadyStateTimeout(),
+      onEvent: log
+    });
+    log(`Waiting for ${idleColor} targets to pass load balancer health checks`);
+    await loadBalancerService.waitForHealthyTargets(credentials, region, idle.targetGroupArn, {
+      minHealthy: desiredCount,
+      timeoutMs: ecsSteadyStateTimeout()
+    });
+  } catch (error) {
+    await ecsService.stopService(credentials, region, clusterName, idle.serviceName);
+    throw rolledBackError(`${error.message}. Traffic stayed on ${activeColor}`);
+  }
+  
+  await switchTraffic(application, credentials, region, network, idle.targetGroupArn);
+  log(`🔀 Traffic switched from ${activeColor} to ${idleColor}`);
+  application.deploymentLogs.push(`Traffic switched to ${idle.serviceName} (${idleColor})`);
+  await application.save();
+  
+  const windowMs = (strategy.rollbackWindowSeconds ?? 120) * 1000;
+  if (windowMs > 0) {
+    log(`Watching load balancer health checks for ${windowMs / 1000}s`);
+    const health = await loadBalancerService.watchTargetHealth(credentials, region, idle.targetGroupArn, { windowMs });
+    
+    if (!health.healthy) {
+      console.log(`⏪ Health checks failed, switching traffic back to ${activeColor}`);
+      log(`⏪ Health checks failed (${health.reason}), switching traffic back to ${activeColor}`);
+      await switchTraffic(application, credentials, region, network, active.targetGroupArn);
+      await ecsService.stopService(credentials, region, clusterName, idle.serviceName);
+      throw rolledBackError(`Health checks failed after switching traffic (${health.reason}), switched back to ${activeColor}`);
+    }
+  }
+  
+  // The old version is no longer needed
+  await ecsService.stopService(credentials, region, clusterName, active.serviceName);
+  log(`Stopped ${active.serviceName} (${activeColor})`);
+  
+  application.aws.ecsService = idle.serviceName;
+  application.aws.targetGroupArn = idle.targetGroupArn;
+  application.aws.activeColor = idleColor;
+  await application.save();
+}
+
+// Send the load balancer's traffic, custom domains included, to a target group
+async function switchTraffic(application, credentials, region, network, targetGroupArn) {
+  await loadBalancerService.forwardListener(credentials, region, network.listenerArn, targetGroupArn);
+  if (application.aws.httpsListenerArn) {
+    await loadBalancerService.forwardHostRules(credentials, region, application.aws.httpsListenerArn, targetGroupArn);
+  }
 }
 
 async function deployToEC2(application, credentials, dockerHubImage) {
@@ -739,11 +2027,14 @@ async function deployToEC2(application, credentials, dockerHubImage) {
     application.deploymentLogs.push(`Public IP: ${instanceDetails.publicIp}`);
     await application.save();
 
+    // Previews publish the container on their own port of the parent's instance
+    const hostPort = application.ec2.hostPort || application.runtime.port;
+    
     // Auto-open port in security group using Terraform
     if (instanceDetails.securityGroups && instanceDetails.securityGroups.length > 0) {
       const securityGroupId = instanceDetails.securityGroups[0].GroupId;
-      console.log(`🔓 Auto-opening port ${application.runtime.port} in security group ${securityGroupId} via Terraform`);
-      application.deploymentLogs.push(`Opening port ${application.runtime.port} in security group via Terraform...`);
+      console.log(`🔓 Auto-opening port ${hostPort} in security group ${securityGroupId} via Terraform`);
+      application.deploymentLogs.push(`Opening port ${hostPort} in security group via Terraform...`);
       await application.save();
       
       // Import the Terraform function
@@ -751,23 +2042,27 @@ async function deployToEC2(application, credentials, dockerHubImage) {
       
       const portResult = await openSecurityGroupPort(
         securityGroupId,
-        application.runtime.port,
+        hostPort,
         {
           accessKey: credentials.accessKeyId,
           secretKey: credentials.secretAccessKey,
           region: application.aws.region
         },
-        `Docker app port ${application.runtime.port} - Auto-opened by RaDynamics`
+        `Docker app port ${hostPort} - Auto-opened by RaDynamics`,
+        {
+          organizationId: application.organizationId,
+          stateKey: `sg-${securityGroupId}-${hostPort}`
+        }
       );
       
       if (portResult.success) {
         if (portResult.alreadyExists) {
-          application.deploymentLogs.push(`ℹ️ Port ${application.runtime.port} was already open`);
+          application.deploymentLogs.push(`ℹ️ Port ${hostPort} was already open`);
         } else {
-          application.deploymentLogs.push(`✅ Port ${application.runtime.port} opened successfully via Terraform`);
+          application.deploymentLogs.push(`✅ Port ${hostPort} opened successfully via Terraform`);
         }
       } else {
-        application.deploymentLogs.push(`⚠️ Could not auto-open port ${application.runtime.port}: ${portResult.error}`);
+        application.deploymentLogs.push(`⚠️ Could not auto-open port ${hostPort}: ${portResult.error}`);
         console.error('Port opening failed:', portResult);
       }
       await application.save();
@@ -779,13 +2074,16 @@ async function deployToEC2(application, credentials, dockerHubImage) {
     application.deploymentLogs.push('EC2 will pull image from Docker Hub automatically');
     await application.save();
     
+    const { plain, secretParameters } = await prepareContainerEnvironment(application, credentials);
     const deployResult = await ec2DockerService.deployDockerToEC2(
       credentials,
       application.aws.region,
       application.ec2.instanceId,
       dockerHubImage,
       application.runtime.port,
-      application.runtime.environmentVariables || {}
+      plain,
+      deploymentLogger(application._id, 'deploy'),
+      { hostPort, secretParameters }
     );
     
     console.log('✅ Docker container deployed successfully');
@@ -794,8 +2092,10 @@ async function deployToEC2(application, credentials, dockerHubImage) {
     application.deploymentLogs.push('Container is running on EC2 instance');
     
     // Mark as running
+    application.$locals.deployedImage = dockerHubImage;
+    application.ec2.containerName = deployResult.containerName;
     application.status = 'running';
-    application.url = `http://${instanceDetails.publicIp}:${application.runtime.port}`;
+    application.url = `http://${instanceDetails.publicIp}:${hostPort}`;
     application.lastDeployedAt = new Date();
     application.deploymentLogs.push(`Application URL: ${application.url}`);
     application.deploymentLogs.push('Deployment completed successfully!');
@@ -832,7 +2132,9 @@ async function pushToECRAndDeploy(application, credentials, localImageName) {
     const accountId = await ecrService.getAccountId(credentials, application.aws.region);
     console.log('✅ Account ID:', accountId);
     
-    const ecrImageUri = ecrService.getRepositoryUri(accountId, application.aws.region, repositoryName);
+    // Every deploy gets its own tag so earlier releases keep pointing at their image
+    const imageTag = application.$locals.commit?.sha.slice(0, 12) || `build-${Date.now()}`;
+    const ecrImageUri = `${ecrService.getRepositoryUri(accountId, application.aws.region, repositoryName)}:${imageTag}`;
     console.log('🏷️  ECR Image URI:', ecrImageUri);
     
     console.log('🏷️  Tagging image:', localImageName, '→', ecrImageUri);
@@ -840,9 +2142,25 @@ async function pushToECRAndDeploy(application, credentials, localImageName) {
     console.log('✅ Image tagged');
     
     console.log('📤 Pushing image to ECR...');
+    const pushStartTime = Date.now();
     await dockerService.pushImage(ecrImageUri);
     console.log('✅ Image pushed to ECR');
     
+    // The dependency tag lets the next build reuse these layers from ECR
+    const dependencyHash = application.$locals.build?.dependencyHash;
+    if (dependencyHash && application.build?.cacheEnabled !== false) {
+      const dependencyImageUri = `${ecrImageUri.replace(/:[^:/]+$/, '')}:deps-${dependencyHash.slice(0, 16)}`;
+      try {
+        await dockerService.tagImage(localImageName, dependencyImageUri);
+        await dockerService.pushImage(dependencyImageUri);
+      } catch (error) {
+        console.warn(`⚠️ Could not push the dependency cache image: ${error.message}`);
+      }
+    }
+    if (application.$locals.build) {
+      application.$locals.build.stages.push = Date.now() - pushStartTime;
+    }
+    
     application.aws.ecrRepository = repositoryName;
     application.aws.ecrImageUri = ecrImageUri;
     application.deploymentLogs.push('Image pushed to ECR successfully');
@@ -854,41 +2172,7 @@ async function pushToECRAndDeploy(application, credentials, localImageName) {
     application.deploymentLogs.push('Deploying to ECS...');
     await application.save();
     
-    const clusterName = 'radynamics-cluster';
-    console.log('🏗️  Creating ECS cluster:', clusterName);
-    await ecsService.createCluster(credentials, application.aws.region, clusterName);
-    console.log('✅ ECS cluster ready');
-    
-    // Register task definition
-    const taskFamily = `radynamics-${application._id}`;
-    console.log('📋 Registering task definition:', taskFamily);
-    const taskDefinition = await ecsService.registerTaskDefinition(credentials, application.aws.region, {
-      family: taskFamily,
-      image: ecrImageUri,
-      containerName: application.name.toLowerCase().replace(/[^a-z0-9-]/g, '-'),
-      port: application.runtime.port,
-      cpu: application.runtime.cpu,
-      memory: application.runtime.memory,
-      environment: Object.entries(application.runtime.environmentVariables || {}).map(([key, value]) => ({
-        name: key,
-        value: value
-      }))
-    });
-    console.log('✅ Task definition registered');
-    
-    application.aws.ecsCluster = clusterName;
-    application.aws.taskDefinition = taskFamily;
-    application.aws.taskDefinitionArn = taskDefinition.taskDefinitionArn;
-    application.deploymentLogs.push('Task definition registered');
-    await application.save();
-    
-    // For now, mark as running (full ECS service creation requires VPC/subnet setup)
-    console.log('✅ Marking application as running');
-    application.status = 'running';
-    application.url = `http://app-${application._id}.radynamics.local`;
-    application.lastDeployedAt = new Date();
-    application.deploymentLogs.push('Deployment completed successfully!');
-    await application.save();
+    await runOnECS(application, credentials, ecrImageUri);
     console.log('🎉 Application deployed successfully!');
     console.log('🌐 URL:', application.url);
     
@@ -0,0 +1,230 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { once } from 'events';
+import AuditLog from '../models/AuditLog.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { tenantIsolation, requireRole } from '../middleware/tenantIsolation.js';
+import { verifyAuditChain } from '../utils/auditChain.js';
+
+/**
+ * Audit logs of the organization, for owners and admins
+ *
+ * GET / pages through entries newest first with an opaque cursor, GET /export
+ * streams every matching entry as CSV or JSON Lines for compliance reviews.
+ * Both take the same filters: userId, userEmail, action (comma separated),
+ * resourceType, resourceId, status, from, to (ISO dates). GET /verify checks
+ * the organization's hash chain (utils/auditChain.js).
+ */
+const router = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const EXPORT_FIELDS = [
+  'timestamp', 'id', 'userId', 'userEmail', 'action', 'resourceType', 'resourceId', 'resourceName',
+  'status', 'method', 'endpoint', 'ipAddress', 'userAgent', 'duration', 'errorMessage', 'details',
+  'sequence', 'previousHash', 'hash'
+];
+
+class FilterError extends Error {}
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new FilterError(`${name} must be an ISO date`);
+  }
+  return date;
+};
+
+// Cursor: timestamp and _id of the last entry of the previous page
+const encodeCursor = (log) =>
+  Buffer.from(`${log.timestamp.toISOString()}|${log._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [timestamp, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new FilterError('Invalid cursor');
+  }
+  return { timestamp: parseDate(timestamp, 'cursor'), id: new mongoose.Types.ObjectId(id) };
+};
+
+const buildFilter = (req) => {
+  const { userId, userEmail, action, resourceType, resourceId, status, from, to } = req.query;
+  const filter = { organizationId: req.organizationId };
+
+  if (userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      throw new FilterError('Invalid userId');
+    }
+    filter.userId = new mongoose.Types.ObjectId(userId);
+  }
+  if (userEmail) filter.userEmail = String(userEmail).toLowerCase();
+  if (action) filter.action = { $in: String(action).split(',').map(item => item.trim()).filter(Boolean) };
+  if (resourceType) filter.resourceType = String(resourceType);
+  if (resourceId) filter.resourceId = String(resourceId);
+  if (status) filter.status = String(status);
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = parseDate(from, 'from');
+    if (to) filter.timestamp.$lte = parseDate(to, 'to');
+  }
+
+  return filter;
+};
+
+// Quote CSV cells, and keep spreadsheet apps from running cells as formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolve once the response can take more data or is closed
+const waitForDrain = async (res) => {
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(res, 'drain', { signal: controller.signal }),
+      once(res, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+};
+
+// Page through audit logs, newest first
+router.get('/',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  async (req, res) => {
+  try {
+    const filter = buildFilter(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    if (req.query.cursor) {
+      const { timestamp, id } = decodeCursor(req.query.cursor);
+      filter.$and = [{
+        $or: [
+          { timestamp: { $lt: timestamp } },
+          { timestamp, _id: { $lt: id } }
+        ]
+      }];
+    }
+
+    // One extra entry tells whether there is a next page
+    const logs = await AuditLog.find(filter)
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = logs.length > limit;
+    const page = logs.slice(0, limit);
+
+    res.json({
+      logs: page.map(log => AuditLog.serialize(log)),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    if (error instanceof FilterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching audit logs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Walk the hash chain and report the first broken link
+router.get('/verify',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  async (req, res) => {
+  try {
+    const report = await verifyAuditChain(req.organizationId);
+    res.json({ ...report, verifiedAt: new Date() });
+  } catch (error) {
+    console.error('Error verifying audit logs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stream every matching entry, oldest first: ?format=csv (default) or jsonl
+router.get('/export',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  async (req, res) => {
+  let filter;
+  const format = req.query.format || 'csv';
+
+  try {
+    if (!['csv', 'jsonl'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or jsonl' });
+    }
+    filter = buildFilter(req);
+  } catch (error) {
+    if (error instanceof FilterError) {
+      return res.status(400).json({ error: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+
+  const filename = `audit-logs-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  // The client went away before the export finished
+  let closed = false;
+  res.on('close', () => { closed = !res.writableFinished; });
+
+  const cursor = AuditLog.find(filter).sort({ timestamp: 1, _id: 1 }).lean().cursor();
+  let exported = 0;
+
+  try {
+    if (format === 'csv') {
+      res.write(`${EXPORT_FIELDS.join(',')}\n`);
+    }
+
+    for await (const log of cursor) {
+      if (closed) break;
+
+      const entry = AuditLog.serialize(log);
+      const line = format === 'csv'
+        ? `${EXPORT_FIELDS.map(field => csvCell(entry[field])).join(',')}\n`
+        : `${JSON.stringify(entry)}\n`;
+
+      // Wait for the client to catch up instead of buffering the whole export
+      if (!res.write(line)) {
+        await waitForDrain(res);
+      }
+      exported++;
+    }
+
+    res.end();
+  } catch (error) {
+    // Headers are sent, all that is left is cutting the download short
+    console.error('Error exporting audit logs:', error);
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+
+  await AuditLog.logAction({
+    organizationId: req.organizationId,
+    userId: req.user.userId,
+    userEmail: req.user.email,
+    action: 'audit_logs_exported',
+    resourceType: 'audit_log',
+    method: req.method,
+    endpoint: req.originalUrl,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent'),
+    status: closed ? 'warning' : 'success',
+    details: { format, exported, filters: req.query, completed: !closed }
+  });
+});
+
+export default router;
@@ -0,0 +1,331 @@
+import express from 'express';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import AuditSink from '../models/AuditSink.js';
+import AuditDeadLetter from '../models/AuditDeadLetter.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { tenantIsolation, requireRole } from '../middleware/tenantIsolation.js';
+import { auditLogger, setAuditResource, setAuditDetails } from '../middleware/auditLogger.js';
+import { encrypt } from '../utils/encryption.js';
+import {
+  FILENAME,
+  getChainHead,
+  getSinkFilePath,
+  resolveSinkAddress,
+  sendTestEvent,
+  redeliverDeadLetters
+} from '../utils/auditSinks.js';
+
+/**
+ * Audit sinks: where the organization's audit log is streamed to, for owners and admins
+ *
+ * type webhook: { url, secret } (HTTPS, the secret is generated when omitted
+ * and only returned once), syslog: { host, port, protocol, facility, appName },
+ * file: { filename }. A new sink starts with the next entry, or with every
+ * retained entry when replay is true.
+ */
+const router = express.Router();
+
+const MAX_SINKS = 10;
+
+class SinkConfigError extends Error {}
+
+const findSink = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  return AuditSink.findOne({ _id: req.params.id, organizationId: req.organizationId });
+};
+
+/**
+ * Copy the settings of a sink's type from the request body
+ * @returns {string|null} - The generated webhook secret, to return once
+ */
+const applyConfig = (sink, body) => {
+  let generatedSecret = null;
+
+  if (body.name !== undefined) sink.name = body.name;
+  if (body.enabled !== undefined) sink.enabled = Boolean(body.enabled);
+  if (body.batchSize !== undefined) sink.batchSize = body.batchSize;
+
+  const config = body[sink.type];
+  if (sink.type === 'webhook') {
+    if (config?.url !== undefined) {
+      let url;
+      try {
+        url = new URL(config.url);
+      } catch {
+        throw new SinkConfigError('webhook.url must be a URL');
+      }
+      if (url.protocol !== 'https:') {
+        throw new SinkConfigError('webhook.url must use HTTPS');
+      }
+      sink.webhook.url = url.toString();
+    }
+    if (config?.secret !== undefined) {
+      if (typeof config.secret !== 'string' || config.secret.length < 16) {
+        throw new SinkConfigError('webhook.secret must be at least 16 characters');
+      }
+      sink.webhook.secret = encrypt(config.secret);
+    } else if (!sink.webhook.secret || body.rotateSecret) {
+      generatedSecret = crypto.randomBytes(32).toString('hex');
+      sink.webhook.secret = encrypt(generatedSecret);
+    }
+    if (!sink.webhook.url) {
+      throw new SinkConfigError('webhook.url is required');
+    }
+  }
+
+  if (sink.type === 'syslog') {
+    for (const field of ['host', 'port', 'protocol', 'facility', 'appName']) {
+      if (config?.[field] !== undefined) sink.syslog[field] = config[field];
+    }
+    if (!sink.syslog.host || !/^[A-Za-z0-9.:-]+$/.test(sink.syslog.host)) {
+      throw new SinkConfigError('syslog.host must be a hostname or IP address');
+    }
+    if (!Number.isInteger(sink.syslog.port) || sink.syslog.port < 1 || sink.syslog.port > 65535) {
+      throw new SinkConfigError('syslog.port must be between 1 and 65535');
+    }
+  }
+
+  if (sink.type === 'file') {
+    if (config?.filename !== undefined) sink.file.filename = config.filename;
+    if (!FILENAME.test(sink.file.filename || '')) {
+      throw new SinkConfigError('file.filename must be a file name ending in .ndjson, .jsonl or .log');
+    }
+  }
+
+  const validationError = sink.validateSync();
+  if (validationError) {
+    throw new SinkConfigError(validationError.message);
+  }
+
+  return generatedSecret;
+};
+
+// Receivers must be on the public internet, checked again on every delivery
+const checkDestination = async (sink) => {
+  try {
+    await resolveSinkAddress(sink);
+  } catch (error) {
+    throw new SinkConfigError(error.code === 'ENOTFOUND' ? `${error.hostname} does not resolve` : error.message);
+  }
+};
+
+const serializeSink = (sink) => ({
+  ...sink.toJSON(),
+  ...(sink.type === 'file' && { filePath: getSinkFilePath(sink) })
+});
+
+router.get('/',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  async (req, res) => {
+  try {
+    const sinks = await AuditSink.find({ organizationId: req.organizationId }).sort({ name: 1 });
+    res.json({ sinks: sinks.map(serializeSink) });
+  } catch (error) {
+    console.error('Error fetching audit sinks:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('audit_sink_created', 'audit_sink'),
+  async (req, res) => {
+  try {
+    const { type, replay } = req.body;
+    if (!['webhook', 'syslog', 'file'].includes(type)) {
+      return res.status(400).json({ error: 'type must be webhook, syslog or file' });
+    }
+    if (await AuditSink.countDocuments({ organizationId: req.organizationId }) >= MAX_SINKS) {
+      return res.status(400).json({ error: `An organization can have at most ${MAX_SINKS} audit sinks` });
+    }
+
+    const sink = new AuditSink({
+      organizationId: req.organizationId,
+      type,
+      cursor: replay ? 0 : await getChainHead(req.organizationId),
+      createdBy: req.user.userId,
+      updatedBy: req.user.userId
+    });
+    const secret = applyConfig(sink, req.body);
+    await checkDestination(sink);
+
+    try {
+      await sink.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: `An audit sink named ${sink.name} already exists` });
+      }
+      throw error;
+    }
+
+    setAuditResource(req, sink._id.toString(), sink.name);
+    setAuditDetails(req, { type, replay: Boolean(replay) });
+
+    console.log(`📡 Audit sink ${sink.name} (${type}) created`);
+    res.status(201).json({
+      message: 'Audit sink created',
+      sink: serializeSink(sink),
+      ...(secret && { secret })
+    });
+  } catch (error) {
+    if (error instanceof SinkConfigError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error creating audit sink:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change settings, enable/disable, or rotateSecret: true for a new webhook secret
+router.put('/:id',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('audit_sink_updated', 'audit_sink'),
+  async (req, res) => {
+  try {
+    const sink = await findSink(req);
+    if (!sink) {
+      return res.status(404).json({ error: 'Audit sink not found' });
+    }
+
+    const secret = applyConfig(sink, req.body);
+    await checkDestination(sink);
+    // New settings deserve a try right away
+    sink.attempts = 0;
+    sink.nextAttemptAt = null;
+    sink.updatedBy = req.user.userId;
+
+    try {
+      await sink.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: `An audit sink named ${sink.name} already exists` });
+      }
+      throw error;
+    }
+
+    setAuditResource(req, sink._id.toString(), sink.name);
+    setAuditDetails(req, { enabled: sink.enabled, secretRotated: Boolean(secret) });
+
+    res.json({
+      message: 'Audit sink updated',
+      sink: serializeSink(sink),
+      ...(secret && { secret })
+    });
+  } catch (error) {
+    if (error instanceof SinkConfigError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error updating audit sink:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('audit_sink_deleted', 'audit_sink'),
+  async (req, res) => {
+  try {
+    const sink = await findSink(req);
+    if (!sink) {
+      return res.status(404).json({ error: 'Audit sink not found' });
+    }
+
+    await sink.deleteOne();
+    const { deletedCount } = await AuditDeadLetter.deleteMany({ sinkId: sink._id });
+
+    setAuditResource(req, sink._id.toString(), sink.name);
+    setAuditDetails(req, { type: sink.type, deadLettersDeleted: deletedCount });
+
+    res.json({ message: 'Audit sink deleted' });
+  } catch (error) {
+    console.error('Error deleting audit sink:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send a test event and report what the sink said
+router.post('/:id/test',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  async (req, res) => {
+  try {
+    const sink = await findSink(req);
+    if (!sink) {
+      return res.status(404).json({ error: 'Audit sink not found' });
+    }
+
+    try {
+      await sendTestEvent(sink, req.user);
+      res.json({ delivered: true });
+    } catch (error) {
+      res.json({ delivered: false, error: error.message });
+    }
+  } catch (error) {
+    console.error('Error testing audit sink:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Entries the sink gave up on, oldest first
+router.get('/:id/dead-letters',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  async (req, res) => {
+  try {
+    const sink = await findSink(req);
+    if (!sink) {
+      return res.status(404).json({ error: 'Audit sink not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const [deadLetters, total] = await Promise.all([
+      AuditDeadLetter.find({ sinkId: sink._id }).sort({ sequence: 1, _id: 1 }).limit(limit).lean(),
+      AuditDeadLetter.countDocuments({ sinkId: sink._id })
+    ]);
+
+    res.json({ deadLetters, total });
+  } catch (error) {
+    console.error('Error fetching dead letters:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deliver dead letters again, e.g. once the receiving end is fixed
+router.post('/:id/dead-letters/redeliver',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('audit_sink_redelivered', 'audit_sink'),
+  async (req, res) => {
+  try {
+    const sink = await findSink(req);
+    if (!sink) {
+      return res.status(404).json({ error: 'Audit sink not found' });
+    }
+
+    const result = await redeliverDeadLetters(sink);
+
+    setAuditResource(req, sink._id.toString(), sink.name);
+    setAuditDetails(req, result);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error redelivering dead letters:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -6,9 +6,12 @@ import User from '../models/User.js';
 import OTP from '../models/OTP.js';
 import Organization from '../models/Organization.js';
 import { sendOTPEmail, generateOTP } from '../utils/emailService.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+import { generateSecret, buildOtpauthUri, verifyCode } from '../utils/totp.js';
 import { authLimiter } from '../middleware/rateLimiter.js';
 import { validateEmail, validateOTP } from '../middleware/validation.js';
-import { auditLogger, logFailedAuth } from '../middleware/auditLogger.js';
+import { authMiddleware, mfaSetupAuthMiddleware } from '../middleware/auth.js';
+import { auditLogger, logFailedAuth, setAuditDetails, setAuditResource } from '../middleware/auditLogger.js';
 
 const router = express.Router();
 
@@ -38,6 +41,84 @@ const bcryptCompareWithTimeout = async (plainPassword, hashedPassword) => {
   });
 };
 
+// ==================== MFA HELPERS ====================
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'RaDynamics';
+
+// Second step after the emailed OTP: the authenticator code when enrolled,
+// enrollment when the organization requires MFA, none otherwise
+const getMfaStep = (user, organization) => {
+  if (user.mfa?.enabled) return 'verify_totp';
+  if (organization?.settings?.requireMFA) return 'enroll_totp';
+  return null;
+};
+
+const mfaChallenge = (user, step) => ({
+  success: true,
+  message: step === 'verify_totp'
+    ? 'Enter the code from your authenticator app.'
+    : 'Your organization requires two-factor authentication. Set up an authenticator app to continue.',
+  nextStep: step,
+  mfaToken: jwt.sign(
+    { userId: user._id, email: user.email, type: 'mfa_pending', step },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m' }
+  )
+});
+
+const signSessionToken = (user) => jwt.sign(
+  {
+    userId: user._id,
+    email: user.email,
+    organizationId: user.defaultOrganizationId,
+    mfa: true
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: '30d' }
+);
+
+const loginResponse = (user, organization, token) => ({
+  success: true,
+  message: 'Login successful!',
+  token,
+  user: {
+    id: user._id,
+    email: user.email,
+    name: user.name,
+    profilePhoto: user.profilePhoto,
+    organizationId: user.defaultOrganizationId
+  },
+  organization: organization ? {
+    id: organization._id,
+    name: organization.name,
+    plan: organization.subscription.plan,
+    role: organization.getMemberRole(user._id)
+  } : null
+});
+
+// mfaToken of a login at the given step, as the request user
+const verifyMfaToken = (token, step) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'mfa_pending' && decoded.step === step ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+// Enrollment takes a session, or the mfaToken of a login that has to enroll first
+const enrollmentAuth = (req, res, next) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  const decoded = token && verifyMfaToken(token, 'enroll_totp');
+  if (!decoded) {
+    return mfaSetupAuthMiddleware(req, res, next);
+  }
+
+  req.user = { userId: decoded.userId, email: decoded.email, organizationId: null, mfa: false };
+  req.mfaLogin = true;
+  next();
+};
+
 // Sign Up - Step 1: Create account and send OTP
 router.post('/signup', 
   authLimiter,
@@ -550,6 +631,13 @@ router.post('/verify-login-otp',
     // Get user's organization
     const organization = await Organization.findById(user.defaultOrganizationId);
 
+    // Authenticator code next, or enrollment when the organization requires one
+    const mfaStep = getMfaStep(user, organization);
+    if (mfaStep) {
+      req.auditAction = 'otp_verified';
+      return res.json(mfaChallenge(user, mfaStep));
+    }
+
     // Generate final JWT token
     const token = jwt.sign(
       { 
@@ -758,6 +846,13 @@ router.post('/verify-otp',
     // Get user's organization
     const organization = await Organization.findById(user.defaultOrganizationId);
 
+    // Authenticator code next, or enrollment when the organization requires one
+    const mfaStep = getMfaStep(user, organization);
+    if (mfaStep) {
+      req.auditAction = 'otp_verified';
+      return res.json(mfaChallenge(user, mfaStep));
+    }
+
     // Generate JWT token
     const token = jwt.sign(
       { 
@@ -803,6 +898,250 @@ router.post('/verify-otp',
   }
 });
 
+// ==================== TOTP (AUTHENTICATOR APPS) ====================
+
+// Organizations of the user that require MFA
+const findOrganizationsRequiringMfa = (userId) => Organization.find({
+  isActive: true,
+  'settings.requireMFA': true,
+  $or: [{ ownerId: userId }, { 'members.userId': userId }]
+}).select('name');
+
+// Step 3: Authenticator code (or a recovery code) after the emailed OTP
+router.post('/verify-totp',
+  authLimiter,
+  auditLogger('login', 'user'),
+  async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (!mfaToken || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'MFA token and code are required'
+      });
+    }
+
+    const decoded = verifyMfaToken(mfaToken, 'verify_totp');
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired. Please login again.',
+        code: 'SESSION_EXPIRED'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    req.user = { userId: user._id, email: user.email, organizationId: user.defaultOrganizationId };
+
+    const method = await user.verifyMfaCode(code);
+    if (!method) {
+      await logFailedAuth(user.email, req.ip, req.get('user-agent'), 'Invalid MFA code');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid code. Please check and try again.',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    setAuditDetails(req, { mfaMethod: method });
+    const organization = await Organization.findById(user.defaultOrganizationId);
+
+    console.log(`✅ MFA login for ${user.email} (${method === 'totp' ? 'authenticator' : 'recovery code'})`);
+
+    res.json({
+      ...loginResponse(user, organization, signSessionToken(user)),
+      ...(method === 'recovery_code' && { recoveryCodesRemaining: user.getRemainingRecoveryCodes() })
+    });
+  } catch (error) {
+    console.error('❌ TOTP verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Code verification failed'
+    });
+  }
+});
+
+// Two-factor status of the current user
+router.get('/mfa', mfaSetupAuthMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('mfa');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const requiredBy = await findOrganizationsRequiringMfa(user._id);
+
+    res.json({
+      enabled: !!user.mfa?.enabled,
+      enrolledAt: user.mfa?.enrolledAt || null,
+      recoveryCodesRemaining: user.getRemainingRecoveryCodes(),
+      requiredBy: requiredBy.map(organization => ({ id: organization._id, name: organization.name }))
+    });
+  } catch (error) {
+    console.error('❌ MFA status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enrollment step 1: a new secret for the authenticator app (otpauth URI to show as a QR code)
+router.post('/mfa/enroll',
+  authLimiter,
+  enrollmentAuth,
+  async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.mfa?.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.mfa.pendingSecret = encrypt(secret);
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: MFA_ISSUER }),
+      nextStep: 'verify_enrollment'
+    });
+  } catch (error) {
+    console.error('❌ MFA enrollment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enrollment step 2: confirm with a first code. Returns a session and the recovery codes (shown once).
+router.post('/mfa/enroll/verify',
+  authLimiter,
+  enrollmentAuth,
+  auditLogger('mfa_enabled', 'user'),
+  async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.mfa?.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.mfa?.pendingSecret) {
+      return res.status(400).json({ error: 'Start enrollment first with POST /api/auth/mfa/enroll' });
+    }
+
+    const step = verifyCode(decrypt(user.mfa.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(401).json({
+        error: 'Invalid code. Check the time on your device and try again.',
+        code: 'INVALID_MFA_CODE'
+      });
+    }
+
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.enabled = true;
+    user.mfa.enrolledAt = new Date();
+    user.mfa.lastUsedStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    setAuditResource(req, user._id.toString(), user.email);
+    setAuditDetails(req, { duringLogin: !!req.mfaLogin });
+
+    const organization = await Organization.findById(user.defaultOrganizationId);
+
+    console.log(`🔐 MFA enabled for ${user.email}`);
+
+    res.json({
+      ...loginResponse(user, organization, signSessionToken(user)),
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe, they are only shown once.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('❌ MFA enrollment verification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// New recovery codes (the old ones stop working), confirmed with an authenticator code
+router.post('/mfa/recovery-codes',
+  authLimiter,
+  authMiddleware,
+  auditLogger('mfa_recovery_codes_regenerated', 'user'),
+  async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user?.mfa?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!await user.verifyMfaCode(req.body.code, { allowRecoveryCode: false })) {
+      return res.status(401).json({ error: 'Invalid code', code: 'INVALID_MFA_CODE' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    setAuditResource(req, user._id.toString(), user.email);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    console.error('❌ Recovery code error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Turn MFA off, unless an organization of the user requires it
+router.delete('/mfa',
+  authLimiter,
+  authMiddleware,
+  auditLogger('mfa_disabled', 'user'),
+  async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user?.mfa?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const requiredBy = await findOrganizationsRequiringMfa(user._id);
+    if (requiredBy.length > 0) {
+      return res.status(403).json({
+        error: `Two-factor authentication is required by ${requiredBy.map(organization => organization.name).join(', ')}`
+      });
+    }
+
+    if (!await user.verifyMfaCode(req.body.code)) {
+      return res.status(401).json({ error: 'Invalid code', code: 'INVALID_MFA_CODE' });
+    }
+
+    user.mfa.enabled = false;
+    user.mfa.secret = undefined;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.enrolledAt = undefined;
+    user.mfa.lastUsedStep = -1;
+    user.mfa.recoveryCodes = [];
+    await user.save();
+
+    setAuditResource(req, user._id.toString(), user.email);
+    console.log(`🔓 MFA disabled for ${user.email}`);
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('❌ MFA disable error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Debug login endpoint
 router.post('/debug-login', async (req, res) => {
   try {
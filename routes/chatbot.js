@@ -259,6 +259,8 @@ async function generateResponse(question, userContext, userId) {
       
       apps.forEach((app, index) => {
         const statusEmoji = app.status === 'running' ? '✅' : 
+                           app.status === 'degraded' ? '⚠️' : 
+                           app.status === 'down' ? '🔴' : 
                            app.status === 'failed' ? '❌' : 
                            app.status === 'pending' ? '⏳' : '🔄';
         
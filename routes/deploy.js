@@ -1,15 +1,59 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
+import { tenantIsolation, requireRole } from '../middleware/tenantIsolation.js';
 import Deployment from '../models/Deployment.js';
 import AWSAccount from '../models/AWSAccount.js';
 import Notification from '../models/Notification.js';
-import { executeTerraform } from '../utils/terraform.js';
+import TerraformState from '../models/TerraformState.js';
+import { executeTerraform, planTerraform, applyTerraformPlan, destroyTerraform } from '../utils/terraform.js';
+import { registerJobHandler, enqueueJob, hasActiveJob } from '../utils/jobQueue.js';
 import { deployLimiter } from '../middleware/rateLimiter.js';
 import { validateEC2Deployment, validateS3Deployment, validateIAMDeployment, validateMongoId } from '../middleware/validation.js';
-import { auditLogger, setAuditResource } from '../middleware/auditLogger.js';
+import { auditLogger, setAuditResource, setAuditDetails } from '../middleware/auditLogger.js';
 
 const router = express.Router();
 
+// Build the Terraform config for each resource type from a request body
+const buildEC2Config = (body, awsAccount) => ({
+  instance_name: body.instance_name,
+  region: body.region || awsAccount.region,
+  availability_zone: body.availability_zone,
+  instance_type: body.instance_type,
+  ami_id: body.ami_id,
+  key_name: body.key_name,
+  vpc_id: body.vpc_id,
+  subnet_id: body.subnet_id,
+  assign_public_ip: body.assign_public_ip !== false,
+  security_group_ids: body.security_group_ids || [],
+  root_volume_size: body.root_volume_size || 20,
+  root_volume_type: body.root_volume_type || 'gp3',
+  enable_ebs_encryption: body.enable_ebs_encryption !== false,
+  iam_role: body.iam_role,
+  user_data: body.user_data,
+  shutdown_behavior: body.shutdown_behavior || 'stop',
+  enable_monitoring: body.enable_monitoring || false
+});
+
+const buildS3Config = ({ bucketName, isPublic, versioning, encryption }) => ({
+  bucketName, isPublic, versioning, encryption
+});
+
+const buildIAMConfig = ({ username, permissions }) => ({ username, permissions });
+
+// Remote state is keyed by organization and deployment. Deployments created
+// before remote state existed have no stateBackend and keep local state.
+const stateContextFor = (deployment, backend = deployment.stateBackend) => ({
+  backend,
+  organizationId: deployment.organizationId,
+  stateKey: deployment._id.toString()
+});
+
+const resourceTypes = {
+  ec2: { label: 'EC2', validator: validateEC2Deployment, buildConfig: buildEC2Config, nameField: 'instance_name' },
+  s3: { label: 'S3', validator: validateS3Deployment, buildConfig: buildS3Config, nameField: 'bucketName' },
+  iam: { label: 'IAM', validator: validateIAMDeployment, buildConfig: buildIAMConfig, nameField: 'username' }
+};
+
 // Deploy EC2
 router.post('/ec2', 
   authMiddleware, 
@@ -18,26 +62,7 @@ router.post('/ec2',
   auditLogger('deployment_created', 'ec2'),
   async (req, res) => {
   try {
-    const {
-      instance_name,
-      region,
-      availability_zone,
-      instance_type,
-      ami_id,
-      key_name,
-      vpc_id,
-      subnet_id,
-      assign_public_ip,
-      security_group_ids,
-      root_volume_size,
-      root_volume_type,
-      enable_ebs_encryption,
-      iam_role,
-      user_data,
-      shutdown_behavior,
-      enable_monitoring,
-      awsAccountId
-    } = req.body;
+    const { instance_name, instance_type, ami_id, key_name, awsAccountId } = req.body;
 
     if (!instance_name || !instance_type || !ami_id || !key_name || !awsAccountId) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -52,28 +77,11 @@ router.post('/ec2',
       return res.status(404).json({ error: 'AWS account not found' });
     }
 
-    const config = {
-      instance_name,
-      region: region || awsAccount.region,
-      availability_zone,
-      instance_type,
-      ami_id,
-      key_name,
-      vpc_id,
-      subnet_id,
-      assign_public_ip: assign_public_ip !== false,
-      security_group_ids: security_group_ids || [],
-      root_volume_size: root_volume_size || 20,
-      root_volume_type: root_volume_type || 'gp3',
-      enable_ebs_encryption: enable_ebs_encryption !== false,
-      iam_role,
-      user_data,
-      shutdown_behavior: shutdown_behavior || 'stop',
-      enable_monitoring: enable_monitoring || false
-    };
+    const config = buildEC2Config(req.body, awsAccount);
 
     const deployment = new Deployment({
       userId: req.user.userId,
+      organizationId: req.user.organizationId,
       awsAccountId,
       resourceType: 'ec2',
       resourceName: instance_name,
@@ -117,11 +125,12 @@ router.post('/ec2',
       accessKey: credentials.accessKeyId,
       secretKey: credentials.secretAccessKey,
       region: config.region
-    }).then(async (result) => {
+    }, req.user.userId, stateContextFor(deployment)).then(async (result) => {
       deployment.status = result.success ? 'completed' : 'failed';
       deployment.terraformOutput = result.output;
       deployment.errorLog = result.error;
       deployment.workspaceId = result.workspaceId;
+      deployment.stateBackend = result.stateBackend;
       deployment.updatedAt = new Date();
       await deployment.save();
       
@@ -161,7 +170,7 @@ router.post('/s3',
   auditLogger('deployment_created', 's3'),
   async (req, res) => {
   try {
-    const { bucketName, isPublic, versioning, encryption, awsAccountId } = req.body;
+    const { bucketName, awsAccountId } = req.body;
 
     if (!bucketName || !awsAccountId) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -176,10 +185,11 @@ router.post('/s3',
       return res.status(404).json({ error: 'AWS account not found' });
     }
 
-    const config = { bucketName, isPublic, versioning, encryption };
+    const config = buildS3Config(req.body);
 
     const deployment = new Deployment({
       userId: req.user.userId,
+      organizationId: req.user.organizationId,
       awsAccountId,
       resourceType: 's3',
       resourceName: bucketName,
@@ -217,11 +227,12 @@ router.post('/s3',
       accessKey: credentials.accessKeyId,
       secretKey: credentials.secretAccessKey,
       region: awsAccount.region
-    }).then(async (result) => {
+    }, req.user.userId, stateContextFor(deployment)).then(async (result) => {
       deployment.status = result.success ? 'completed' : 'failed';
       deployment.terraformOutput = result.output;
       deployment.errorLog = result.error;
       deployment.workspaceId = result.workspaceId;
+      deployment.stateBackend = result.stateBackend;
       deployment.updatedAt = new Date();
       await deployment.save();
       
@@ -276,10 +287,11 @@ router.post('/iam',
       return res.status(404).json({ error: 'AWS account not found' });
     }
 
-    const config = { username, permissions };
+    const config = buildIAMConfig(req.body);
 
     const deployment = new Deployment({
       userId: req.user.userId,
+      organizationId: req.user.organizationId,
       awsAccountId,
       resourceType: 'iam',
       resourceName: username,
@@ -304,11 +316,12 @@ router.post('/iam',
       accessKey: credentials.accessKeyId,
       secretKey: credentials.secretAccessKey,
       region: awsAccount.region
-    }).then(async (result) => {
+    }, req.user.userId, stateContextFor(deployment)).then(async (result) => {
       deployment.status = result.success ? 'completed' : 'failed';
       deployment.terraformOutput = result.output;
       deployment.errorLog = result.error;
       deployment.workspaceId = result.workspaceId;
+      deployment.stateBackend = result.stateBackend;
       deployment.updatedAt = new Date();
       await deployment.save();
     });
@@ -319,15 +332,196 @@ router.post('/iam',
   }
 });
 
-// Get Deployment Status
+// Plan a deployment (EC2/S3/IAM) without applying it, so the diff can be reviewed
+Object.entries(resourceTypes).forEach(([type, { label, validator, buildConfig, nameField }]) => {
+  router.post(`/${type}/plan`,
+    authMiddleware,
+    deployLimiter,
+    validator,
+    auditLogger('deployment_planned', type),
+    async (req, res) => {
+    try {
+      const { awsAccountId } = req.body;
+
+      const awsAccount = await AWSAccount.findOne({
+        _id: awsAccountId,
+        userId: req.user.userId
+      });
+
+      if (!awsAccount) {
+        return res.status(404).json({ error: 'AWS account not found' });
+      }
+
+      const config = buildConfig(req.body, awsAccount);
+      const resourceName = req.body[nameField];
+
+      const deployment = new Deployment({
+        userId: req.user.userId,
+        organizationId: req.user.organizationId,
+        awsAccountId,
+        resourceType: type,
+        resourceName,
+        config,
+        status: 'planning'
+      });
+
+      await deployment.save();
+
+      // Set audit resource info
+      setAuditResource(req, deployment._id.toString(), resourceName);
+
+      const credentials = awsAccount.getDecryptedCredentials();
+      planTerraform(type, config, {
+        accessKey: credentials.accessKeyId,
+        secretKey: credentials.secretAccessKey,
+        region: config.region || awsAccount.region
+      }, req.user.userId, stateContextFor(deployment)).then(async (result) => {
+        deployment.status = result.success ? 'planned' : 'plan_failed';
+        deployment.workspaceId = result.workspaceId;
+        deployment.stateBackend = result.stateBackend;
+        deployment.errorLog = result.error;
+
+        if (result.success) {
+          deployment.plan = {
+            summary: result.summary,
+            resourceChanges: result.resourceChanges,
+            output: result.output,
+            file: result.planFile,
+            checksum: result.checksum,
+            createdAt: new Date()
+          };
+        }
+
+        deployment.updatedAt = new Date();
+        await deployment.save();
+      }).catch((error) => {
+        console.error(`⚠️ Failed to record ${label} plan result:`, error);
+      });
+
+      res.status(201).json({ deploymentId: deployment._id, status: 'planning' });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+});
+
+// Approve a planned deployment and apply exactly the saved plan
+router.post('/:id/approve',
+  authMiddleware,
+  validateMongoId('id'),
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('deployment_approved', 'deployment'),
+  async (req, res) => {
+  try {
+    const filter = { _id: req.params.id, organizationId: req.organizationId };
+    const planned = await Deployment.findOne(filter);
+
+    if (!planned) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+
+    if (planned.status !== 'planned') {
+      return res.status(409).json({
+        error: 'Deployment is not awaiting approval',
+        status: planned.status
+      });
+    }
+
+    const awsAccount = await AWSAccount.findById(planned.awsAccountId);
+
+    if (!awsAccount) {
+      return res.status(404).json({ error: 'AWS account not found' });
+    }
+
+    // Only one of two concurrent approvals gets to apply the plan
+    const deployment = await Deployment.findOneAndUpdate(
+      { ...filter, status: 'planned' },
+      {
+        $set: {
+          status: 'pending',
+          'plan.approvedBy': req.user.userId,
+          'plan.approvedAt': new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { new: true }
+    ).select('+plan.file');
+
+    if (!deployment) {
+      return res.status(409).json({ error: 'Deployment is not awaiting approval' });
+    }
+
+    const { label } = resourceTypes[deployment.resourceType];
+
+    // Increment organization usage
+    if (req.organization) {
+      req.organization.incrementUsage('deployment');
+      await req.organization.save();
+    }
+
+    // Set audit resource info
+    setAuditResource(req, deployment._id.toString(), deployment.resourceName);
+
+    // Apply with decrypted credentials, passed to Terraform via the environment
+    const credentials = awsAccount.getDecryptedCredentials();
+    applyTerraformPlan(
+      deployment.workspaceId,
+      deployment.plan.file,
+      deployment.plan.checksum,
+      {
+        accessKey: credentials.accessKeyId,
+        secretKey: credentials.secretAccessKey,
+        region: deployment.config?.region || awsAccount.region
+      },
+      stateContextFor(deployment)
+    ).then(async (result) => {
+      deployment.status = result.success ? 'completed' : 'failed';
+      deployment.terraformOutput = result.output;
+      deployment.errorLog = result.error;
+      deployment.updatedAt = new Date();
+      await deployment.save();
+
+      try {
+        await Notification.createNotification({
+          userId: deployment.userId,
+          type: result.success ? 'deployment_success' : 'deployment_failed',
+          title: result.success ? `${label} Deployment Successful` : `${label} Deployment Failed`,
+          message: result.success
+            ? `Approved plan for ${label} resource "${deployment.resourceName}" has been applied successfully`
+            : `Failed to apply approved plan for ${label} resource "${deployment.resourceName}". ${result.error || 'Unknown error'}`,
+          priority: result.success ? 'medium' : 'high',
+          data: {
+            deploymentId: deployment._id,
+            resourceName: deployment.resourceName,
+            resourceType: deployment.resourceType
+          }
+        });
+      } catch (notifError) {
+        console.error('⚠️ Failed to create plan apply notification:', notifError);
+      }
+    }).catch((error) => {
+      console.error('⚠️ Failed to record plan apply result:', error);
+    });
+
+    res.json({ success: true, deploymentId: deployment._id, status: 'pending' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get Deployment Status. Owners and admins, who approve plans, can read
+// every deployment of the organization, members their own.
 router.get('/:id/status', 
   authMiddleware,
   validateMongoId('id'),
+  tenantIsolation,
   async (req, res) => {
   try {
     const deployment = await Deployment.findOne({
       _id: req.params.id,
-      userId: req.user.userId
+      organizationId: req.organizationId,
+      ...(!['owner', 'admin'].includes(req.userRole) && { userId: req.user.userId })
     });
 
     if (!deployment) {
@@ -340,6 +534,24 @@ router.get('/:id/status',
   }
 });
 
+// Plans of the organization waiting for an owner or admin to approve them
+router.get('/list/planned',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  async (req, res) => {
+  try {
+    const deployments = await Deployment.find({
+      organizationId: req.organizationId,
+      status: 'planned'
+    }).sort({ createdAt: -1 });
+
+    res.json({ deployments });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get All Deployments
 router.get('/list/all', authMiddleware, async (req, res) => {
   try {
@@ -374,6 +586,109 @@ router.delete('/:id',
   }
 });
 
+// Release a state lock left behind by a Terraform run that never finished
+router.delete('/:id/state-lock',
+  authMiddleware,
+  validateMongoId('id'),
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('terraform_state_unlocked', 'deployment'),
+  async (req, res) => {
+  try {
+    const deployment = await Deployment.findOne({
+      _id: req.params.id,
+      organizationId: req.organizationId
+    });
+
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+
+    const { organizationId, stateKey } = stateContextFor(deployment);
+    const previous = await TerraformState.forceUnlock(organizationId, stateKey);
+
+    if (!previous) {
+      return res.status(409).json({ error: 'State is not locked' });
+    }
+
+    setAuditResource(req, deployment._id.toString(), deployment.resourceName);
+    setAuditDetails(req, {
+      lockId: previous.lock.id,
+      operation: previous.lock.info?.Operation,
+      lockedBy: previous.lock.info?.Who,
+      lockedAt: previous.lock.lockedAt
+    });
+
+    console.log(`🔓 Terraform state lock of deployment ${deployment._id} released by ${req.user.email}`);
+    res.json({ success: true, lock: previous.lock });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Destroy job. With remote state the workspace can be rebuilt from the stored
+// config if the directory was lost; failed attempts are retried with backoff.
+registerJobHandler('terraform.destroy', async ({ deploymentId }) => {
+  const deployment = await Deployment.findById(deploymentId);
+  if (!deployment) {
+    throw new Error('Deployment not found');
+  }
+
+  const awsAccount = await AWSAccount.findById(deployment.awsAccountId);
+  if (!awsAccount) {
+    throw new Error('AWS account not found');
+  }
+
+  const credentials = awsAccount.getDecryptedCredentials();
+  const result = await destroyTerraform(deployment.workspaceId, {
+    resourceType: deployment.resourceType,
+    config: deployment.config,
+    awsCredentials: {
+      accessKey: credentials.accessKeyId,
+      secretKey: credentials.secretAccessKey,
+      region: deployment.config?.region || awsAccount.region
+    },
+    userId: deployment.userId.toString(),
+    stateContext: stateContextFor(deployment, deployment.stateBackend || 'local')
+  });
+
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  deployment.status = 'destroyed';
+  deployment.deletedBy = 'ui';
+  deployment.deletedAt = new Date();
+  deployment.terraformOutput = result.output;
+  deployment.updatedAt = new Date();
+  await deployment.save();
+
+  return { deploymentId };
+}, {
+  maxAttempts: parseInt(process.env.DESTROY_JOB_MAX_ATTEMPTS || '3'),
+  leaseMs: 2 * 60 * 1000,
+  onFailed: async ({ deploymentId }, error) => {
+    await Deployment.updateOne(
+      { _id: deploymentId, status: 'destroying' },
+      { $set: { status: 'destroy_failed', errorLog: error.message, updatedAt: new Date() } }
+    );
+  },
+  // Destroys started before the job queue existed cannot be resumed
+  recover: async () => {
+    const stuck = await Deployment.find({ status: 'destroying' }).select('_id');
+
+    for (const { _id } of stuck) {
+      if (await hasActiveJob('terraform.destroy', { deploymentId: _id.toString() })) continue;
+
+      await Deployment.updateOne(
+        { _id, status: 'destroying' },
+        { $set: { status: 'destroy_failed', errorLog: 'Destroy was interrupted by a server restart', updatedAt: new Date() } }
+      );
+      console.log(`♻️ Marked interrupted destroy of deployment ${_id} as failed`);
+    }
+  }
+});
+
 // Destroy Deployment (destroy AWS resources)
 router.post('/:id/destroy', 
   authMiddleware,
@@ -394,31 +709,27 @@ router.post('/:id/destroy',
       return res.status(400).json({ error: 'No workspace found for this deployment' });
     }
 
+    const awsAccount = await AWSAccount.findById(deployment.awsAccountId);
+
+    if (!awsAccount) {
+      return res.status(404).json({ error: 'AWS account not found' });
+    }
+
+    if (await hasActiveJob('terraform.destroy', { deploymentId: deployment._id.toString() })) {
+      return res.status(409).json({ error: 'Destroy is already in progress', status: deployment.status });
+    }
+
     // Update status to destroying
     deployment.status = 'destroying';
     await deployment.save();
 
-    // Import destroyTerraform
-    const { destroyTerraform } = await import('../utils/terraform.js');
-
-    // Destroy resources asynchronously
-    destroyTerraform(deployment.workspaceId).then(async (result) => {
-      if (result.success) {
-        deployment.status = 'destroyed';
-        deployment.deletedBy = 'ui';
-        deployment.deletedAt = new Date();
-        deployment.terraformOutput = result.output;
-        deployment.updatedAt = new Date();
-        await deployment.save();
-      } else {
-        deployment.status = 'destroy_failed';
-        deployment.errorLog = result.error;
-        deployment.updatedAt = new Date();
-        await deployment.save();
-      }
+    // Destroy resources from the job queue
+    const job = await enqueueJob('terraform.destroy', { deploymentId: deployment._id.toString() }, {
+      organizationId: deployment.organizationId,
+      userId: req.user.userId
     });
 
-    res.json({ success: true, message: 'Destroy initiated', status: 'destroying' });
+    res.json({ success: true, message: 'Destroy initiated', status: 'destroying', jobId: job._id });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
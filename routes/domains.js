@@ -0,0 +1,211 @@
+import express from 'express';
+import Application from '../models/Application.js';
+import acmService from '../services/acm-service.js';
+import { authMiddleware as authenticateToken } from '../middleware/auth.js';
+import { decrypt } from '../utils/encryption.js';
+import { registerJobHandler, enqueueJob, cancelJobs } from '../utils/jobQueue.js';
+import { appendDeploymentLog } from '../utils/deploymentLogs.js';
+import {
+  HOSTNAME,
+  MAX_DOMAINS,
+  checkDomain,
+  removeDomain,
+  getDnsRecords
+} from '../utils/customDomains.js';
+
+/**
+ * Custom domains of an application (mounted at /api/applications/:id/domains)
+ *
+ * Adding a domain requests its certificate and returns the DNS records to add.
+ * A job checks the certificate until it is issued, then the load balancer
+ * serves the domain over HTTPS.
+ */
+const router = express.Router({ mergeParams: true });
+
+// ACM gives up on DNS validation after 72 hours
+const VALIDATION_TIMEOUT_MS = 72 * 60 * 60 * 1000;
+const VERIFY_INTERVAL_MS = parseInt(process.env.DOMAIN_VERIFY_INTERVAL_MS || '60000');
+
+const getCredentials = (application) => ({
+  accessKeyId: decrypt(application.aws.accountId.accessKey),
+  secretAccessKey: decrypt(application.aws.accountId.secretKey)
+});
+
+const findApplication = (req) => Application.findOne({
+  _id: req.params.id,
+  userId: req.user.userId,
+  organizationId: req.user.organizationId
+}).populate('aws.accountId');
+
+const findDomain = (application, hostname) =>
+  application.domains.find(domain => domain.hostname === String(hostname).toLowerCase());
+
+const serializeDomain = (application, domain) => ({
+  hostname: domain.hostname,
+  status: domain.status,
+  errorMessage: domain.errorMessage,
+  dnsRecords: getDnsRecords(application, domain),
+  lastCheckedAt: domain.lastCheckedAt,
+  verifiedAt: domain.verifiedAt,
+  createdAt: domain.createdAt
+});
+
+// Shares the deploy key: rules are added against the load balancer a deploy may be changing
+const enqueueVerification = (application, hostname, runAt) => enqueueJob('application.domain.verify', {
+  applicationId: application._id.toString(),
+  hostname
+}, {
+  organizationId: application.organizationId,
+  key: `application:${application._id}`,
+  runAt
+});
+
+registerJobHandler('application.domain.verify', async ({ applicationId, hostname }) => {
+  const application = await Application.findById(applicationId).populate('aws.accountId');
+  const domain = application && findDomain(application, hostname);
+  if (!domain || domain.status === 'active') {
+    return { hostname, status: domain?.status || 'removed' };
+  }
+
+  const previousStatus = domain.status;
+  await checkDomain(application, getCredentials(application), domain);
+
+  if (domain.status === 'pending_validation') {
+    if (Date.now() - domain.createdAt.getTime() > VALIDATION_TIMEOUT_MS) {
+      domain.status = 'failed';
+      domain.errorMessage = 'DNS validation record not found within 72 hours';
+    } else {
+      await enqueueVerification(application, hostname, new Date(Date.now() + VERIFY_INTERVAL_MS));
+    }
+  }
+  await application.save();
+
+  if (domain.status !== previousStatus) {
+    const messages = {
+      active: `🔒 ${hostname} is served over HTTPS`,
+      issued: `🔒 Certificate for ${hostname} issued, it is served after the next deploy`,
+      failed: `❌ Custom domain ${hostname}: ${domain.errorMessage}`
+    };
+    appendDeploymentLog(application._id, 'system', messages[domain.status]);
+  }
+
+  return { hostname, status: domain.status };
+}, {
+  maxAttempts: 3
+});
+
+// List custom domains with the DNS records each needs
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const application = await findApplication(req);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    res.json({ domains: application.domains.map(domain => serializeDomain(application, domain)) });
+  } catch (error) {
+    console.error('Error fetching domains:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Attach a hostname: request its certificate and return the DNS records to add
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const application = await findApplication(req);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (application.deploymentTarget !== 'ecs') {
+      return res.status(400).json({ error: 'Custom domains need an ECS application (they are served by its load balancer)' });
+    }
+
+    const hostname = String(req.body.hostname || '').trim().toLowerCase().replace(/\.$/, '');
+    if (!HOSTNAME.test(hostname)) {
+      return res.status(400).json({ error: 'hostname must be a domain name such as app.example.com (no wildcards)' });
+    }
+    if (application.domains.length >= MAX_DOMAINS) {
+      return res.status(400).json({ error: `An application can have at most ${MAX_DOMAINS} custom domains` });
+    }
+    if (await Application.exists({ 'domains.hostname': hostname })) {
+      return res.status(409).json({ error: `${hostname} is already attached to an application` });
+    }
+
+    const { certificateArn, validationRecords } = await acmService.requestCertificate(
+      getCredentials(application),
+      application.aws.region,
+      { hostname, applicationId: application._id.toString() }
+    );
+
+    application.domains.push({ hostname, certificateArn, validationRecords });
+    await application.save();
+    const domain = findDomain(application, hostname);
+
+    await enqueueVerification(application, hostname, new Date(Date.now() + VERIFY_INTERVAL_MS));
+    appendDeploymentLog(application._id, 'system', `🌐 Custom domain ${hostname} added, waiting for DNS validation`);
+
+    res.status(201).json({
+      message: 'Add the DNS records to your domain. The certificate is issued once the validation record resolves.',
+      domain: serializeDomain(application, domain)
+    });
+  } catch (error) {
+    console.error('Error adding domain:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check the certificate now instead of waiting for the next scheduled check
+router.post('/:hostname/verify', authenticateToken, async (req, res) => {
+  try {
+    const application = await findApplication(req);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const domain = findDomain(application, req.params.hostname);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    await checkDomain(application, getCredentials(application), domain);
+    await application.save();
+
+    res.json({ domain: serializeDomain(application, domain) });
+  } catch (error) {
+    console.error('Error verifying domain:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop serving a hostname and delete its certificate
+router.delete('/:hostname', authenticateToken, async (req, res) => {
+  try {
+    const application = await findApplication(req);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const domain = findDomain(application, req.params.hostname);
+    if (!domain) {
+      return res.status(404).json({ error: 'Domain not found' });
+    }
+
+    await cancelJobs({
+      type: 'application.domain.verify',
+      'payload.applicationId': application._id.toString(),
+      'payload.hostname': domain.hostname
+    });
+    await removeDomain(application, getCredentials(application), domain);
+    application.domains.pull(domain._id);
+    await application.save();
+
+    appendDeploymentLog(application._id, 'system', `🌐 Custom domain ${domain.hostname} removed`);
+    res.json({ message: 'Domain removed', url: application.url });
+  } catch (error) {
+    console.error('Error removing domain:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
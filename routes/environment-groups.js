@@ -0,0 +1,295 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import EnvironmentGroup from '../models/EnvironmentGroup.js';
+import Application from '../models/Application.js';
+import Job from '../models/Job.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { tenantIsolation, requireRole } from '../middleware/tenantIsolation.js';
+import { auditLogger, setAuditResource, setAuditDetails } from '../middleware/auditLogger.js';
+import { findAffectedApplications } from '../utils/environmentGroups.js';
+import { enqueueDeployment } from './applications.js';
+
+/**
+ * Environment groups: named env vars shared by applications of the organization
+ *
+ * Applications attach groups with PUT /api/applications/:id/environment-groups.
+ * Changes apply on the next deploy of each application; updating a group
+ * returns the applications that need one and /:id/redeploy queues them.
+ */
+const router = express.Router();
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Application statuses of a deploy that has not finished
+const IN_PROGRESS = ['pending', 'cloning', 'building', 'pushing', 'deploying'];
+
+const validateVariables = (variables) => {
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    return 'variables must be an object of env var names to values';
+  }
+  for (const [key, value] of Object.entries(variables)) {
+    if (!ENV_NAME.test(key)) {
+      return `Invalid env var name: ${key}`;
+    }
+    if (typeof value !== 'string') {
+      return `Value of ${key} must be a string`;
+    }
+  }
+  return null;
+};
+
+const findGroup = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  return EnvironmentGroup.findOne({ _id: req.params.id, organizationId: req.organizationId });
+};
+
+// List groups with how many applications attach each
+router.get('/', authMiddleware, tenantIsolation, async (req, res) => {
+  try {
+    const groups = await EnvironmentGroup.find({ organizationId: req.organizationId }).sort({ name: 1 });
+    const counts = await Application.aggregate([
+      { $match: { organizationId: req.organizationId, 'runtime.environmentGroups.0': { $exists: true } } },
+      { $unwind: '$runtime.environmentGroups' },
+      { $group: { _id: '$runtime.environmentGroups', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      groups: groups.map(group => ({
+        ...group.toJSON(),
+        applicationCount: countById.get(group._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching environment groups:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Group with the applications that attach it
+router.get('/:id', authMiddleware, tenantIsolation, async (req, res) => {
+  try {
+    const group = await findGroup(req);
+    if (!group) {
+      return res.status(404).json({ error: 'Environment group not found' });
+    }
+
+    res.json({ group, applications: await findAffectedApplications(group) });
+  } catch (error) {
+    console.error('Error fetching environment group:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('environment_group_created', 'environment_group'),
+  async (req, res) => {
+  try {
+    const { name, description, variables = {} } = req.body;
+    const variablesError = validateVariables(variables);
+    if (variablesError) {
+      return res.status(400).json({ error: variablesError });
+    }
+
+    const group = new EnvironmentGroup({
+      organizationId: req.organizationId,
+      name,
+      description,
+      variables,
+      createdBy: req.user.userId,
+      updatedBy: req.user.userId
+    });
+
+    const validationError = group.validateSync();
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    try {
+      await group.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ error: `An environment group named ${group.name} already exists` });
+      }
+      throw error;
+    }
+
+    setAuditResource(req, group._id.toString(), group.name);
+    setAuditDetails(req, { organizationId: req.organizationId.toString(), variables: Object.keys(variables) });
+
+    console.log(`🧩 Environment group ${group.name} created`);
+    res.status(201).json({ message: 'Environment group created', group });
+  } catch (error) {
+    console.error('Error creating environment group:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the variables (and/or description). Returns the applications to redeploy.
+router.put('/:id',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('environment_group_updated', 'environment_group'),
+  async (req, res) => {
+  try {
+    const group = await findGroup(req);
+    if (!group) {
+      return res.status(404).json({ error: 'Environment group not found' });
+    }
+
+    const { description, variables } = req.body;
+    const previous = Object.fromEntries(group.variables || []);
+
+    if (variables !== undefined) {
+      const variablesError = validateVariables(variables);
+      if (variablesError) {
+        return res.status(400).json({ error: variablesError });
+      }
+
+      const keys = new Set([...Object.keys(previous), ...Object.keys(variables)]);
+      const changedKeys = [...keys].filter(key => previous[key] !== variables[key]);
+      if (changedKeys.length > 0) {
+        group.variables = variables;
+        group.version += 1;
+      }
+      setAuditDetails(req, { changedKeys });
+    }
+    if (description !== undefined) group.description = description;
+    group.updatedBy = req.user.userId;
+
+    const validationError = group.validateSync();
+    if (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    await group.save();
+
+    const applications = await findAffectedApplications(group);
+    const outdated = applications.filter(application => application.outdated);
+
+    setAuditResource(req, group._id.toString(), group.name);
+    setAuditDetails(req, { organizationId: req.organizationId.toString(), version: group.version });
+
+    res.json({
+      message: outdated.length > 0
+        ? `Environment group updated. Redeploy ${outdated.length} application(s) to apply it.`
+        : 'Environment group updated',
+      group,
+      applications,
+      redeployRequired: outdated.length
+    });
+  } catch (error) {
+    console.error('Error updating environment group:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Groups still attached to applications are not deleted
+router.delete('/:id',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('environment_group_deleted', 'environment_group'),
+  async (req, res) => {
+  try {
+    const group = await findGroup(req);
+    if (!group) {
+      return res.status(404).json({ error: 'Environment group not found' });
+    }
+
+    const applications = await findAffectedApplications(group);
+    if (applications.length > 0) {
+      return res.status(409).json({
+        error: 'Environment group is attached to applications. Detach it first.',
+        applications
+      });
+    }
+
+    await group.deleteOne();
+
+    setAuditResource(req, group._id.toString(), group.name);
+    setAuditDetails(req, { organizationId: req.organizationId.toString() });
+
+    res.json({ message: 'Environment group deleted' });
+  } catch (error) {
+    console.error('Error deleting environment group:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue deploys of the applications attaching the group: the given
+// applicationIds, or every application not running its latest version
+router.post('/:id/redeploy',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('environment_group_redeployed', 'environment_group'),
+  async (req, res) => {
+  try {
+    const group = await findGroup(req);
+    if (!group) {
+      return res.status(404).json({ error: 'Environment group not found' });
+    }
+
+    const affected = await findAffectedApplications(group);
+    const requested = Array.isArray(req.body.applicationIds) ? req.body.applicationIds.map(String) : null;
+    const targets = requested
+      ? affected.filter(application => requested.includes(application._id.toString()))
+      : affected.filter(application => application.outdated);
+
+    const queued = [];
+    const skipped = [];
+
+    for (const target of targets) {
+      const applicationId = target._id.toString();
+
+      if (target.status === 'stopped') {
+        skipped.push({ applicationId, name: target.name, reason: 'Application is stopped' });
+        continue;
+      }
+
+      // A deploy still waiting in the queue reads the group when it runs
+      const waiting = await Job.exists({ type: 'application.deploy', status: 'queued', 'payload.applicationId': applicationId });
+      if (waiting) {
+        skipped.push({ applicationId, name: target.name, reason: 'A deployment is already queued' });
+        continue;
+      }
+
+      const application = await Application.findById(applicationId);
+      const line = `[${new Date().toISOString()}] 🧩 Redeploying for environment group ${group.name} v${group.version}`;
+      if (IN_PROGRESS.includes(application.status)) {
+        application.deploymentLogs.push(`${line} (queued after the current deployment)`);
+      } else {
+        application.status = 'pending';
+        application.errorMessage = '';
+        application.deploymentLogs = [line];
+      }
+      await application.save();
+
+      const job = await enqueueDeployment(application, req.user.userId, { trigger: 'environment_group' });
+      queued.push({ applicationId, name: target.name, jobId: job._id });
+    }
+
+    setAuditResource(req, group._id.toString(), group.name);
+    setAuditDetails(req, {
+      organizationId: req.organizationId.toString(),
+      version: group.version,
+      queued: queued.map(entry => entry.applicationId),
+      skipped: skipped.map(entry => entry.applicationId)
+    });
+
+    console.log(`🧩 Environment group ${group.name}: ${queued.length} redeploy(s) queued`);
+    res.json({ message: `${queued.length} deployment(s) queued`, queued, skipped });
+  } catch (error) {
+    console.error('Error redeploying environment group applications:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
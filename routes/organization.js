@@ -3,10 +3,16 @@ import { authMiddleware } from '../middleware/auth.js';
 import { tenantIsolation, requireRole } from '../middleware/tenantIsolation.js';
 import Organization from '../models/Organization.js';
 import User from '../models/User.js';
-import { auditLogger } from '../middleware/auditLogger.js';
+import { auditLogger, setAuditDetails } from '../middleware/auditLogger.js';
+import { parseCidr, isIpAllowed } from '../utils/ipAllowlist.js';
 
 const router = express.Router();
 
+const DOMAIN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// 'Example.com' and '@example.com' are both example.com
+const normalizeDomain = (domain) => String(domain).trim().toLowerCase().replace(/^@/, '');
+
 // Get current organization
 router.get('/current', authMiddleware, async (req, res) => {
   try {
@@ -76,15 +82,35 @@ router.put('/settings',
     }
     
     if (requireMFA !== undefined) {
+      // Requiring MFA signs out every session without it, the owner's included
+      if (requireMFA && !org.settings.requireMFA && !req.user.mfa) {
+        return res.status(400).json({
+          error: 'Set up two-factor authentication and sign in with it before requiring it for the organization'
+        });
+      }
       org.settings.requireMFA = requireMFA;
     }
     
     if (allowedDomains) {
-      org.settings.allowedDomains = allowedDomains;
+      const domains = [].concat(allowedDomains).map(normalizeDomain);
+      const invalidDomains = domains.filter(domain => !DOMAIN.test(domain));
+      if (invalidDomains.length > 0) {
+        return res.status(400).json({ error: `Invalid email domains: ${invalidDomains.join(', ')}` });
+      }
+      org.settings.allowedDomains = [...new Set(domains)];
     }
     
     if (ipWhitelist) {
-      org.settings.ipWhitelist = ipWhitelist;
+      const ranges = [].concat(ipWhitelist).map(entry => String(entry).trim());
+      const invalidRanges = ranges.filter(entry => !parseCidr(entry));
+      if (invalidRanges.length > 0) {
+        return res.status(400).json({ error: `Invalid IP addresses or CIDR ranges: ${invalidRanges.join(', ')}` });
+      }
+      // Keep whoever changes the allowlist able to reach the organization
+      if (!isIpAllowed(req.ip, ranges)) {
+        return res.status(400).json({ error: `Your IP address ${req.ip} is not in the allowlist` });
+      }
+      org.settings.ipWhitelist = ranges;
     }
     
     await org.save();
@@ -98,6 +124,44 @@ router.put('/settings',
   }
 });
 
+// Two-factor enrollment of the owner and members, not enrolled first (owner/admin)
+router.get('/mfa',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  async (req, res) => {
+  try {
+    const org = req.organization;
+    const roles = new Map([
+      ...org.members.map(member => [member.userId.toString(), member.role]),
+      [org.ownerId.toString(), 'owner']
+    ]);
+
+    const users = await User.find({ _id: { $in: [...roles.keys()] } }).select('name email mfa.enabled mfa.enrolledAt');
+    const members = users
+      .map(user => ({
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: roles.get(user._id.toString()),
+        mfaEnabled: !!user.mfa?.enabled,
+        enrolledAt: user.mfa?.enrolledAt || null
+      }))
+      .sort((a, b) => Number(a.mfaEnabled) - Number(b.mfaEnabled) || a.email.localeCompare(b.email));
+
+    const enrolled = members.filter(member => member.mfaEnabled).length;
+
+    res.json({
+      requireMFA: org.settings.requireMFA,
+      enrolled,
+      notEnrolled: members.length - enrolled,
+      members
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get organization members
 router.get('/members', 
   authMiddleware, 
@@ -156,6 +220,19 @@ router.post('/members',
       return res.status(400).json({ error: 'Email and role required' });
     }
     
+    // Only addresses of the organization's allowed domains can join
+    const allowedDomains = (org.settings.allowedDomains || []).map(normalizeDomain);
+    const domain = normalizeDomain(email.split('@').pop());
+    if (allowedDomains.length > 0 && !allowedDomains.includes(domain)) {
+      req.auditAction = 'member_domain_rejected';
+      setAuditDetails(req, { email: email.toLowerCase(), domain, allowedDomains });
+      return res.status(403).json({
+        error: 'Email domain not allowed',
+        code: 'DOMAIN_NOT_ALLOWED',
+        message: `Only ${allowedDomains.map(item => `@${item}`).join(', ')} addresses can be added to this organization`
+      });
+    }
+    
     // Check if can add more members
     if (!org.canAddMember()) {
       return res.status(403).json({
@@ -246,7 +323,8 @@ router.get('/plans', async (req, res) => {
         maxAWSAccounts: 3,
         maxDeployments: 50,
         maxDeploymentsPerMonth: 100,
-        maxUsers: 5
+        maxUsers: 5,
+        auditLogRetentionDays: 90
       },
       features: [
         '3 AWS Accounts',
@@ -265,7 +343,8 @@ router.get('/plans', async (req, res) => {
         maxAWSAccounts: 5,
         maxDeployments: 200,
         maxDeploymentsPerMonth: 500,
-        maxUsers: 10
+        maxUsers: 10,
+        auditLogRetentionDays: 90
       },
       features: [
         '5 AWS Accounts',
@@ -285,7 +364,8 @@ router.get('/plans', async (req, res) => {
         maxAWSAccounts: 15,
         maxDeployments: 1000,
         maxDeploymentsPerMonth: 2000,
-        maxUsers: 50
+        maxUsers: 50,
+        auditLogRetentionDays: 365
       },
       features: [
         '15 AWS Accounts',
@@ -307,7 +387,8 @@ router.get('/plans', async (req, res) => {
         maxAWSAccounts: -1, // Unlimited
         maxDeployments: -1,
         maxDeploymentsPerMonth: -1,
-        maxUsers: -1
+        maxUsers: -1,
+        auditLogRetentionDays: 730
       },
       features: [
         'Unlimited AWS Accounts',
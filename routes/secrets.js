@@ -0,0 +1,218 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Secret from '../models/Secret.js';
+import Application from '../models/Application.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { tenantIsolation, requireRole } from '../middleware/tenantIsolation.js';
+import { auditLogger, setAuditResource, setAuditDetails } from '../middleware/auditLogger.js';
+import { splitEnvironment } from '../utils/secrets.js';
+import { buildEnvironment } from '../utils/environmentGroups.js';
+
+/**
+ * Encrypted secrets of the organization and of its applications
+ *
+ * Values can be written but are never returned. Env vars use a secret with
+ * secret://NAME; application secrets shadow organization secrets of the same name.
+ */
+const router = express.Router();
+
+// Parameter Store SecureString limit (standard tier)
+const MAX_VALUE_LENGTH = 4096;
+
+const validateValue = (value) => {
+  if (typeof value !== 'string' || value.length === 0) {
+    return 'value is required';
+  }
+  if (value.length > MAX_VALUE_LENGTH) {
+    return `value cannot be longer than ${MAX_VALUE_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Create or update a secret, auditing which of the two happened (never the value)
+const upsertSecret = async (req, res, scope) => {
+  const { value, description } = req.body;
+  const valueError = validateValue(value);
+  if (valueError) {
+    return res.status(400).json({ error: valueError });
+  }
+
+  let secret = await Secret.findOne(scope);
+  const created = !secret;
+
+  if (created) {
+    secret = new Secret({ ...scope, createdBy: req.user.userId });
+  } else {
+    secret.version += 1;
+  }
+  secret.setValue(value);
+  secret.updatedBy = req.user.userId;
+  if (description !== undefined) secret.description = description;
+
+  const validationError = secret.validateSync();
+  if (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+
+  await secret.save();
+
+  req.auditAction = created ? 'secret_created' : 'secret_updated';
+  setAuditResource(req, secret._id.toString(), secret.name);
+  setAuditDetails(req, {
+    organizationId: scope.organizationId.toString(),
+    applicationId: scope.applicationId?.toString() || null,
+    version: secret.version
+  });
+
+  console.log(`🔐 Secret ${secret.name} ${created ? 'created' : `updated to version ${secret.version}`}`);
+  res.status(created ? 201 : 200).json({ message: created ? 'Secret created' : 'Secret updated', secret });
+};
+
+const deleteSecret = async (req, res, scope) => {
+  const secret = await Secret.findOneAndDelete(scope);
+  if (!secret) {
+    return res.status(404).json({ error: 'Secret not found' });
+  }
+
+  setAuditResource(req, secret._id.toString(), secret.name);
+  setAuditDetails(req, {
+    organizationId: scope.organizationId.toString(),
+    applicationId: scope.applicationId?.toString() || null
+  });
+
+  res.json({ message: 'Secret deleted. Redeploy applications that use it.' });
+};
+
+const findApplication = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.applicationId)) {
+    return null;
+  }
+  return Application.findOne({
+    _id: req.params.applicationId,
+    userId: req.user.userId,
+    organizationId: req.user.organizationId
+  });
+};
+
+// Organization secrets
+router.get('/', authMiddleware, tenantIsolation, async (req, res) => {
+  try {
+    const secrets = await Secret.find({ organizationId: req.organizationId, applicationId: null }).sort({ name: 1 });
+    res.json({ secrets });
+  } catch (error) {
+    console.error('Error fetching secrets:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/:name',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('secret_updated', 'secret'),
+  async (req, res) => {
+  try {
+    await upsertSecret(req, res, { organizationId: req.organizationId, applicationId: null, name: req.params.name });
+  } catch (error) {
+    console.error('Error saving secret:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:name',
+  authMiddleware,
+  tenantIsolation,
+  requireRole(['owner', 'admin']),
+  auditLogger('secret_deleted', 'secret'),
+  async (req, res) => {
+  try {
+    await deleteSecret(req, res, { organizationId: req.organizationId, applicationId: null, name: req.params.name });
+  } catch (error) {
+    console.error('Error deleting secret:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Application secrets, with the env vars that reference secrets and where each resolves
+router.get('/applications/:applicationId', authMiddleware, async (req, res) => {
+  try {
+    const application = await findApplication(req);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const parentId = application.preview?.parentId;
+    const [secrets, parentSecrets, organizationSecrets] = await Promise.all([
+      Secret.find({ organizationId: application.organizationId, applicationId: application._id }).sort({ name: 1 }),
+      parentId ? Secret.find({ organizationId: application.organizationId, applicationId: parentId }) : [],
+      Secret.find({ organizationId: application.organizationId, applicationId: null }).sort({ name: 1 })
+    ]);
+
+    const appNames = new Set(secrets.map(secret => secret.name));
+    const parentNames = new Set(parentSecrets.map(secret => secret.name));
+    const orgNames = new Set(organizationSecrets.map(secret => secret.name));
+    const { references } = splitEnvironment((await buildEnvironment(application)).environment);
+
+    const resolvesTo = (name) => appNames.has(name) ? 'application'
+      : parentNames.has(name) ? 'parent'
+      : orgNames.has(name) ? 'organization'
+      : null;
+
+    res.json({
+      secrets,
+      organizationSecrets,
+      references: Object.entries(references).map(([envName, secretName]) => ({
+        envName,
+        secretName,
+        resolvesTo: resolvesTo(secretName)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching application secrets:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.put('/applications/:applicationId/:name',
+  authMiddleware,
+  auditLogger('secret_updated', 'secret'),
+  async (req, res) => {
+  try {
+    const application = await findApplication(req);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    await upsertSecret(req, res, {
+      organizationId: application.organizationId,
+      applicationId: application._id,
+      name: req.params.name
+    });
+  } catch (error) {
+    console.error('Error saving application secret:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/applications/:applicationId/:name',
+  authMiddleware,
+  auditLogger('secret_deleted', 'secret'),
+  async (req, res) => {
+  try {
+    const application = await findApplication(req);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    await deleteSecret(req, res, {
+      organizationId: application.organizationId,
+      applicationId: application._id,
+      name: req.params.name
+    });
+  } catch (error) {
+    console.error('Error deleting application secret:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -2,6 +2,9 @@ import express from 'express';
 import Deployment from '../models/Deployment.js';
 import AWSAccount from '../models/AWSAccount.js';
 import { syncDeploymentWithAWS } from '../utils/awsSync.js';
+import { checkDeploymentDrift } from '../utils/driftDetector.js';
+import { registerJobHandler, enqueueJob } from '../utils/jobQueue.js';
+import Job from '../models/Job.js';
 import { syncLimiter } from '../middleware/rateLimiter.js';
 import { validateMongoId, validateSync } from '../middleware/validation.js';
 import { auditLogger } from '../middleware/auditLogger.js';
@@ -64,7 +67,62 @@ router.post('/deployment/:id',
   }
 });
 
-// Sync all deployments for a user
+// Sync every completed deployment of an organization with AWS
+const syncAllDeployments = async (organizationId) => {
+  const deployments = await Deployment.find({
+    organizationId,
+    status: 'completed'
+  });
+
+  const results = [];
+
+  for (const deployment of deployments) {
+    try {
+      const awsAccount = await AWSAccount.findById(deployment.awsAccountId);
+      if (!awsAccount) continue;
+
+      const syncResult = await syncDeploymentWithAWS(deployment, awsAccount);
+
+      if (!syncResult.exists) {
+        deployment.status = 'deleted_externally';
+        deployment.deletedBy = 'aws_console';
+        deployment.deletedAt = new Date();
+        deployment.errorLog = syncResult.error || 'Resource not found in AWS';
+      }
+
+      deployment.lastSyncedAt = new Date();
+      await deployment.save();
+
+      results.push({
+        deploymentId: deployment._id,
+        resourceName: deployment.resourceName,
+        resourceType: deployment.resourceType,
+        existsInAWS: syncResult.exists,
+        status: deployment.status,
+        deletedBy: deployment.deletedBy
+      });
+    } catch (error) {
+      console.error(`Error syncing deployment ${deployment._id}:`, error);
+    }
+  }
+
+  const deletedCount = results.filter(r => !r.existsInAWS).length;
+
+  return {
+    totalChecked: results.length,
+    deletedExternally: deletedCount,
+    results
+  };
+};
+
+// Sync runs from the job queue (utils/jobQueue.js), the result is stored on the job
+registerJobHandler('sync.all', async ({ organizationId }) => syncAllDeployments(organizationId), {
+  maxAttempts: 2
+});
+
+// Sync all deployments of the organization. Queued: answers 202 { jobId }, poll
+// GET /api/sync/jobs/:jobId until status is completed (result) or failed (error).
+// ?wait=true syncs within the request and answers with the result, as before.
 router.post('/all', 
   authMiddleware,
   syncLimiter,
@@ -72,49 +130,116 @@ router.post('/all',
   auditLogger('sync_initiated', 'deployment'),
   async (req, res) => {
   try {
-    const deployments = await Deployment.find({
+    if (req.query.wait === 'true') {
+      return res.json(await syncAllDeployments(req.user.organizationId));
+    }
+
+    const job = await enqueueJob('sync.all', { organizationId: req.user.organizationId }, {
       organizationId: req.user.organizationId,
-      status: 'completed'
+      userId: req.user.userId
     });
 
-    const results = [];
+    res.status(202).json({
+      message: 'Sync queued',
+      jobId: job._id,
+      status: job.status,
+      statusUrl: `/api/sync/jobs/${job._id}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    for (const deployment of deployments) {
-      try {
-        const awsAccount = await AWSAccount.findById(deployment.awsAccountId);
-        if (!awsAccount) continue;
+// Status and result of a queued sync
+router.get('/jobs/:id',
+  authMiddleware,
+  validateMongoId('id'),
+  async (req, res) => {
+  try {
+    const job = await Job.findOne({
+      _id: req.params.id,
+      type: 'sync.all',
+      organizationId: req.user.organizationId,
+      // Results list deployments, only whoever queued the sync reads them
+      userId: req.user.userId
+    });
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
 
-        const syncResult = await syncDeploymentWithAWS(deployment, awsAccount);
+    res.json({
+      jobId: job._id,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      result: job.result,
+      error: job.lastError,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        if (!syncResult.exists) {
-          deployment.status = 'deleted_externally';
-          deployment.deletedBy = 'aws_console';
-          deployment.deletedAt = new Date();
-          deployment.errorLog = syncResult.error || 'Resource not found in AWS';
-        }
+// Latest drift report for a deployment
+router.get('/drift/:id',
+  authMiddleware,
+  validateMongoId('id'),
+  async (req, res) => {
+  try {
+    const deployment = await Deployment.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
 
-        deployment.lastSyncedAt = new Date();
-        await deployment.save();
+    res.json({
+      deploymentId: deployment._id,
+      resourceName: deployment.resourceName,
+      resourceType: deployment.resourceType,
+      status: deployment.status,
+      drift: deployment.drift
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        results.push({
-          deploymentId: deployment._id,
-          resourceName: deployment.resourceName,
-          resourceType: deployment.resourceType,
-          existsInAWS: syncResult.exists,
-          status: deployment.status,
-          deletedBy: deployment.deletedBy
-        });
-      } catch (error) {
-        console.error(`Error syncing deployment ${deployment._id}:`, error);
-      }
+// Run a drift check now instead of waiting for the scheduled one
+router.post('/drift/:id',
+  authMiddleware,
+  syncLimiter,
+  validateMongoId('id'),
+  auditLogger('sync_initiated', 'deployment'),
+  async (req, res) => {
+  try {
+    const deployment = await Deployment.findOne({
+      _id: req.params.id,
+      organizationId: req.user.organizationId
+    });
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
     }
 
-    const deletedCount = results.filter(r => !r.existsInAWS).length;
+    if (deployment.status !== 'completed' || !deployment.workspaceId) {
+      return res.status(409).json({
+        error: 'Drift can only be checked for completed Terraform deployments',
+        status: deployment.status
+      });
+    }
+
+    const drift = await checkDeploymentDrift(deployment);
 
     res.json({
-      totalChecked: results.length,
-      deletedExternally: deletedCount,
-      results
+      deploymentId: deployment._id,
+      resourceName: deployment.resourceName,
+      resourceType: deployment.resourceType,
+      status: deployment.status,
+      drift
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
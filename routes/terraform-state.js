@@ -0,0 +1,160 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import TerraformState from '../models/TerraformState.js';
+import { verifyStateToken } from '../utils/terraformBackend.js';
+
+/**
+ * Terraform HTTP state backend
+ * https://developer.hashicorp.com/terraform/language/settings/backends/http
+ *
+ * Called by the Terraform CLI, not by the frontend. Mounted ahead of the JSON
+ * body parser and injection filters because state files must be stored byte
+ * for byte.
+ */
+const router = express.Router();
+
+router.use(express.raw({ type: () => true, limit: process.env.TERRAFORM_STATE_MAX_SIZE || '50mb' }));
+
+// Basic auth issued per organization/state key by utils/terraformBackend.js
+const verifyStateAccess = (req, res, next) => {
+  const { organizationId, stateKey } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+    return res.status(400).json({ error: 'Invalid organization ID' });
+  }
+
+  const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+  const credentials = scheme === 'Basic' && encoded
+    ? Buffer.from(encoded, 'base64').toString('utf8')
+    : '';
+  const password = credentials.slice(credentials.indexOf(':') + 1);
+
+  if (!verifyStateToken(organizationId, stateKey, password)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+};
+
+const parseLockInfo = (req) => {
+  try {
+    return JSON.parse(req.body.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Get state
+router.get('/:organizationId/:stateKey', verifyStateAccess, async (req, res) => {
+  try {
+    const { organizationId, stateKey } = req.params;
+    const state = await TerraformState.readState(organizationId, stateKey);
+
+    if (!state) {
+      return res.status(204).end();
+    }
+
+    res.type('application/json').send(state);
+  } catch (error) {
+    console.error('Terraform state read failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update state
+router.post('/:organizationId/:stateKey', verifyStateAccess, async (req, res) => {
+  try {
+    const { organizationId, stateKey } = req.params;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(req.body.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ error: 'State must be valid JSON' });
+    }
+
+    // Writers holding the lock pass its ID, anyone else is rejected
+    const record = await TerraformState.findOne({ organizationId, stateKey });
+    if (record?.lock?.id && record.lock.id !== req.query.ID) {
+      return res.status(409).json(record.lock.info);
+    }
+
+    await TerraformState.writeState(organizationId, stateKey, req.body, {
+      serial: parsed.serial,
+      lineage: parsed.lineage
+    });
+
+    res.status(200).end();
+  } catch (error) {
+    console.error('Terraform state write failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete state
+router.delete('/:organizationId/:stateKey', verifyStateAccess, async (req, res) => {
+  try {
+    const { organizationId, stateKey } = req.params;
+
+    const record = await TerraformState.findOne({ organizationId, stateKey });
+    if (record?.lock?.id && record.lock.id !== req.query.ID) {
+      return res.status(409).json(record.lock.info);
+    }
+
+    await TerraformState.deleteState(organizationId, stateKey);
+    res.status(200).end();
+  } catch (error) {
+    console.error('Terraform state delete failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lock state
+router.lock('/:organizationId/:stateKey', verifyStateAccess, async (req, res) => {
+  try {
+    const { organizationId, stateKey } = req.params;
+    const lockInfo = parseLockInfo(req);
+
+    if (!lockInfo?.ID) {
+      return res.status(400).json({ error: 'Lock info with an ID is required' });
+    }
+
+    const locked = await TerraformState.acquireLock(organizationId, stateKey, lockInfo);
+
+    if (!locked) {
+      // Terraform prints the current holder from the response body
+      const current = await TerraformState.findOne({ organizationId, stateKey });
+      return res.status(423).json(current?.lock?.info || {});
+    }
+
+    res.status(200).end();
+  } catch (error) {
+    console.error('Terraform state lock failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unlock state (also used by `terraform force-unlock`)
+router.unlock('/:organizationId/:stateKey', verifyStateAccess, async (req, res) => {
+  try {
+    const { organizationId, stateKey } = req.params;
+    const lockInfo = parseLockInfo(req);
+
+    const record = await TerraformState.findOne({ organizationId, stateKey });
+    if (!record?.lock?.id) {
+      return res.status(200).end();
+    }
+
+    if (!lockInfo?.ID || lockInfo.ID !== record.lock.id) {
+      return res.status(423).json(record.lock.info);
+    }
+
+    await TerraformState.releaseLock(organizationId, stateKey, lockInfo.ID);
+    res.status(200).end();
+  } catch (error) {
+    console.error('Terraform state unlock failed:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
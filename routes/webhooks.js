@@ -0,0 +1,317 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import Application from '../models/Application.js';
+import Job from '../models/Job.js';
+import Organization from '../models/Organization.js';
+import { decrypt } from '../utils/encryption.js';
+import { hasActiveJob } from '../utils/jobQueue.js';
+import { webhookLimiter } from '../middleware/rateLimiter.js';
+import { enqueueDeployment, enqueuePreviewTeardown } from './applications.js';
+
+/**
+ * GitHub webhooks: pushes deploy the application, pull requests get preview environments
+ * https://docs.github.com/en/webhooks/using-webhooks/validating-webhook-deliveries
+ *
+ * Called by GitHub, not by the frontend. Mounted ahead of the JSON body parser
+ * because the signature covers the exact request bytes.
+ */
+const router = express.Router();
+
+const ZERO_SHA = /^0+$/;
+
+// EC2 previews share the parent's instance, each on its own host port from this range
+const PREVIEW_PORT_START = parseInt(process.env.PREVIEW_PORT_RANGE_START || '20000');
+const PREVIEW_PORT_COUNT = 1000;
+
+// X-Hub-Signature-256: sha256=<hex HMAC of the raw body>
+const verifySignature = (secret, body, header) => {
+  if (typeof header !== 'string' || !header.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(body).digest('hex'));
+  const received = Buffer.from(header.slice('sha256='.length));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Deploy a commit, or point a deploy that is still waiting in the queue at it
+const queueCommitDeploy = async (application, sha, commit, logLine) => {
+  const applicationId = application._id.toString();
+
+  const queued = await Job.findOneAndUpdate(
+    { type: 'application.deploy', status: 'queued', 'payload.applicationId': applicationId },
+    { $set: { 'payload.commitSha': sha, 'payload.commit': commit, 'payload.trigger': 'webhook' } },
+    { new: true }
+  );
+
+  if (queued) {
+    return { message: 'Queued deployment updated to the pushed commit', jobId: queued._id, commit: sha };
+  }
+
+  const busy = await hasActiveJob(['application.deploy', 'application.rollback'], { applicationId });
+  const line = `[${new Date().toISOString()}] ${logLine}`;
+
+  if (busy) {
+    // Runs once the current deploy finishes (jobs of one application never overlap)
+    application.deploymentLogs.push(`${line} (queued after the current deployment)`);
+  } else {
+    application.status = 'pending';
+    application.errorMessage = '';
+    application.deploymentLogs = [line];
+  }
+  await application.save();
+
+  const job = await enqueueDeployment(application, null, {
+    commitSha: sha,
+    commit,
+    trigger: 'webhook'
+  });
+
+  return { message: 'Deployment queued', jobId: job._id, commit: sha };
+};
+
+// Lowest host port in the preview range not used on the instance
+const allocatePreviewPort = async (parent) => {
+  const used = new Set(await Application.distinct('ec2.hostPort', { 'ec2.instanceId': parent.ec2.instanceId }));
+  used.add(parent.runtime.port);
+
+  for (let port = PREVIEW_PORT_START; port < PREVIEW_PORT_START + PREVIEW_PORT_COUNT; port++) {
+    if (!used.has(port)) return port;
+  }
+
+  throw new Error(`No free preview port on instance ${parent.ec2.instanceId}`);
+};
+
+// The preview application of a pull request, created from the parent's settings on first use.
+// Fork previews run code from outside the repository, so they get none of the parent's
+// token, environment variables, environment groups or secrets.
+const findOrCreatePreview = async (parent, pullRequest, fromFork) => {
+  const number = pullRequest.number;
+  const details = {
+    pullRequestUrl: pullRequest.html_url,
+    title: pullRequest.title,
+    author: pullRequest.user?.login,
+    headBranch: pullRequest.head.ref,
+    headSha: pullRequest.head.sha
+  };
+
+  const existing = await Application.findOne({ 'preview.parentId': parent._id, 'preview.pullRequestNumber': number });
+  if (existing) {
+    Object.assign(existing.preview, details);
+    if (fromFork) {
+      existing.preview.fromFork = true;
+      existing.github.token = undefined;
+      existing.runtime.environmentVariables = {};
+      existing.runtime.environmentGroups = [];
+    }
+    return existing;
+  }
+
+  const preview = new Application({
+    userId: parent.userId,
+    organizationId: parent.organizationId,
+    name: `${parent.name}-pr-${number}`,
+    deploymentMethod: 'github',
+    deploymentTarget: parent.deploymentTarget,
+    github: {
+      repoUrl: parent.github.repoUrl,
+      // Cloned at the base branch, then the pull request head is checked out
+      branch: parent.github.branch,
+      buildCommand: parent.github.buildCommand,
+      startCommand: parent.github.startCommand,
+      appType: parent.github.appType,
+      token: fromFork ? undefined : parent.github.token,
+      isPrivate: parent.github.isPrivate,
+      autoDeploy: false
+    },
+    ec2: parent.deploymentTarget === 'ec2'
+      ? { instanceId: parent.ec2.instanceId, hostPort: await allocatePreviewPort(parent) }
+      : undefined,
+    runtime: {
+      port: parent.runtime.port,
+      cpu: parent.runtime.cpu,
+      memory: parent.runtime.memory,
+      environmentVariables: fromFork ? {} : Object.fromEntries(parent.runtime.environmentVariables || []),
+      environmentGroups: fromFork ? [] : parent.runtime.environmentGroups
+    },
+    // Previews are replaced in place, there is no previous version worth keeping up
+    deploymentStrategy: { type: 'rolling', rollbackWindowSeconds: 0 },
+    aws: {
+      accountId: parent.aws.accountId,
+      region: parent.aws.region
+    },
+    preview: { parentId: parent._id, pullRequestNumber: number, fromFork, ...details },
+    status: 'pending'
+  });
+
+  return preview;
+};
+
+// pull_request events: opened/reopened/synchronize deploy a preview, closed tears it down
+const handlePullRequest = async (parent, payload, delivery) => {
+  const pullRequest = payload.pull_request;
+  const action = payload.action;
+
+  if (!pullRequest?.head?.sha) {
+    return { status: 400, body: { error: 'Invalid pull_request payload' } };
+  }
+
+  if (action === 'closed') {
+    const preview = await Application.findOne({ 'preview.parentId': parent._id, 'preview.pullRequestNumber': pullRequest.number });
+    if (!preview) {
+      return { status: 202, body: { ignored: true, reason: 'No preview environment for this pull request' } };
+    }
+
+    const job = await enqueuePreviewTeardown(preview);
+    console.log(`🧹 Pull request #${pullRequest.number} closed, tearing down ${preview.name} (delivery ${delivery})`);
+    return { status: 202, body: { message: 'Preview environment is being torn down', jobId: job._id } };
+  }
+
+  if (!['opened', 'reopened', 'synchronize'].includes(action)) {
+    return { status: 202, body: { ignored: true, reason: `Pull request action ${action} is not handled` } };
+  }
+
+  if (!parent.github.previews?.enabled) {
+    return { status: 202, body: { ignored: true, reason: 'Preview environments are turned off' } };
+  }
+
+  if (pullRequest.base?.ref !== parent.github.branch) {
+    return { status: 202, body: { ignored: true, reason: `Pull request targets ${pullRequest.base?.ref}, application deploys ${parent.github.branch}` } };
+  }
+
+  const fromFork = pullRequest.head.repo?.full_name !== pullRequest.base.repo?.full_name;
+  if (fromFork && !parent.github.previews.allowForks) {
+    return { status: 202, body: { ignored: true, reason: 'Previews of pull requests from forks are turned off' } };
+  }
+
+  // Every preview deploy counts against the organization's monthly deployments
+  const organization = await Organization.findById(parent.organizationId);
+  if (organization && !organization.canDeploy()) {
+    console.warn(`⚠️ Preview for pull request #${pullRequest.number} of ${parent.name} skipped: deployment limit reached`);
+    return {
+      status: 202,
+      body: {
+        ignored: true,
+        reason: 'Deployment limit reached',
+        limit: organization.limits.maxDeploymentsPerMonth,
+        current: organization.usage.deploymentsThisMonth
+      }
+    };
+  }
+
+  let preview = await findOrCreatePreview(parent, pullRequest, fromFork);
+  try {
+    await preview.save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // A concurrent delivery for the same pull request created it first
+    preview = await findOrCreatePreview(parent, pullRequest, fromFork);
+    await preview.save();
+  }
+
+  const sha = pullRequest.head.sha;
+  const commit = { author: pullRequest.user?.login || '' };
+  const result = await queueCommitDeploy(
+    preview,
+    sha,
+    commit,
+    `🔍 Pull request #${pullRequest.number} ${action} by ${commit.author || 'unknown'}: ${sha.slice(0, 7)} ${pullRequest.title || ''}`
+  );
+
+  if (organization) {
+    organization.incrementUsage('deployment');
+    await organization.save();
+  }
+
+  console.log(`🔍 Pull request #${pullRequest.number} ${action}, queued preview deploy ${result.jobId} of ${preview.name} (delivery ${delivery})`);
+  return { status: 202, body: { ...result, previewId: preview._id } };
+};
+
+router.post('/github/:applicationId', webhookLimiter, express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+  const delivery = req.headers['x-github-delivery'] || 'unknown';
+
+  try {
+    const { applicationId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(applicationId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const application = await Application.findById(applicationId).select('+github.webhookSecret');
+
+    // Same answer for unknown applications and ones without a secret
+    if (!application || application.deploymentMethod !== 'github' || !application.github?.webhookSecret) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (!verifySignature(decrypt(application.github.webhookSecret), req.body, req.headers['x-hub-signature-256'])) {
+      console.warn(`⚠️ Rejected GitHub webhook ${delivery} for application ${applicationId}: invalid signature`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const event = req.headers['x-github-event'];
+
+    if (event === 'ping') {
+      return res.json({ message: 'pong' });
+    }
+
+    if (!['push', 'pull_request'].includes(event)) {
+      return res.status(202).json({ ignored: true, reason: `Event ${event} is not handled` });
+    }
+
+    if (!String(req.headers['content-type'] || '').includes('application/json')) {
+      return res.status(415).json({ error: 'Set the webhook content type to application/json' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(req.body.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid JSON payload' });
+    }
+
+    if (event === 'pull_request') {
+      const result = await handlePullRequest(application, payload, delivery);
+      return res.status(result.status).json(result.body);
+    }
+
+    const ref = payload.ref || '';
+    const sha = payload.after;
+
+    if (!ref.startsWith('refs/heads/')) {
+      return res.status(202).json({ ignored: true, reason: 'Not a branch push' });
+    }
+
+    if (payload.deleted || !sha || ZERO_SHA.test(sha)) {
+      return res.status(202).json({ ignored: true, reason: 'Branch was deleted' });
+    }
+
+    const branch = ref.slice('refs/heads/'.length);
+    if (branch !== application.github.branch) {
+      return res.status(202).json({ ignored: true, reason: `Push to ${branch}, application deploys ${application.github.branch}` });
+    }
+
+    if (application.github.autoDeploy === false) {
+      return res.status(202).json({ ignored: true, reason: 'Automatic deploys are turned off' });
+    }
+
+    const headCommit = payload.head_commit || {};
+    const commit = {
+      message: headCommit.message || '',
+      author: headCommit.author?.name || payload.pusher?.name || '',
+      authorEmail: headCommit.author?.email || payload.pusher?.email || ''
+    };
+    const logLine = `🔔 Push to ${branch} by ${commit.author || 'unknown'}: ${sha.slice(0, 7)} ${commit.message.split('\n')[0]}`;
+    const result = await queueCommitDeploy(application, sha, commit, logLine);
+
+    console.log(`🔔 GitHub push ${sha.slice(0, 7)} to ${branch} queued deploy ${result.jobId} of ${application.name} (delivery ${delivery})`);
+    res.status(202).json(result);
+  } catch (error) {
+    console.error(`❌ GitHub webhook ${delivery} failed:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
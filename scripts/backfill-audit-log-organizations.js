@@ -0,0 +1,64 @@
+/**
+ * Migration Script: Add organizationId to existing audit logs
+ *
+ * Audit logs written before they carried an organization get the one recorded
+ * in their details, else the organization of their user (by ID, then email).
+ * Entries of unknown users stay without one and are not listed by /api/audit-logs.
+ *
+ * Usage: node backend/scripts/backfill-audit-log-organizations.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+async function backfillAuditLogOrganizations() {
+  try {
+    console.log('🚀 Adding organizations to audit logs...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const missing = { $or: [{ organizationId: null }, { organizationId: { $exists: false } }] };
+
+    // Entries that recorded their organization in details (secrets, environment groups)
+    const fromDetails = await AuditLog.updateMany(
+      { ...missing, 'details.organizationId': { $type: 'string' } },
+      [{ $set: { organizationId: { $convert: { input: '$details.organizationId', to: 'objectId', onError: null } } } }]
+    );
+    console.log(`✅ ${fromDetails.modifiedCount} entries from their details`);
+
+    const users = await User.find({ organizationId: { $ne: null } }).select('email organizationId');
+    let fromUsers = 0;
+
+    for (const user of users) {
+      const result = await AuditLog.updateMany(
+        { ...missing, $and: [{ $or: [{ userId: user._id }, { userEmail: user.email }] }] },
+        { $set: { organizationId: user.organizationId } }
+      );
+      fromUsers += result.modifiedCount;
+    }
+    console.log(`✅ ${fromUsers} entries from their user's organization`);
+
+    const remaining = await AuditLog.countDocuments(missing);
+    console.log(`📊 ${remaining} entries of unknown users left without an organization`);
+
+    await mongoose.connection.close();
+    console.log('\n👋 Database connection closed\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Fatal error:', error);
+    process.exit(1);
+  }
+}
+
+backfillAuditLogOrganizations();
@@ -11,6 +11,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { encrypt, isEncrypted } from '../utils/encryption.js';
 import AWSAccount from '../models/AWSAccount.js';
+import Application from '../models/Application.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -78,6 +79,23 @@ async function encryptExistingCredentials() {
       console.log('✨ All credentials were already encrypted!');
     }
 
+    // GitHub tokens of applications (the pre-save hook encrypts them)
+    const applications = await Application.find({ 'github.token': { $nin: [null, ''] } });
+    let tokensEncrypted = 0;
+
+    for (const application of applications) {
+      if (isEncrypted(application.github.token)) continue;
+
+      try {
+        await application.save();
+        tokensEncrypted++;
+        console.log(`🔒 Encrypted GitHub token of application: ${application.name}`);
+      } catch (error) {
+        console.error(`  ❌ Error encrypting GitHub token of "${application.name}":`, error.message);
+      }
+    }
+    console.log(`\n🔑 GitHub tokens newly encrypted: ${tokensEncrypted} of ${applications.length}\n`);
+
     // Close connection
     await mongoose.connection.close();
     console.log('\n👋 Database connection closed');
@@ -0,0 +1,76 @@
+/**
+ * Migration Script: Per plan audit log retention
+ *
+ * Audit logs used to expire 90 days after their timestamp (a TTL index on
+ * timestamp). They now expire at their own expiresAt, from the organization's
+ * limits.auditLogRetentionDays. This drops the old TTL index, sets the
+ * retention of existing organizations from their plan and gives existing
+ * entries an expiresAt.
+ *
+ * Entries written before the hash chain stay outside of it.
+ *
+ * Usage: node backend/scripts/migrate-audit-log-retention.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import AuditLog from '../models/AuditLog.js';
+import Organization from '../models/Organization.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = { free: 90, starter: 90, professional: 365, enterprise: 730 };
+
+async function migrateAuditLogRetention() {
+  try {
+    console.log('🚀 Migrating audit log retention...\n');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB\n');
+
+    const droppedIndex = await AuditLog.dropLegacyTtlIndex();
+    if (droppedIndex) {
+      console.log(`✅ Dropped TTL index ${droppedIndex}`);
+    }
+    await AuditLog.createIndexes();
+    console.log('✅ Audit log indexes up to date\n');
+
+    const organizations = await Organization.find().select('name subscription.plan limits.auditLogRetentionDays').lean();
+
+    for (const organization of organizations) {
+      let retentionDays = organization.limits?.auditLogRetentionDays;
+      if (!retentionDays) {
+        retentionDays = RETENTION_DAYS[organization.subscription?.plan] || 90;
+        await Organization.updateOne({ _id: organization._id }, { $set: { 'limits.auditLogRetentionDays': retentionDays } });
+      }
+
+      const result = await AuditLog.updateMany(
+        { organizationId: organization._id, expiresAt: { $exists: false } },
+        [{ $set: { expiresAt: { $add: ['$timestamp', retentionDays * DAY_MS] } } }]
+      );
+      console.log(`✅ ${organization.name}: ${retentionDays} days, ${result.modifiedCount} entries`);
+    }
+
+    const rest = await AuditLog.updateMany(
+      { expiresAt: { $exists: false } },
+      [{ $set: { expiresAt: { $add: ['$timestamp', 90 * DAY_MS] } } }]
+    );
+    console.log(`✅ ${rest.modifiedCount} entries without an organization: 90 days`);
+
+    await mongoose.connection.close();
+    console.log('\n👋 Database connection closed\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Fatal error:', error);
+    process.exit(1);
+  }
+}
+
+migrateAuditLogRetention();
@@ -0,0 +1,113 @@
+/**
+ * Test script for app type detection and generated Dockerfiles
+ * Usage: node backend/scripts/test-app-detection.js
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import githubService from '../services/github-service.js';
+import dockerService from '../services/docker-service.js';
+
+console.log('🧪 Testing App Type Detection\n');
+console.log('=' .repeat(50));
+
+const check = (name, actual, expected) => {
+  if (actual === expected) {
+    console.log(`✅ ${name} PASSED\n`);
+  } else {
+    console.log(`❌ ${name} FAILED`);
+    console.log(`   Expected: ${JSON.stringify(expected)}`);
+    console.log(`   Actual:   ${JSON.stringify(actual)}\n`);
+    process.exit(1);
+  }
+};
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), 'app-detection-'));
+
+// Write a fixture repository: { 'relative/path': 'content' }
+const fixture = async (name, files) => {
+  const dir = path.join(root, name);
+  for (const [file, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+    await fs.writeFile(path.join(dir, file), content);
+  }
+  return dir;
+};
+
+const detect = async (name, files) => githubService.analyzeRepository(await fixture(name, files));
+
+try {
+  // Test 1: Existing Dockerfile wins over everything else
+  console.log('\n📝 Test 1: Existing Dockerfile');
+  const dockerDir = await fixture('docker', { 'Dockerfile': 'FROM scratch\n', 'package.json': '{}' });
+  check('Test 1', (await githubService.analyzeRepository(dockerDir)).appType, 'dockerfile');
+  await dockerService.generateDockerfile('nodejs', dockerDir, null, 3000);
+  check('Test 1 (not overwritten)', await fs.readFile(path.join(dockerDir, 'Dockerfile'), 'utf-8'), 'FROM scratch\n');
+
+  // Test 2: Vite + Vue single page app
+  console.log('📝 Test 2: Vite Vue App');
+  const vue = await detect('vue', {
+    'package.json': JSON.stringify({ dependencies: { vue: '^3.4.0' }, devDependencies: { vite: '^5.0.0' } }),
+    'pnpm-lock.yaml': ''
+  });
+  check('Test 2', `${vue.appType} ${vue.hints.packageManager} ${vue.hints.outputDir}`, 'vue pnpm dist');
+
+  // Test 3: Angular application builder output
+  console.log('📝 Test 3: Angular Output Directory');
+  const angular = await detect('angular', {
+    'package.json': JSON.stringify({ dependencies: { '@angular/core': '^17.0.0' } }),
+    'angular.json': JSON.stringify({
+      projects: { shop: { architect: { build: { builder: '@angular-devkit/build-angular:application', options: { outputPath: 'dist/shop' } } } } }
+    })
+  });
+  check('Test 3', `${angular.appType} ${angular.hints.outputDir}`, 'angular dist/shop/browser');
+
+  // Test 4: Go with a cmd/ main package
+  console.log('📝 Test 4: Go Main Package');
+  const go = await detect('go', { 'go.mod': 'module example.com/api\n', 'cmd/api/main.go': 'package main\n' });
+  check('Test 4', `${go.appType} ${go.hints.mainPackage}`, 'go ./cmd/api');
+
+  // Test 5: Java builds
+  console.log('📝 Test 5: Maven and Gradle');
+  check('Test 5 (maven)', (await detect('maven', { 'pom.xml': '<project/>' })).appType, 'java-maven');
+  check('Test 5 (gradle)', (await detect('gradle', { 'build.gradle.kts': '', 'gradlew': '' })).appType, 'java-gradle');
+
+  // Test 6: Ruby and PHP frameworks
+  console.log('📝 Test 6: Rails and Laravel');
+  check('Test 6 (rails)', (await detect('rails', { 'Gemfile': "source 'https://rubygems.org'\ngem 'rails', '~> 7.1'\n" })).appType, 'rails');
+  check('Test 6 (laravel)', (await detect('laravel', { 'composer.json': '{}', 'artisan': '' })).appType, 'laravel');
+
+  // Test 7: .NET project file
+  console.log('📝 Test 7: .NET Project');
+  const dotnet = await detect('dotnet', { 'Api.csproj': '<Project Sdk="Microsoft.NET.Sdk.Web" />' });
+  check('Test 7', `${dotnet.appType} ${dotnet.hints.assemblyName}`, 'dotnet Api');
+
+  // Test 8: Python entrypoints
+  console.log('📝 Test 8: Django, FastAPI and Flask Entrypoints');
+  const django = await detect('django', { 'manage.py': '', 'requirements.txt': 'Django\n', 'mysite/wsgi.py': '' });
+  check('Test 8 (django)', django.hints.wsgiModule, 'mysite.wsgi');
+  const fastapi = await detect('fastapi', { 'requirements.txt': 'fastapi\nuvicorn\n', 'app/main.py': 'from fastapi import FastAPI\napi = FastAPI()\n' });
+  check('Test 8 (fastapi)', `${fastapi.appType} ${fastapi.hints.entrypoint}`, 'fastapi app.main:api');
+  const flask = await detect('flask', { 'requirements.txt': 'Flask==3.0\n', 'app.py': 'from flask import Flask\napp = Flask(__name__)\n' });
+  check('Test 8 (flask)', `${flask.appType} ${flask.hints.entrypoint}`, 'flask app:app');
+
+  // Test 9: Monorepo root directory
+  console.log('📝 Test 9: Monorepo Root Directory');
+  const mono = await fixture('mono', { 'apps/web/package.json': '{}' });
+  check('Test 9', await githubService.resolveRootDirectory(mono, '/apps/web/'), path.join(mono, 'apps/web'));
+  const escaped = await githubService.resolveRootDirectory(mono, '../other').then(() => 'resolved', error => error.message);
+  check('Test 9 (outside the repository)', escaped.includes('outside the repository'), true);
+
+  // Test 10: Unknown repositories are not built as Node apps
+  console.log('📝 Test 10: Unknown App Type');
+  const unknownDir = await fixture('unknown', { 'README.md': '# hi\n' });
+  check('Test 10', (await githubService.analyzeRepository(unknownDir)).appType, 'unknown');
+  const unknownError = await dockerService.generateDockerfile('unknown', unknownDir, null, 3000).then(() => null, error => error.message);
+  check('Test 10 (no fallback Dockerfile)', unknownError?.startsWith('Cannot build app type'), true);
+
+  console.log('=' .repeat(50));
+  console.log('✅ All app detection tests passed');
+} finally {
+  await fs.rm(root, { recursive: true, force: true });
+}
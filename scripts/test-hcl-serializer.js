@@ -0,0 +1,122 @@
+/**
+ * Test script for the HCL/tfvars serializer
+ * Usage: node backend/scripts/test-hcl-serializer.js
+ */
+
+import { quoteHclString, toHclValue, toTfvars, toTfvarsJson } from '../utils/hcl.js';
+
+console.log('🧪 Testing HCL Serializer\n');
+console.log('=' .repeat(50));
+
+const check = (name, actual, expected) => {
+  if (actual === expected) {
+    console.log(`✅ ${name} PASSED\n`);
+  } else {
+    console.log(`❌ ${name} FAILED`);
+    console.log(`   Expected: ${JSON.stringify(expected)}`);
+    console.log(`   Actual:   ${JSON.stringify(actual)}\n`);
+    process.exit(1);
+  }
+};
+
+const checkThrows = (name, fn) => {
+  try {
+    fn();
+  } catch (error) {
+    console.log(`✅ ${name} PASSED (${error.message})\n`);
+    return;
+  }
+  console.log(`❌ ${name} FAILED: expected an error\n`);
+  process.exit(1);
+};
+
+// Test 1: Quotes and backslashes
+console.log('\n📝 Test 1: Quotes and Backslashes');
+check('Test 1', quoteHclString('say "hi" C:\\temp'), '"say \\"hi\\" C:\\\\temp"');
+
+// Test 2: Multi-line user data
+console.log('📝 Test 2: Multi-line User Data');
+const userData = '#!/bin/bash\nyum update -y\r\n\techo "ready" > /tmp/status\n';
+check(
+  'Test 2',
+  toTfvars({ user_data: userData }),
+  'user_data = "#!/bin/bash\\nyum update -y\\r\\n\\techo \\"ready\\" > /tmp/status\\n"\n'
+);
+
+// Test 3: Template sequences stay literal
+console.log('📝 Test 3: Template Sequences');
+check(
+  'Test 3',
+  quoteHclString('echo ${HOME} %{ if true }x%{ endif } $5'),
+  '"echo $${HOME} %%{ if true }x%%{ endif } $5"'
+);
+
+// Test 4: Other control characters
+console.log('📝 Test 4: Control Characters');
+check('Test 4', quoteHclString('bell\u0007null\u0000del\u007f'), '"bell\\u0007null\\u0000del\\u007f"');
+
+// Test 5: Unicode is written as-is
+console.log('📝 Test 5: Unicode');
+check('Test 5', quoteHclString('café ☁️ 日本語 🚀'), '"café ☁️ 日本語 🚀"');
+
+// Test 6: Nested objects and arrays
+console.log('📝 Test 6: Nested Objects');
+check(
+  'Test 6',
+  toTfvars({
+    additional_tags: {
+      'Cost Center': 'R&D "core"',
+      'aws:team': 'platform',
+      Limits: { max: 3, ports: [80, 443] }
+    }
+  }),
+  [
+    'additional_tags = {',
+    '  "Cost Center" = "R&D \\"core\\""',
+    '  "aws:team" = "platform"',
+    '  "Limits" = {',
+    '    "max" = 3',
+    '    "ports" = [',
+    '      80,',
+    '      443,',
+    '    ]',
+    '  }',
+    '}',
+    ''
+  ].join('\n')
+);
+
+// Test 7: Scalars, empty collections and undefined values
+console.log('📝 Test 7: Scalars and Empty Values');
+check(
+  'Test 7',
+  toTfvars({
+    root_volume_size: 20,
+    associate_public_ip: false,
+    kms_key_id: '',
+    iam_role_policies: [],
+    tags: {},
+    vpc_id: null,
+    key_name: undefined
+  }),
+  'root_volume_size = 20\nassociate_public_ip = false\nkms_key_id = ""\niam_role_policies = []\ntags = {}\nvpc_id = null\n'
+);
+
+// Test 8: Invalid input is rejected
+console.log('📝 Test 8: Invalid Input');
+checkThrows('Test 8a (NaN)', () => toHclValue(NaN));
+checkThrows('Test 8b (variable name)', () => toTfvars({ 'bad name': 'x' }));
+checkThrows('Test 8c (function)', () => toHclValue(() => {}));
+
+// Test 9: tfvars.json round trip
+console.log('📝 Test 9: tfvars.json');
+const variables = {
+  user_data: userData,
+  additional_tags: { Owner: 'José', Template: '${var.x}' },
+  allowed_ssh_cidrs: ['0.0.0.0/0']
+};
+check('Test 9', JSON.stringify(JSON.parse(toTfvarsJson(variables))), JSON.stringify(variables));
+
+// Summary
+console.log('=' .repeat(50));
+console.log('\n🎉 All Tests PASSED!\n');
@@ -14,6 +14,22 @@ import templatesRoutes from './routes/templates.js';
 import notificationsRoutes from './routes/notifications.js';
 import applicationsRoutes from './routes/applications.js';
 import chatbotRoutes from './routes/chatbot.js';
+import terraformStateRoutes from './routes/terraform-state.js';
+import webhookRoutes from './routes/webhooks.js';
+import secretsRoutes from './routes/secrets.js';
+import environmentGroupsRoutes from './routes/environment-groups.js';
+import domainsRoutes from './routes/domains.js';
+import auditLogsRoutes from './routes/audit-logs.js';
+import auditSinksRoutes from './routes/audit-sinks.js';
+import { checkTerraformHealth, getTerraformBinaryStatus } from './utils/terraformBinary.js';
+import { redactWorkspaceSecrets } from './utils/terraform.js';
+import Deployment from './models/Deployment.js';
+import AuditLog from './models/AuditLog.js';
+import { startDriftDetector } from './utils/driftDetector.js';
+import { startHealthMonitor } from './utils/healthMonitor.js';
+import { startAuditCheckpoints } from './utils/auditChain.js';
+import { startAuditSinks } from './utils/auditSinks.js';
+import { recoverJobs, startJobWorkers } from './utils/jobQueue.js';
 
 // Security middleware
 import { apiLimiter } from './middleware/rateLimiter.js';
@@ -72,6 +88,12 @@ app.use(detectSuspiciousPatterns);
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
+// Terraform HTTP state backend (raw bodies, mounted before JSON parsing/sanitizing)
+app.use('/api/terraform/state', terraformStateRoutes);
+
+// GitHub webhooks (signature is checked against the raw body)
+app.use('/api/webhooks', webhookRoutes);
+
 // Body parsing
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -165,8 +187,105 @@ const connectDB = async () => {
   }
 };
 
+// Workspaces created before credentials moved to the environment still hold
+// AWS keys in terraform.tfvars and in saved plans. Strip them on startup.
+const migrateWorkspaceSecrets = async () => {
+  try {
+    const { scanned, redacted } = await redactWorkspaceSecrets();
+
+    if (redacted.length === 0) {
+      return;
+    }
+
+    console.log(`🔐 Removed AWS credentials from ${redacted.length}/${scanned} Terraform workspaces`);
+
+    if (mongoose.connection.readyState !== 1) {
+      console.log('⚠️  Saved plans of redacted workspaces could not be invalidated (no database connection)');
+      return;
+    }
+
+    // Plans stored in the database embed the old credentials too
+    const invalidated = await Deployment.updateMany(
+      { workspaceId: { $in: redacted }, status: 'planned' },
+      {
+        $set: {
+          status: 'plan_failed',
+          errorLog: 'Plan discarded because it contained AWS credentials. Create a new plan.',
+          updatedAt: new Date()
+        }
+      }
+    );
+    await Deployment.updateMany(
+      { workspaceId: { $in: redacted }, 'plan.file': { $exists: true } },
+      { $unset: { 'plan.file': 1 } }
+    );
+
+    if (invalidated.modifiedCount > 0) {
+      console.log(`🔐 Invalidated ${invalidated.modifiedCount} saved plans that contained AWS credentials`);
+    }
+  } catch (error) {
+    console.error('❌ Workspace secret migration failed:', error.message);
+  }
+};
+
+// Audit logs expire at their own expiresAt (per plan retention). Databases from
+// before that still have the 90 day TTL index on timestamp, and entries
+// without an expiresAt until scripts/migrate-audit-log-retention.js has run.
+const migrateAuditLogRetention = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+
+  try {
+    const droppedIndex = await AuditLog.dropLegacyTtlIndex();
+    if (droppedIndex) {
+      console.log(`🗂️  Dropped audit log TTL index ${droppedIndex}, entries now expire per plan retention`);
+    }
+
+    if (await AuditLog.exists({ expiresAt: { $exists: false } })) {
+      console.log('⚠️  Some audit log entries have no expiresAt and are never deleted. Run scripts/migrate-audit-log-retention.js');
+    }
+  } catch (error) {
+    console.error('❌ Audit log retention check failed:', error.message);
+  }
+};
+
+// Resume or fail jobs a previous process left behind, then start the workers
+const startJobQueue = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    console.log('⚠️  Job workers will start once the database is connected');
+    mongoose.connection.once('connected', startJobQueue);
+    return;
+  }
+
+  try {
+    await recoverJobs();
+    startJobWorkers();
+  } catch (error) {
+    console.error('❌ Failed to start job workers:', error.message);
+  }
+};
+
 // Connect to MongoDB
-connectDB();
+connectDB()
+  .then(migrateWorkspaceSecrets)
+  .then(migrateAuditLogRetention)
+  .then(startJobQueue);
+
+// Verify the Terraform binary up front rather than on the first deployment
+checkTerraformHealth();
+
+// Periodic refresh-only plans to catch changes made outside of Terraform
+startDriftDetector();
+
+// Probe running applications and track their uptime
+startHealthMonitor();
+
+// Sign the head of each organization's audit log chain
+startAuditCheckpoints();
+
+// Stream audit log entries to the organizations' SIEMs and log shippers
+startAuditSinks();
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -179,8 +298,13 @@ app.use('/api/organization', organizationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/templates', templatesRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/applications/:id/domains', domainsRoutes);
 app.use('/api/applications', applicationsRoutes);
+app.use('/api/secrets', secretsRoutes);
+app.use('/api/environment-groups', environmentGroupsRoutes);
 app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/audit-logs', auditLogsRoutes);
+app.use('/api/audit-sinks', auditSinksRoutes);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -218,6 +342,7 @@ app.get('/api/health', async (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     bcryptRounds: process.env.BCRYPT_ROUNDS || 'default',
     emailService: process.env.USE_RESEND === 'true' ? 'Resend' : 'SMTP/Console',
+    terraform: getTerraformBinaryStatus(),
     port: PORT,
     nodeVersion: process.version
   });
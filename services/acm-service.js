@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import AWS from 'aws-sdk';
+
+// ACM publishes the DNS validation record a few seconds after the request
+const VALIDATION_RECORD_ATTEMPTS = 10;
+const VALIDATION_RECORD_POLL_MS = 3000;
+
+// Certificates for custom domains, validated through DNS records the user adds.
+// They are requested in the application's region, where its load balancer runs.
+class ACMService {
+  getClient(credentials, region) {
+    return new AWS.ACM({
+      region: region || 'us-east-1',
+      accessKeyId: credentials.accessKeyId,
+      secretAccessKey: credentials.secretAccessKey
+    });
+  }
+
+  /**
+   * Request a DNS validated certificate for a hostname
+   * @returns {Promise<object>} - { certificateArn, validationRecords: [{ name, type, value }] }
+   */
+  async requestCertificate(credentials, region, { hostname, applicationId }) {
+    const acm = this.getClient(credentials, region);
+
+    try {
+      const { CertificateArn } = await acm.requestCertificate({
+        DomainName: hostname,
+        ValidationMethod: 'DNS',
+        // Repeating the request within an hour returns the same certificate
+        IdempotencyToken: crypto.createHash('sha256').update(`${applicationId}:${hostname}`).digest('hex').slice(0, 32),
+        Tags: [
+          { Key: 'radynamics:applicationId', Value: String(applicationId) },
+          { Key: 'Name', Value: hostname }
+        ]
+      }).promise();
+      console.log(`Requested certificate for ${hostname}: ${CertificateArn}`);
+
+      for (let attempt = 0; attempt < VALIDATION_RECORD_ATTEMPTS; attempt++) {
+        const certificate = await this.describeCertificate(credentials, region, CertificateArn);
+        if (certificate.validationRecords.length > 0) {
+          return { certificateArn: CertificateArn, validationRecords: certificate.validationRecords };
+        }
+        await new Promise(resolve => setTimeout(resolve, VALIDATION_RECORD_POLL_MS));
+      }
+
+      // Still useful: the records show up on the next status check
+      return { certificateArn: CertificateArn, validationRecords: [] };
+    } catch (error) {
+      console.error('Error requesting certificate:', error);
+      throw new Error(`Failed to request certificate for ${hostname}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @returns {Promise<object>} - { status, validationRecords, failureReason, notAfter }
+   *   where status is the ACM status (PENDING_VALIDATION, ISSUED, FAILED, VALIDATION_TIMED_OUT...)
+   */
+  async describeCertificate(credentials, region, certificateArn) {
+    const acm = this.getClient(credentials, region);
+    const { Certificate } = await acm.describeCertificate({ CertificateArn: certificateArn }).promise();
+
+    return {
+      status: Certificate.Status,
+      validationRecords: (Certificate.DomainValidationOptions || [])
+        .filter(option => option.ResourceRecord)
+        .map(option => ({
+          name: option.ResourceRecord.Name,
+          type: option.ResourceRecord.Type,
+          value: option.ResourceRecord.Value
+        })),
+      failureReason: Certificate.FailureReason || null,
+      notAfter: Certificate.NotAfter || null
+    };
+  }
+
+  // A certificate stays in use for a moment after its listener lets go of it
+  async deleteCertificate(credentials, region, certificateArn) {
+    const acm = this.getClient(credentials, region);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await acm.deleteCertificate({ CertificateArn: certificateArn }).promise();
+        console.log(`Deleted certificate ${certificateArn}`);
+        return;
+      } catch (error) {
+        if (error.code === 'ResourceNotFoundException') {
+          return;
+        }
+        if (error.code !== 'ResourceInUseException' || attempt >= 5) {
+          console.error('Error deleting certificate:', error);
+          throw new Error(`Failed to delete certificate: ${error.message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5000));
+      }
+    }
+  }
+}
+
+export default new ACMService();
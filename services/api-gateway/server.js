@@ -1,38 +1,290 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import http from 'http';
+import https from 'https';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-app.use(cors());
-app.use(express.json());
+const HEALTH_CHECK_INTERVAL = parseInt(process.env.HEALTH_CHECK_INTERVAL_MS || '10000');
+const HEALTH_CHECK_TIMEOUT = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '2000');
+const DEFAULT_TIMEOUT = parseInt(process.env.PROXY_TIMEOUT_MS || '30000');
+
+// Service registry. Each entry can list several instances (comma separated
+// URLs), SERVICE_REGISTRY='{"auth":"http://auth:5001,http://auth-2:5001"}'
+// overrides the defaults from start-microservices.js.
+const defaultRegistry = {
+  auth: process.env.AUTH_SERVICE_URL || 'http://localhost:5001',
+  aws: process.env.AWS_SERVICE_URL || 'http://localhost:5002',
+  deployment: process.env.DEPLOYMENT_SERVICE_URL || 'http://localhost:5003',
+  notification: process.env.NOTIFICATION_SERVICE_URL || 'http://localhost:5004'
+};
+
+const loadRegistry = () => {
+  let overrides = {};
+  if (process.env.SERVICE_REGISTRY) {
+    try {
+      overrides = JSON.parse(process.env.SERVICE_REGISTRY);
+    } catch (error) {
+      console.error('❌ SERVICE_REGISTRY is not valid JSON, using defaults:', error.message);
+    }
+  }
+
+  const registry = {};
+  for (const [name, urls] of Object.entries({ ...defaultRegistry, ...overrides })) {
+    const list = Array.isArray(urls) ? urls : String(urls).split(',');
+    registry[name] = {
+      next: 0,
+      instances: list.map(url => url.trim()).filter(Boolean).map(url => ({
+        url: new URL(url),
+        healthy: true,
+        lastCheckedAt: null,
+        lastError: null
+      }))
+    };
+  }
+  return registry;
+};
+
+const registry = loadRegistry();
+
+// Routes exposed by the gateway. Paths in `public` skip JWT verification.
+const routes = [
+  { prefix: '/api/auth', service: 'auth', timeout: parseInt(process.env.AUTH_TIMEOUT_MS) || DEFAULT_TIMEOUT, public: ['/register', '/login'] },
+  { prefix: '/api/aws', service: 'aws', timeout: parseInt(process.env.AWS_TIMEOUT_MS) || DEFAULT_TIMEOUT },
+  // Deployments wait on Terraform, give them longer by default
+  { prefix: '/api/deploy', service: 'deployment', timeout: parseInt(process.env.DEPLOY_TIMEOUT_MS) || 120000 },
+  { prefix: '/api/notifications', service: 'notification', timeout: parseInt(process.env.NOTIFICATION_TIMEOUT_MS) || DEFAULT_TIMEOUT }
+];
+
+// Headers that describe a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+  'te', 'trailer', 'transfer-encoding', 'upgrade'
+];
+
+// Identity headers are set by the gateway only, never trusted from clients
+const IDENTITY_HEADERS = ['x-user-id', 'x-user-email', 'x-organization-id'];
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Round robin over the instances that passed their last health check
+const pickInstance = (serviceName) => {
+  const service = registry[serviceName];
+  if (!service || service.instances.length === 0) {
+    return null;
+  }
+
+  const healthy = service.instances.filter(instance => instance.healthy);
+  if (healthy.length === 0) {
+    return null;
+  }
+
+  const instance = healthy[service.next % healthy.length];
+  service.next = (service.next + 1) % Number.MAX_SAFE_INTEGER;
+  return instance;
+};
+
+const checkInstance = (instance) => {
+  return new Promise((resolve) => {
+    const client = instance.url.protocol === 'https:' ? https : http;
+    const request = client.get(new URL('/health', instance.url), { timeout: HEALTH_CHECK_TIMEOUT }, (response) => {
+      response.resume();
+      resolve({ healthy: response.statusCode === 200, error: response.statusCode === 200 ? null : `HTTP ${response.statusCode}` });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Health check timed out')));
+    request.on('error', (error) => resolve({ healthy: false, error: error.message }));
+  });
+};
+
+const pollHealth = async () => {
+  for (const [name, service] of Object.entries(registry)) {
+    for (const instance of service.instances) {
+      const { healthy, error } = await checkInstance(instance);
+
+      if (healthy !== instance.healthy) {
+        console.log(healthy
+          ? `✅ ${name} service at ${instance.url.origin} is healthy again`
+          : `❌ ${name} service at ${instance.url.origin} is unhealthy: ${error}`);
+      }
+
+      instance.healthy = healthy;
+      instance.lastError = error;
+      instance.lastCheckedAt = new Date();
+    }
+  }
+};
+
+// Request ID: keep a well-formed one from the client, otherwise issue a new one
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  res.setHeader('X-Request-ID', req.requestId);
+  next();
+});
+
+app.use(cors({ exposedHeaders: ['X-Request-ID'] }));
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'healthy', service: 'API Gateway' });
-});
+  const services = Object.fromEntries(Object.entries(registry).map(([name, service]) => [
+    name,
+    service.instances.map(instance => ({
+      url: instance.url.origin,
+      healthy: instance.healthy,
+      lastCheckedAt: instance.lastCheckedAt,
+      error: instance.lastError
+    }))
+  ]));
 
-// Route to auth service
-app.use('/api/auth', (req, res) => {
-  // Forward to auth service on port 5001
-  res.json({ message: 'Route to auth service' });
-});
+  const allHealthy = Object.values(registry).every(service => service.instances.some(instance => instance.healthy));
 
-// Route to AWS service
-app.use('/api/aws', (req, res) => {
-  // Forward to AWS service on port 5002
-  res.json({ message: 'Route to AWS service' });
+  res.status(allHealthy ? 200 : 503).json({
+    status: allHealthy ? 'healthy' : 'degraded',
+    service: 'API Gateway',
+    services
+  });
 });
 
-// Route to deployment service
-app.use('/api/deploy', (req, res) => {
-  // Forward to deployment service on port 5003
-  res.json({ message: 'Route to deployment service' });
+// JWT verification at the edge. Services receive the verified identity in
+// X-User-* headers and the original Authorization header.
+const verifyToken = (route) => (req, res, next) => {
+  for (const header of IDENTITY_HEADERS) {
+    delete req.headers[header];
+  }
+
+  if (route.public?.includes(req.path)) {
+    return next();
+  }
+
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Tokens of an unfinished sign in (password verified, MFA pending) carry a type
+    if (decoded.type) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    req.headers['x-user-id'] = String(decoded.userId);
+    if (decoded.email) req.headers['x-user-email'] = String(decoded.email);
+    if (decoded.organizationId) req.headers['x-organization-id'] = String(decoded.organizationId);
+    next();
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+};
+
+// Stream the request to a service instance and the response back
+const forward = (route) => (req, res) => {
+  const instance = pickInstance(route.service);
+
+  if (!instance) {
+    return res.status(503).json({
+      error: `${route.service} service is unavailable`,
+      requestId: req.requestId
+    });
+  }
+
+  const headers = { ...req.headers };
+  for (const header of HOP_BY_HOP_HEADERS) {
+    delete headers[header];
+  }
+
+  headers.host = instance.url.host;
+  headers['x-request-id'] = req.requestId;
+  headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ');
+  headers['x-forwarded-proto'] = req.protocol;
+  headers['x-forwarded-host'] = req.headers.host;
+
+  // req.url has the route prefix stripped, e.g. /api/auth/login -> /login
+  const basePath = instance.url.pathname.replace(/\/$/, '');
+  const client = instance.url.protocol === 'https:' ? https : http;
+
+  const upstream = client.request({
+    protocol: instance.url.protocol,
+    hostname: instance.url.hostname,
+    port: instance.url.port,
+    method: req.method,
+    path: `${basePath}${req.url}`,
+    headers
+  });
+
+  upstream.setTimeout(route.timeout, () => {
+    upstream.destroy(Object.assign(new Error(`Upstream timed out after ${route.timeout}ms`), { code: 'GATEWAY_TIMEOUT' }));
+  });
+
+  upstream.on('response', (response) => {
+    const responseHeaders = { ...response.headers };
+    for (const header of HOP_BY_HOP_HEADERS) {
+      delete responseHeaders[header];
+    }
+    responseHeaders['x-request-id'] = req.requestId;
+
+    res.writeHead(response.statusCode, responseHeaders);
+    response.pipe(res);
+  });
+
+  upstream.on('error', (error) => {
+    const timedOut = error.code === 'GATEWAY_TIMEOUT';
+
+    console.error(`❌ [${req.requestId}] ${req.method} ${req.originalUrl} -> ${route.service} failed:`, error.message);
+
+    // Refused connections mark the instance down until the next health check
+    if (error.code === 'ECONNREFUSED') {
+      instance.healthy = false;
+      instance.lastError = error.message;
+    }
+
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(timedOut ? 504 : 502).json({
+      error: timedOut ? `${route.service} service timed out` : `${route.service} service request failed`,
+      requestId: req.requestId
+    });
+  });
+
+  // Client went away, stop the upstream request too
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      upstream.destroy();
+    }
+  });
+
+  req.pipe(upstream);
+};
+
+for (const route of routes) {
+  app.use(route.prefix, verifyToken(route), forward(route));
+}
+
+app.use((req, res) => {
+  res.status(404).json({ error: 'Route not found', requestId: req.requestId });
 });
 
+if (!process.env.JWT_SECRET) {
+  console.error('❌ JWT_SECRET is not set, every authenticated route will return 401');
+}
+
 app.listen(PORT, () => {
   console.log(`🚀 API Gateway running on port ${PORT}`);
+  for (const route of routes) {
+    const urls = registry[route.service].instances.map(instance => instance.url.origin).join(', ');
+    console.log(`   ${route.prefix} -> ${route.service} (${urls}), timeout ${route.timeout}ms`);
+  }
+
+  pollHealth();
+  setInterval(pollHealth, HEALTH_CHECK_INTERVAL).unref();
 });
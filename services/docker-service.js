@@ -1,12 +1,87 @@
-import { exec } from 'child_process';
+import { exec, spawn } from 'child_process';
 import util from 'util';
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
 
 const execPromise = util.promisify(exec);
 
+// Files that pin dependencies: the install layer only changes when they do
+const DEPENDENCY_FILES = [
+  'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'package.json',
+  'requirements.txt', 'Pipfile.lock', 'poetry.lock', 'pyproject.toml',
+  'go.sum', 'go.mod', 'pom.xml', 'build.gradle', 'build.gradle.kts', 'gradle.lockfile',
+  'Gemfile.lock', 'composer.lock', 'packages.lock.json'
+];
+
 class DockerService {
-  async generateDockerfile(appType, repoPath, startCommand, port) {
+  /**
+   * Write a Dockerfile for the app type, unless the directory already has one
+   * @param {string} appType - Type from githubService.analyzeRepository
+   * @param {string} repoPath - Build context (the rootDirectory of monorepos)
+   * @param {string} startCommand - Overrides the template's CMD when set
+   * @param {number} port - Port the container listens on
+   * @param {object} hints - Build hints from githubService.analyzeRepository
+   * @returns {Promise<object>} - { dockerfilePath, generated }
+   */
+  async generateDockerfile(appType, repoPath, startCommand, port, hints = {}) {
+    const dockerfilePath = path.join(repoPath, 'Dockerfile');
+    
+    // The repository knows best how to build itself
+    const existing = await fs.access(dockerfilePath).then(() => true, () => false);
+    if (existing) {
+      console.log(`Using the repository's Dockerfile (${appType})`);
+      return { dockerfilePath, generated: false };
+    }
+    
+    const dockerfile = this.getDockerfileTemplate(appType, startCommand, port, hints);
+    if (!dockerfile) {
+      throw new Error(
+        `Cannot build app type "${appType}": no Dockerfile template. ` +
+        'Add a Dockerfile to the repository, set the app type, or point rootDirectory at the application folder.'
+      );
+    }
+    
+    await fs.writeFile(dockerfilePath, dockerfile);
+    console.log(`Generated Dockerfile for ${appType}`);
+    
+    // nginx config of the single page app templates
+    if (['react', 'vite', 'vue', 'angular'].includes(appType)) {
+      await fs.writeFile(path.join(repoPath, '.radynamics-nginx.conf'), this.getSpaNginxConfig(port));
+    }
+    
+    return { dockerfilePath, generated: true };
+  }
+
+  getDockerfileTemplate(appType, startCommand, port, hints = {}) {
+    // Shell form for user commands, exec form for the template defaults
+    const cmd = (fallback) => startCommand ? `CMD ${startCommand}` : `CMD ${JSON.stringify(fallback)}`;
+    const node = this.getNodeCommands(hints.packageManager);
+    
+    const spa = (outputDir) => `FROM node:20-alpine AS build
+WORKDIR /app
+COPY package.json package-lock.json* yarn.lock* pnpm-lock.yaml* ./
+RUN ${node.install}
+COPY . .
+RUN ${node.run} build
+
+FROM nginx:alpine
+COPY .radynamics-nginx.conf /etc/nginx/conf.d/default.conf
+COPY --from=build /app/${outputDir} /usr/share/nginx/html
+EXPOSE ${port}
+CMD ["nginx", "-g", "daemon off;"]`;
+    
+    // Dependencies first so their layer is reused while composer.lock is unchanged
+    const composerInstall = `COPY composer.json composer.lock* ./
+RUN composer install --no-dev --no-interaction --prefer-dist --no-scripts --no-autoloader --ignore-platform-reqs
+COPY . .
+RUN composer dump-autoload --no-dev --optimize --no-scripts`;
+    
+    const pythonBase = `FROM python:3.11-slim
+WORKDIR /app
+ENV PYTHONUNBUFFERED=1 PORT=${port}
+${this.getPythonInstall(hints.dependencies)}`;
+    
     const dockerfiles = {
       nodejs: `FROM node:18-alpine
 WORKDIR /app
@@ -14,19 +89,12 @@ COPY package*.json ./
 RUN npm install --production
 COPY . .
 EXPOSE ${port}
-CMD ${startCommand}`,
+${cmd(['npm', 'start'])}`,
 
-      react: `FROM node:18-alpine as build
-WORKDIR /app
-COPY package*.json ./
-RUN npm install
-COPY . .
-RUN npm run build
-
-FROM nginx:alpine
-COPY --from=build /app/build /usr/share/nginx/html
-EXPOSE 80
-CMD ["nginx", "-g", "daemon off;"]`,
+      react: spa(hints.outputDir || 'build'),
+      vite: spa(hints.outputDir || 'dist'),
+      vue: spa(hints.outputDir || 'dist'),
+      angular: spa(hints.outputDir || 'dist'),
 
       nextjs: `FROM node:18-alpine
 WORKDIR /app
@@ -37,48 +105,331 @@ RUN npm run build
 EXPOSE ${port}
 CMD ["npm", "start"]`,
 
-      python: `FROM python:3.11-slim
+      python: `${pythonBase}
+EXPOSE ${port}
+${cmd(['python', 'app.py'])}`,
+
+      django: `${pythonBase}
+RUN pip install --no-cache-dir gunicorn
+RUN python manage.py collectstatic --noinput || true
+EXPOSE ${port}
+${cmd(['gunicorn', hints.wsgiModule || 'config.wsgi', '--bind', `0.0.0.0:${port}`])}`,
+
+      fastapi: `${pythonBase}
+RUN pip install --no-cache-dir uvicorn
+EXPOSE ${port}
+${cmd(['uvicorn', hints.entrypoint || 'main:app', '--host', '0.0.0.0', '--port', String(port)])}`,
+
+      flask: `${pythonBase}
+RUN pip install --no-cache-dir gunicorn
+EXPOSE ${port}
+${cmd(['gunicorn', hints.entrypoint || 'app:app', '--bind', `0.0.0.0:${port}`])}`,
+
+      go: `FROM golang:1.22-alpine AS build
+WORKDIR /src
+COPY go.mod go.sum* ./
+RUN go mod download
+COPY . .
+RUN CGO_ENABLED=0 go build -o /out/server ${hints.mainPackage || '.'}
+
+FROM alpine:3.19
+RUN apk add --no-cache ca-certificates
 WORKDIR /app
-COPY requirements.txt .
-RUN pip install --no-cache-dir -r requirements.txt
+COPY --from=build /out/server /app/server
+ENV PORT=${port}
+EXPOSE ${port}
+${cmd(['/app/server'])}`,
+
+      'java-maven': `FROM maven:3.9-eclipse-temurin-21 AS build
+WORKDIR /src
+COPY pom.xml .
+RUN mvn -B dependency:go-offline || true
+COPY . .
+RUN ${hints.wrapper ? 'chmod +x mvnw && ./mvnw' : 'mvn'} -B -DskipTests package
+RUN cp "$(ls target/*.jar | grep -v -e '-plain.jar$' -e '.original$' | head -n 1)" /app.jar
+
+FROM eclipse-temurin:21-jre
+WORKDIR /app
+COPY --from=build /app.jar /app/app.jar
+ENV PORT=${port} SERVER_PORT=${port}
+EXPOSE ${port}
+${cmd(['java', '-jar', '/app/app.jar'])}`,
+
+      'java-gradle': `FROM gradle:8-jdk21 AS build
+WORKDIR /src
 COPY . .
+RUN ${hints.wrapper ? 'chmod +x gradlew && ./gradlew' : 'gradle'} build -x test --no-daemon
+RUN cp "$(ls build/libs/*.jar | grep -v -e '-plain.jar$' | head -n 1)" /app.jar
+
+FROM eclipse-temurin:21-jre
+WORKDIR /app
+COPY --from=build /app.jar /app/app.jar
+ENV PORT=${port} SERVER_PORT=${port}
 EXPOSE ${port}
-CMD ${startCommand}`,
+${cmd(['java', '-jar', '/app/app.jar'])}`,
+
+      ruby: `FROM ruby:3.3-slim
+RUN apt-get update && apt-get install -y --no-install-recommends build-essential && rm -rf /var/lib/apt/lists/*
+WORKDIR /app
+COPY Gemfile Gemfile.lock* ./
+RUN bundle install
+COPY . .
+ENV PORT=${port}
+EXPOSE ${port}
+${cmd(hints.rackup
+    ? ['bundle', 'exec', 'rackup', '--host', '0.0.0.0', '--port', String(port)]
+    : ['bundle', 'exec', 'ruby', 'app.rb', '-o', '0.0.0.0', '-p', String(port)])}`,
+
+      rails: `FROM ruby:3.3-slim
+RUN apt-get update && apt-get install -y --no-install-recommends build-essential libpq-dev libyaml-dev nodejs && rm -rf /var/lib/apt/lists/*
+WORKDIR /app
+ENV RAILS_ENV=production BUNDLE_WITHOUT=development:test RAILS_LOG_TO_STDOUT=1 RAILS_SERVE_STATIC_FILES=1 PORT=${port}
+COPY Gemfile Gemfile.lock* ./
+RUN bundle install
+COPY . .
+RUN SECRET_KEY_BASE_DUMMY=1 bundle exec rails assets:precompile || true
+EXPOSE ${port}
+${cmd(['bundle', 'exec', 'rails', 'server', '-b', '0.0.0.0', '-p', String(port)])}`,
+
+      php: `FROM composer:2 AS vendor
+WORKDIR /app
+${composerInstall}
+
+FROM php:8.3-apache
+${this.getApacheSetup(port, '/var/www/html')}
+COPY --from=vendor /app /var/www/html
+EXPOSE ${port}
+${cmd(['apache2-foreground'])}`,
+
+      laravel: `FROM composer:2 AS vendor
+WORKDIR /app
+${composerInstall}
+
+FROM php:8.3-apache
+RUN docker-php-ext-install pdo_mysql && a2enmod rewrite
+${this.getApacheSetup(port, '/var/www/html/public')}
+COPY --from=vendor /app /var/www/html
+RUN chown -R www-data:www-data /var/www/html/storage /var/www/html/bootstrap/cache
+EXPOSE ${port}
+${cmd(['apache2-foreground'])}`,
+
+      dotnet: `FROM mcr.microsoft.com/dotnet/sdk:8.0 AS build
+WORKDIR /src
+COPY "${hints.projectFile}" ./
+RUN dotnet restore "${hints.projectFile}" || true
+COPY . .
+RUN dotnet publish "${hints.projectFile}" -c Release -o /out
+
+FROM mcr.microsoft.com/dotnet/aspnet:8.0
+WORKDIR /app
+COPY --from=build /out .
+ENV ASPNETCORE_URLS=http://+:${port}
+EXPOSE ${port}
+${cmd(['dotnet', `${hints.assemblyName}.dll`])}`,
 
       static: `FROM nginx:alpine
 COPY . /usr/share/nginx/html
 EXPOSE 80
 CMD ["nginx", "-g", "daemon off;"]`
     };
+    
+    if (appType === 'dotnet' && !hints.projectFile) {
+      return null;
+    }
+    
+    return dockerfiles[appType] || null;
+  }
 
-    const dockerfile = dockerfiles[appType] || dockerfiles.nodejs;
-    const dockerfilePath = path.join(repoPath, 'Dockerfile');
+  getNodeCommands(packageManager) {
+    switch (packageManager) {
+      case 'pnpm':
+        return { install: 'corepack enable && pnpm install --frozen-lockfile', run: 'pnpm run' };
+      case 'yarn':
+        return { install: 'corepack enable && yarn install --frozen-lockfile', run: 'yarn run' };
+      case 'npm-ci':
+        return { install: 'npm ci', run: 'npm run' };
+      default:
+        return { install: 'npm install', run: 'npm run' };
+    }
+  }
+
+  getPythonInstall(dependencies) {
+    switch (dependencies) {
+      case 'pyproject':
+        return 'COPY . .\nRUN pip install --no-cache-dir .';
+      case 'pipfile':
+        return 'COPY Pipfile Pipfile.lock* ./\nRUN pip install --no-cache-dir pipenv && pipenv install --system --deploy\nCOPY . .';
+      case 'requirements':
+        return 'COPY requirements.txt .\nRUN pip install --no-cache-dir -r requirements.txt\nCOPY . .';
+      default:
+        return 'COPY . .';
+    }
+  }
+
+  // Apache of the official PHP image listens on 80 and serves /var/www/html
+  getApacheSetup(port, documentRoot) {
+    return `RUN sed -ri 's/Listen 80/Listen ${port}/' /etc/apache2/ports.conf \\
+ && sed -ri 's#<VirtualHost \\*:80>#<VirtualHost *:${port}>#; s#/var/www/html#${documentRoot}#' /etc/apache2/sites-available/000-default.conf`;
+  }
+
+  // Client-side routes fall back to index.html
+  getSpaNginxConfig(port) {
+    return `server {
+    listen ${port};
+    root /usr/share/nginx/html;
+    index index.html;
+
+    location / {
+        try_files $uri $uri/ /index.html;
+    }
+}
+`;
+  }
+
+  /**
+   * Hash of the dependency manifests and lockfiles in the build context
+   * (plus .NET project files), or null when there are none
+   */
+  async getDependencyHash(repoPath) {
+    const files = await fs.readdir(repoPath).catch(() => []);
+    const manifests = files
+      .filter(file => DEPENDENCY_FILES.includes(file) || /\.(csproj|fsproj)$/.test(file))
+      .sort();
     
-    await fs.writeFile(dockerfilePath, dockerfile);
-    console.log(`Generated Dockerfile for ${appType}`);
+    if (manifests.length === 0) {
+      return null;
+    }
+    
+    const hash = crypto.createHash('sha256');
+    for (const file of manifests) {
+      hash.update(`${file}\0`);
+      hash.update(await fs.readFile(path.join(repoPath, file)));
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Count build steps and the ones served from the layer cache
+   * @returns {object} - { totalSteps, cachedSteps, cacheHitRatio }
+   */
+  parseBuildCacheStats(output) {
+    const steps = new Set();
+    const cached = new Set();
+    let legacyStep = null;
+    
+    for (const line of output.split('\n')) {
+      // BuildKit: "#7 [build 3/6] RUN npm ci" and later "#7 CACHED"
+      const step = line.match(/^#(\d+) \[[^\]]*\d+\/\d+\]/);
+      if (step) steps.add(step[1]);
+      const hit = line.match(/^#(\d+) CACHED/);
+      if (hit) cached.add(hit[1]);
+      
+      // Classic builder: "Step 3/6 : RUN npm ci" followed by " ---> Using cache"
+      const legacy = line.match(/^Step (\d+)\/\d+ :/);
+      if (legacy) {
+        legacyStep = `step-${legacy[1]}`;
+        steps.add(legacyStep);
+      }
+      if (legacyStep && line.includes('---> Using cache')) cached.add(legacyStep);
+    }
     
-    return dockerfilePath;
+    const cachedSteps = [...cached].filter(id => steps.has(id)).length;
+    return {
+      totalSteps: steps.size,
+      cachedSteps,
+      cacheHitRatio: steps.size > 0 ? Math.round((cachedSteps / steps.size) * 1000) / 1000 : 0
+    };
   }
 
-  async buildImage(repoPath, imageName, tag = 'latest') {
+  /**
+   * Build an image, streaming output line by line to onOutput (optional) while it runs
+   * @param {object} options - { cacheFrom: [image] } earlier images whose layers can be reused
+   * @returns {Promise<object>} - { success, output, cache: { totalSteps, cachedSteps, cacheHitRatio } }
+   */
+  async buildImage(repoPath, imageName, tag = 'latest', onOutput = null, options = {}) {
     try {
       console.log(`Building Docker image: ${imageName}:${tag}`);
       
-      const { stdout, stderr } = await execPromise(
-        `docker build -t ${imageName}:${tag} .`,
-        { cwd: repoPath, maxBuffer: 10 * 1024 * 1024 }
-      );
+      const buildKit = process.env.DOCKER_BUILDKIT !== '0';
+      const cacheFrom = options.cacheFrom || [];
       
-      console.log('Docker build output:', stdout);
-      if (stderr) console.log('Docker build stderr:', stderr);
+      // The classic builder only reuses layers of images that are present locally
+      if (!buildKit) {
+        for (const image of cacheFrom) {
+          await execPromise(`docker pull ${image}`, { maxBuffer: 10 * 1024 * 1024 }).catch(() => {});
+        }
+      }
       
-      return { success: true, output: stdout };
+      const output = await new Promise((resolve, reject) => {
+        // Plain progress gives one line per build step instead of a redrawn TTY view
+        const args = buildKit
+          ? ['build', '--progress=plain', '-t', `${imageName}:${tag}`]
+          : ['build', '-t', `${imageName}:${tag}`];
+        
+        for (const image of cacheFrom) {
+          args.push('--cache-from', image);
+        }
+        // Embed cache metadata so the next build can use this image with --cache-from
+        if (buildKit) {
+          args.push('--build-arg', 'BUILDKIT_INLINE_CACHE=1');
+        }
+        args.push('.');
+        
+        const child = spawn('docker', args, { cwd: repoPath });
+        
+        let collected = '';
+        const pending = { stdout: '', stderr: '' };
+        
+        // Docker writes build steps to stderr with BuildKit, stdout without it
+        const handleData = (stream) => (data) => {
+          const text = pending[stream] + data.toString();
+          const lines = text.split(/\r?\n/);
+          pending[stream] = lines.pop();
+          
+          for (const line of lines) {
+            if (collected.length < 10 * 1024 * 1024) collected += `${line}\n`;
+            if (onOutput) onOutput(line);
+          }
+        };
+        
+        child.stdout.on('data', handleData('stdout'));
+        child.stderr.on('data', handleData('stderr'));
+        
+        child.on('error', reject);
+        child.on('close', (code) => {
+          for (const rest of Object.values(pending)) {
+            if (!rest) continue;
+            collected += `${rest}\n`;
+            if (onOutput) onOutput(rest);
+          }
+          
+          if (code === 0) {
+            resolve(collected);
+          } else {
+            const lastLines = collected.trim().split('\n').slice(-20).join('\n');
+            reject(new Error(`docker build exited with code ${code}\n${lastLines}`));
+          }
+        });
+      });
+      
+      console.log('Docker build output:', output);
+      
+      return { success: true, output, cache: this.parseBuildCacheStats(output) };
     } catch (error) {
       console.error('Error building Docker image:', error);
       throw new Error(`Docker build failed: ${error.message}`);
     }
   }
 
+  async imageExists(imageName) {
+    try {
+      await execPromise(`docker image inspect ${imageName}`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   async tagImage(sourceImage, targetImage) {
     try {
       console.log(`Tagging image: ${sourceImage} -> ${targetImage}`);
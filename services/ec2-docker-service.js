@@ -99,11 +99,15 @@ class EC2DockerService {
     }
   }
 
-  async deployDockerToEC2(credentials, region, instanceId, dockerImage, port, envVars = {}) {
+  // onOutput receives the SSM command output line by line while it runs (optional)
+  // options.hostPort publishes the container port on a different instance port
+  // (preview environments share the instance with their parent application)
+  async deployDockerToEC2(credentials, region, instanceId, dockerImage, port, envVars = {}, onOutput = null, options = {}) {
+    const hostPort = options.hostPort || port;
     console.log('🚀 Deploying Docker container to EC2');
     console.log('Instance ID:', instanceId);
     console.log('Docker Image:', dockerImage);
-    console.log('Port:', port);
+    console.log('Port:', hostPort === port ? port : `${hostPort} -> ${port}`);
     
     const ssm = this.getSSMClient(credentials, region);
     
@@ -155,23 +159,23 @@ class EC2DockerService {
       );
     }
     
-    // Build environment variables string
-    const envString = Object.entries(envVars)
-      .map(([key, value]) => `-e ${key}="${value}"`)
-      .join(' ');
-    
     // Container name based on image
     const containerName = dockerImage.split('/').pop().split(':')[0] + '-app';
     
-    // Build Docker commands - Simple and robust approach
-    const dockerRunCmd = envString 
-      ? `sudo docker run -d --name ${containerName} --restart unless-stopped -p ${port}:${port} ${envString} ${dockerImage}`
-      : `sudo docker run -d --name ${containerName} --restart unless-stopped -p ${port}:${port} ${dockerImage}`;
-
     // SIMPLE APPROACH - No template literals, just basic strings
     const imageName = dockerImage.replace(/[^a-zA-Z0-9\-_\.\/\:]/g, ''); // Clean image name (keep colon for tag)
     const containerName2 = containerName.replace(/[^a-zA-Z0-9\-_]/g, ''); // Clean container name
     
+    // Env vars go to a root-only env file. Secrets are read from Parameter Store
+    // on the instance, so their values are never part of the SSM command.
+    const envFile = '/etc/radynamics/' + containerName2 + '.env';
+    const envLines = this.getEnvFileCommands(
+      envFile,
+      envVars instanceof Map ? Object.fromEntries(envVars) : envVars,
+      options.secretParameters || {},
+      region
+    );
+    
     const commands = [
       '#!/bin/bash',
       'set -e',
@@ -203,18 +207,21 @@ class EC2DockerService {
       'sudo docker stop ' + containerName2 + ' 2>/dev/null || true',
       'sudo docker rm ' + containerName2 + ' 2>/dev/null || true',
       '',
+      '# Environment',
+      ...envLines,
+      '',
       '# Pull and run with port 3000:3000 only',
       'echo "Pulling image: ' + imageName + '"',
       'sudo docker pull ' + imageName,
-      'echo "Starting container: ' + containerName2 + ' with port ' + port + ':' + port + '"',
-      'sudo docker run -d --name ' + containerName2 + ' --restart unless-stopped -p ' + port + ':' + port + ' -e PORT=' + port + ' ' + imageName,
+      'echo "Starting container: ' + containerName2 + ' with port ' + hostPort + ':' + port + '"',
+      'sudo docker run -d --name ' + containerName2 + ' --restart unless-stopped -p ' + hostPort + ':' + port + ' --env-file ' + envFile + ' -e PORT=' + port + ' ' + imageName,
       '',
       '# Verify',
       'sleep 5',
       'if sudo docker ps | grep ' + containerName2 + '; then',
-      '    echo "SUCCESS: Container running on port ' + port + '"',
+      '    echo "SUCCESS: Container running on port ' + hostPort + '"',
       '    PUBLIC_IP=$(curl -s http://169.254.169.254/latest/meta-data/public-ipv4)',
-      '    echo "Access URL: http://$PUBLIC_IP:' + port + '"',
+      '    echo "Access URL: http://$PUBLIC_IP:' + hostPort + '"',
       'else',
       '    echo "ERROR: Container failed to start"',
       '    sudo docker logs ' + containerName2,
@@ -241,7 +248,7 @@ class EC2DockerService {
       console.log('⏳ Waiting for command to complete...');
       
       // Wait for command to complete
-      await this.waitForCommandCompletion(ssm, commandId, instanceId);
+      await this.waitForCommandCompletion(ssm, commandId, instanceId, 300000, onOutput);
       
       // Get command output
       const output = await this.getCommandOutput(ssm, commandId, instanceId);
@@ -262,9 +269,24 @@ class EC2DockerService {
     }
   }
 
-  async waitForCommandCompletion(ssm, commandId, instanceId, maxWaitTime = 300000) {
+  async waitForCommandCompletion(ssm, commandId, instanceId, maxWaitTime = 300000, onOutput = null) {
     const startTime = Date.now();
-    const pollInterval = 5000; // 5 seconds
+    // Poll faster when someone is watching the output
+    const pollInterval = onOutput ? 2000 : 5000;
+    const streamed = { stdout: 0, stderr: 0 };
+    
+    // SSM returns the whole output so far on every poll, pass on the new complete lines
+    const streamNew = (stream, content, final) => {
+      if (!onOutput || !content) return;
+      const unseen = content.slice(streamed[stream]);
+      const end = final ? unseen.length : unseen.lastIndexOf('\n') + 1;
+      if (end <= 0) return;
+      
+      streamed[stream] += end;
+      for (const line of unseen.slice(0, end).split('\n')) {
+        if (line.trim()) onOutput(stream === 'stderr' ? `[stderr] ${line}` : line);
+      }
+    };
     
     while (Date.now() - startTime < maxWaitTime) {
       try {
@@ -278,6 +300,10 @@ class EC2DockerService {
         
         console.log('Command status:', status);
         
+        const finished = !['Pending', 'InProgress', 'Delayed'].includes(status);
+        streamNew('stdout', response.StandardOutputContent, finished);
+        streamNew('stderr', response.StandardErrorContent, finished);
+        
         if (status === 'Success') {
           return true;
         } else if (status === 'Failed' || status === 'Cancelled' || status === 'TimedOut') {
@@ -374,6 +400,73 @@ class EC2DockerService {
     }
   }
 
+  // Shell lines writing an env file: plain values inline, secrets fetched with
+  // the instance role (AmazonSSMManagedInstanceCore allows ssm:GetParameter)
+  getEnvFileCommands(envFile, envVars, secretParameters, region) {
+    const quote = (value) => "'" + String(value).replace(/'/g, "'\\''") + "'";
+    const validName = (name) => /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+    
+    const lines = [
+      'sudo install -d -m 700 /etc/radynamics',
+      'sudo install -m 600 /dev/null ' + envFile
+    ];
+    
+    for (const [key, value] of Object.entries(envVars || {})) {
+      if (!validName(key)) continue;
+      lines.push('printf "%s\\n" ' + quote(key + '=' + value) + ' | sudo tee -a ' + envFile + ' > /dev/null');
+    }
+    
+    const secrets = Object.entries(secretParameters).filter(([key]) => validName(key));
+    if (secrets.length > 0) {
+      lines.push(
+        'if ! command -v aws >/dev/null 2>&1; then',
+        '    echo "ERROR: the AWS CLI is required on the instance to read application secrets"',
+        '    exit 1',
+        'fi'
+      );
+      for (const [key, parameterName] of secrets) {
+        lines.push(
+          'SECRET_VALUE=$(aws ssm get-parameter --region ' + quote(region) + ' --with-decryption --name ' + quote(parameterName) + ' --query Parameter.Value --output text)',
+          'printf "%s=%s\\n" ' + quote(key) + ' "$SECRET_VALUE" | sudo tee -a ' + envFile + ' > /dev/null'
+        );
+      }
+      lines.push('unset SECRET_VALUE', 'echo "Loaded ' + secrets.length + ' secret(s) from Parameter Store"');
+    }
+    
+    return lines;
+  }
+
+  // Stop and delete a container, e.g. when a preview environment is torn down
+  async removeContainer(credentials, region, instanceId, containerName) {
+    const ssm = this.getSSMClient(credentials, region);
+    const name = containerName.replace(/[^a-zA-Z0-9\-_]/g, '');
+    
+    const commands = [
+      'sudo docker rm -f ' + name + ' 2>/dev/null || true',
+      'echo "Container removed"'
+    ];
+    
+    try {
+      const sendCommand = new SendCommandCommand({
+        InstanceIds: [instanceId],
+        DocumentName: 'AWS-RunShellScript',
+        Parameters: {
+          commands: commands
+        }
+      });
+      
+      const response = await ssm.send(sendCommand);
+      const commandId = response.Command.CommandId;
+      
+      await this.waitForCommandCompletion(ssm, commandId, instanceId);
+      
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing container:', error);
+      throw new Error(`Failed to remove container: ${error.message}`);
+    }
+  }
+
   async startContainer(credentials, region, instanceId, containerName) {
     const ssm = this.getSSMClient(credentials, region);
     
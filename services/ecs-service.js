@@ -6,9 +6,16 @@ import {
   CreateServiceCommand,
   UpdateServiceCommand,
   DescribeServicesCommand,
+  DeleteServiceCommand,
   StopTaskCommand,
   ListTasksCommand
 } from '@aws-sdk/client-ecs';
+import AWS from 'aws-sdk';
+
+const EXECUTION_ROLE_NAME = 'radynamicsEcsTaskExecutionRole';
+// Inline policy letting tasks read their secrets (services/parameter-store-service.js)
+const SECRETS_POLICY_NAME = 'radynamicsReadSecrets';
+const STEADY_STATE_POLL_MS = 15000;
 
 class ECSService {
   getClient(credentials, region) {
@@ -73,6 +80,8 @@ class ECSService {
               }
             ],
             environment: config.environment || [],
+            // [{ name, valueFrom: SSM parameter }], resolved by ECS when the task starts
+            secrets: config.secrets || [],
             logConfiguration: {
               logDriver: 'awslogs',
               options: {
@@ -113,7 +122,10 @@ class ECSService {
             assignPublicIp: 'ENABLED'
           }
         },
-        loadBalancers: config.loadBalancers || []
+        loadBalancers: config.loadBalancers || [],
+        deploymentConfiguration: config.deploymentConfiguration,
+        // Give new tasks time to start before load balancer health checks count
+        healthCheckGracePeriodSeconds: config.loadBalancers?.length ? 60 : undefined
       });
       
       const response = await client.send(command);
@@ -125,7 +137,22 @@ class ECSService {
     }
   }
 
-  async updateService(credentials, region, cluster, serviceName, taskDefinition) {
+  /**
+   * Rolling update settings for an application's deploymentStrategy. The
+   * circuit breaker stops a deployment whose tasks keep failing and puts the
+   * last working task definition back.
+   */
+  getDeploymentConfiguration(strategy = {}) {
+    const rolling = strategy.type !== 'blue_green';
+
+    return {
+      minimumHealthyPercent: rolling ? strategy.minimumHealthyPercent ?? 100 : 100,
+      maximumPercent: rolling ? strategy.maximumPercent ?? 200 : 200,
+      deploymentCircuitBreaker: { enable: true, rollback: true }
+    };
+  }
+
+  async updateService(credentials, region, cluster, serviceName, taskDefinition, options = {}) {
     const client = this.getClient(credentials, region);
     
     try {
@@ -133,6 +160,9 @@ class ECSService {
         cluster: cluster,
         service: serviceName,
         taskDefinition: taskDefinition,
+        deploymentConfiguration: options.deploymentStrategy
+          ? this.getDeploymentConfiguration(options.deploymentStrategy)
+          : undefined,
         forceNewDeployment: true
       });
       
@@ -145,6 +175,170 @@ class ECSService {
     }
   }
 
+  // Role Fargate uses to pull from ECR and write to CloudWatch Logs
+  async ensureExecutionRole(credentials, region) {
+    if (process.env.ECS_EXECUTION_ROLE_ARN) {
+      return process.env.ECS_EXECUTION_ROLE_ARN;
+    }
+
+    const iam = new AWS.IAM({
+      region: region || 'us-east-1',
+      accessKeyId: credentials.accessKeyId,
+      secretAccessKey: credentials.secretAccessKey
+    });
+
+    try {
+      try {
+        const existing = await iam.getRole({ RoleName: EXECUTION_ROLE_NAME }).promise();
+        // Roles created before secrets existed get the policy on their next deploy
+        await this.putSecretsPolicy(iam);
+        return existing.Role.Arn;
+      } catch (error) {
+        if (error.code !== 'NoSuchEntity') {
+          throw error;
+        }
+      }
+
+      const created = await iam.createRole({
+        RoleName: EXECUTION_ROLE_NAME,
+        Description: 'Lets ECS tasks deployed by RaDynamics pull images and write logs',
+        AssumeRolePolicyDocument: JSON.stringify({
+          Version: '2012-10-17',
+          Statement: [{
+            Effect: 'Allow',
+            Principal: { Service: 'ecs-tasks.amazonaws.com' },
+            Action: 'sts:AssumeRole'
+          }]
+        })
+      }).promise();
+
+      await iam.attachRolePolicy({
+        RoleName: EXECUTION_ROLE_NAME,
+        PolicyArn: 'arn:aws:iam::aws:policy/service-role/AmazonECSTaskExecutionRolePolicy'
+      }).promise();
+      await this.putSecretsPolicy(iam);
+
+      // New roles take a few seconds before ECS can assume them
+      await new Promise(resolve => setTimeout(resolve, 10000));
+
+      console.log(`Created ECS task execution role: ${EXECUTION_ROLE_NAME}`);
+      return created.Role.Arn;
+    } catch (error) {
+      console.error('Error preparing task execution role:', error);
+      throw new Error(`Failed to prepare ECS task execution role: ${error.message}`);
+    }
+  }
+
+  // SecureString parameters under /radynamics use the account's default SSM key,
+  // which needs no separate kms:Decrypt grant
+  async putSecretsPolicy(iam) {
+    await iam.putRolePolicy({
+      RoleName: EXECUTION_ROLE_NAME,
+      PolicyName: SECRETS_POLICY_NAME,
+      PolicyDocument: JSON.stringify({
+        Version: '2012-10-17',
+        Statement: [{
+          Effect: 'Allow',
+          Action: ['ssm:GetParameters'],
+          Resource: 'arn:aws:ssm:*:*:parameter/radynamics/*'
+        }]
+      })
+    }).promise();
+  }
+
+  // Create the service behind a target group, or roll the existing one to a new task definition
+  async createOrUpdateService(credentials, region, config) {
+    const client = this.getClient(credentials, region);
+    const loadBalancers = config.targetGroupArn
+      ? [{ targetGroupArn: config.targetGroupArn, containerName: config.containerName, containerPort: config.containerPort }]
+      : [];
+
+    const existing = await this.getServiceStatus(credentials, region, config.cluster, config.serviceName);
+
+    // Deleted services stay visible as INACTIVE for a while and must be recreated
+    const deploymentConfiguration = this.getDeploymentConfiguration(config.deploymentStrategy);
+
+    if (!existing || existing.status === 'INACTIVE') {
+      return this.createService(credentials, region, { ...config, loadBalancers, deploymentConfiguration });
+    }
+
+    try {
+      const command = new UpdateServiceCommand({
+        cluster: config.cluster,
+        service: config.serviceName,
+        taskDefinition: config.taskDefinition,
+        desiredCount: config.desiredCount || existing.desiredCount || 1,
+        networkConfiguration: {
+          awsvpcConfiguration: {
+            subnets: config.subnets,
+            securityGroups: config.securityGroups,
+            assignPublicIp: 'ENABLED'
+          }
+        },
+        loadBalancers,
+        deploymentConfiguration,
+        forceNewDeployment: true
+      });
+
+      const response = await client.send(command);
+      console.log(`Updated ECS service: ${config.serviceName}`);
+      return response.service;
+    } catch (error) {
+      console.error('Error updating ECS service:', error);
+      throw new Error(`Failed to update ECS service: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait until the newest deployment of a service is the only one left and runs
+   * all of its tasks. Service events are passed to onEvent as they appear.
+   * @param {object} options - { timeoutMs, onEvent, taskDefinition } where
+   *   taskDefinition is the revision being rolled out
+   */
+  async waitForSteadyState(credentials, region, cluster, serviceName, options = {}) {
+    const timeoutMs = options.timeoutMs || 10 * 60 * 1000;
+    const deadline = Date.now() + timeoutMs;
+    const seenEvents = new Set();
+    let firstCheck = true;
+
+    while (Date.now() < deadline) {
+      const service = await this.getServiceStatus(credentials, region, cluster, serviceName);
+      if (!service) {
+        throw new Error(`ECS service ${serviceName} not found`);
+      }
+
+      // Events are newest first; skip the history from before this wait
+      for (const event of [...(service.events || [])].reverse()) {
+        if (seenEvents.has(event.id)) continue;
+        seenEvents.add(event.id);
+        if (!firstCheck && options.onEvent) options.onEvent(event.message);
+      }
+      firstCheck = false;
+
+      const primary = service.deployments?.find(deployment => deployment.status === 'PRIMARY');
+      const failed = service.deployments?.find(deployment => deployment.rolloutState === 'FAILED');
+
+      // The circuit breaker gave up and ECS made the previous task definition primary again
+      if (primary?.rolloutState === 'FAILED' ||
+          (options.taskDefinition && primary && primary.taskDefinition !== options.taskDefinition)) {
+        const error = new Error(`ECS deployment failed: ${failed?.rolloutStateReason || 'tasks did not become healthy'}`);
+        error.circuitBreakerTripped = true;
+        throw error;
+      }
+
+      if (primary &&
+          service.deployments.length === 1 &&
+          primary.runningCount === primary.desiredCount &&
+          (!primary.rolloutState || primary.rolloutState === 'COMPLETED')) {
+        return service;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, STEADY_STATE_POLL_MS));
+    }
+
+    throw new Error(`ECS service ${serviceName} did not reach a steady state within ${Math.round(timeoutMs / 60000)} minutes`);
+  }
+
   async stopService(credentials, region, cluster, serviceName) {
     const client = this.getClient(credentials, region);
     
@@ -183,6 +377,29 @@ class ECSService {
     }
   }
 
+  // Delete a service and stop its tasks. Missing services are ignored.
+  async deleteService(credentials, region, cluster, serviceName) {
+    const client = this.getClient(credentials, region);
+    
+    try {
+      const command = new DeleteServiceCommand({
+        cluster: cluster,
+        service: serviceName,
+        force: true
+      });
+      
+      await client.send(command);
+      console.log(`Deleted ECS service: ${serviceName}`);
+      return true;
+    } catch (error) {
+      if (['ServiceNotFoundException', 'ServiceNotActiveException'].includes(error.name)) {
+        return false;
+      }
+      console.error('Error deleting ECS service:', error);
+      throw new Error(`Failed to delete ECS service: ${error.message}`);
+    }
+  }
+
   async getServiceStatus(credentials, region, cluster, serviceName) {
     const client = this.getClient(credentials, region);
     
@@ -19,7 +19,54 @@ class GitHubService {
     }
   }
 
-  async cloneRepository(repoUrl, branch = 'main', appId, githubToken = null) {
+  /**
+   * `-c` settings that send the token with each git command instead of putting
+   * it in the remote URL, where it would stay in .git/config (and end up in
+   * images that COPY the whole build context)
+   */
+  getAuthConfig(githubToken = null) {
+    if (!githubToken) {
+      return [];
+    }
+    const credentials = Buffer.from(`x-access-token:${githubToken}`).toString('base64');
+    return [`http.https://github.com/.extraHeader=Authorization: Basic ${credentials}`];
+  }
+
+  /**
+   * Bring the application's clone up to date with the branch. The clone of the
+   * previous build is kept, so usually only the new commit is fetched; without
+   * one (or when fetching fails) the repository is cloned from scratch.
+   * @returns {Promise<object>} - { repoPath, reused }
+   */
+  async syncRepository(repoUrl, branch = 'main', appId, githubToken = null, onProgress = null) {
+    const repoPath = path.join(this.tempDir, appId);
+    const hasClone = await fs.access(path.join(repoPath, '.git')).then(() => true, () => false);
+    
+    if (hasClone) {
+      try {
+        console.log(`♻️ Updating cached clone: ${repoPath} (branch: ${branch})`);
+        if (onProgress) onProgress(`♻️ Fetching ${branch} into the cached clone`);
+        
+        const git = simpleGit(repoPath, { timeout: { block: 180000 }, config: this.getAuthConfig(githubToken) });
+        // Also removes the token from clones that still have it in the remote URL
+        await git.remote(['set-url', 'origin', repoUrl]);
+        await git.fetch(['--depth', '1', '--no-tags', 'origin', branch]);
+        await git.checkout(['--force', '-B', branch, 'FETCH_HEAD']);
+        // Drops the generated Dockerfile and anything else the last build left behind
+        await git.raw(['clean', '-ffdx']);
+        
+        return { repoPath, reused: true };
+      } catch (error) {
+        console.log(`🔄 Cached clone could not be updated, cloning again: ${error.message}`);
+      }
+    }
+    
+    const clonedPath = await this.cloneRepository(repoUrl, branch, appId, githubToken, onProgress);
+    return { repoPath: clonedPath, reused: false };
+  }
+
+  // onProgress receives clone progress lines as they happen (optional)
+  async cloneRepository(repoUrl, branch = 'main', appId, githubToken = null, onProgress = null) {
     await this.ensureTempDir();
     
     const repoPath = path.join(this.tempDir, appId);
@@ -31,21 +78,28 @@ class GitHubService {
       console.log(`🔄 Starting optimized clone: ${repoUrl} (branch: ${branch})`);
       console.log(`📁 Target path: ${repoPath}`);
       
-      // Prepare authenticated URL for private repos
-      let cloneUrl = repoUrl;
-      if (githubToken && repoUrl.includes('github.com')) {
-        // Convert https://github.com/user/repo to https://token@github.com/user/repo
-        cloneUrl = repoUrl.replace('https://github.com/', `https://${githubToken}@github.com/`);
+      if (githubToken) {
         console.log('🔐 Using GitHub token for private repository access');
       }
       
+      // Report each stage in 10% steps, git prints far more often than that
+      let lastReported = '';
+      
       // Create git instance with aggressive optimizations
       const git = simpleGit({
         timeout: {
           block: 180000, // Reduced to 3 minutes for faster failure detection
         },
+        config: this.getAuthConfig(githubToken),
         progress: (progress) => {
+          const step = `${progress.stage} ${Math.floor(progress.progress / 10) * 10}%`;
+          if (step === lastReported) return;
+          lastReported = step;
+          
           console.log(`📥 Clone progress: ${progress.stage} ${progress.progress}%`);
+          if (onProgress) {
+            onProgress(`📥 ${progress.stage}: ${progress.progress}% (${progress.processed}/${progress.total})`);
+          }
         }
       });
       
@@ -54,7 +108,7 @@ class GitHubService {
       
       // Enhanced clone with maximum optimizations for speed
       try {
-        await git.clone(cloneUrl, repoPath, [
+        await git.clone(repoUrl, repoPath, [
           '--branch', branch, 
           '--single-branch',        // Only clone the specified branch
           '--depth', '1',           // Shallow clone - only latest commit
@@ -66,7 +120,7 @@ class GitHubService {
       } catch (advancedError) {
         // If advanced clone fails, try with basic optimizations
         console.log('🔄 Advanced clone failed, trying basic shallow clone...');
-        await git.clone(cloneUrl, repoPath, [
+        await git.clone(repoUrl, repoPath, [
           '--branch', branch, 
           '--single-branch',
           '--depth', '1',
@@ -118,7 +172,7 @@ class GitHubService {
       } else if (error.message.includes('filter') || error.message.includes('blob:none')) {
         // Fallback for older Git versions that don't support blob filtering
         console.log('🔄 Retrying with basic shallow clone (Git version compatibility)...');
-        return this.cloneRepositoryFallback(cloneUrl, repoPath, branch, git);
+        return this.cloneRepositoryFallback(repoUrl, repoPath, branch, git);
       }
       
       throw new Error(`Failed to clone repository: ${error.message}`);
@@ -148,47 +202,238 @@ class GitHubService {
     }
   }
 
+  // Check out a specific commit of a shallow clone, e.g. the one a push webhook
+  // reported when the branch has moved on since
+  async checkoutCommit(repoPath, sha, githubToken = null) {
+    const git = simpleGit(repoPath, { timeout: { block: 180000 }, config: this.getAuthConfig(githubToken) });
+    
+    const head = (await git.revparse(['HEAD'])).trim();
+    if (head === sha) {
+      return;
+    }
+    
+    console.log(`🔖 Checking out commit ${sha}`);
+    await git.fetch(['--depth', '1', '--no-tags', 'origin', sha]);
+    await git.checkout(['--detach', sha]);
+  }
+
+  // Commit that was checked out, recorded on the release
+  async getCommitInfo(repoPath) {
+    try {
+      const log = await simpleGit(repoPath).log({ maxCount: 1 });
+      const commit = log.latest;
+      
+      return commit
+        ? { sha: commit.hash, message: commit.message, author: commit.author_name, authorEmail: commit.author_email }
+        : null;
+    } catch (error) {
+      console.error('Error reading commit info:', error);
+      return null;
+    }
+  }
+
   async detectAppType(repoPath) {
+    const { appType } = await this.analyzeRepository(repoPath);
+    return appType;
+  }
+
+  // Build context for monorepos: rootDirectory relative to the repository,
+  // which must exist and stay inside it
+  async resolveRootDirectory(repoPath, rootDirectory) {
+    const relative = (rootDirectory || '').trim().replace(/^\/+|\/+$/g, '');
+    if (!relative || relative === '.') {
+      return repoPath;
+    }
+    
+    const buildPath = path.resolve(repoPath, relative);
+    if (!buildPath.startsWith(repoPath + path.sep)) {
+      throw new Error(`Root directory "${rootDirectory}" is outside the repository`);
+    }
+    
+    const stats = await fs.stat(buildPath).catch(() => null);
+    if (!stats?.isDirectory()) {
+      throw new Error(`Root directory "${rootDirectory}" does not exist in the repository`);
+    }
+    
+    return buildPath;
+  }
+
+  /**
+   * Work out how to build a directory, buildpack style
+   * @returns {Promise<object>} - { appType, hints } where hints carry what the
+   *   generated Dockerfile needs (entrypoint module, output directory, project file...)
+   *   and appType is 'unknown' when nothing matched
+   */
+  async analyzeRepository(repoPath) {
     try {
       const files = await fs.readdir(repoPath);
+      const has = (name) => files.includes(name);
+      const read = (name) => fs.readFile(path.join(repoPath, name), 'utf-8').catch(() => '');
+      
+      // A Dockerfile in the repository always wins
+      if (has('Dockerfile')) {
+        return { appType: 'dockerfile', hints: {} };
+      }
       
-      // Check for package.json (Node.js/React/Next.js)
-      if (files.includes('package.json')) {
-        const packageJson = JSON.parse(
-          await fs.readFile(path.join(repoPath, 'package.json'), 'utf-8')
-        );
+      if (has('package.json')) {
+        const packageJson = JSON.parse(await read('package.json') || '{}');
+        const deps = { ...packageJson.dependencies, ...packageJson.devDependencies };
+        const hints = { packageManager: this.detectPackageManager(files) };
         
         // Check for Next.js
-        if (packageJson.dependencies?.next || files.includes('next.config.js')) {
-          return 'nextjs';
+        if (deps.next || has('next.config.js') || has('next.config.mjs')) {
+          return { appType: 'nextjs', hints };
+        }
+        
+        if (deps['@angular/core']) {
+          return { appType: 'angular', hints: { ...hints, outputDir: await this.getAngularOutputDir(repoPath) } };
+        }
+        
+        if (deps.vite) {
+          return { appType: deps.vue ? 'vue' : 'vite', hints: { ...hints, outputDir: 'dist' } };
+        }
+        
+        if (deps['@vue/cli-service']) {
+          return { appType: 'vue', hints: { ...hints, outputDir: 'dist' } };
         }
         
         // Check for React
-        if (packageJson.dependencies?.react && files.includes('src')) {
-          return 'react';
+        if (deps.react && has('src')) {
+          return { appType: 'react', hints };
         }
         
         // Default to Node.js
-        return 'nodejs';
+        return { appType: 'nodejs', hints };
+      }
+      
+      if (has('go.mod')) {
+        return { appType: 'go', hints: { mainPackage: await this.findGoMainPackage(repoPath, files) } };
+      }
+      
+      if (has('pom.xml')) {
+        return { appType: 'java-maven', hints: { wrapper: has('mvnw') } };
+      }
+      
+      if (has('build.gradle') || has('build.gradle.kts')) {
+        return { appType: 'java-gradle', hints: { wrapper: has('gradlew') } };
+      }
+      
+      if (has('Gemfile')) {
+        const gemfile = await read('Gemfile');
+        if (/^\s*gem\s+['"]rails['"]/m.test(gemfile) || await this.exists(repoPath, 'config/application.rb')) {
+          return { appType: 'rails', hints: {} };
+        }
+        return { appType: 'ruby', hints: { rackup: has('config.ru') } };
+      }
+      
+      if (has('composer.json')) {
+        return { appType: has('artisan') ? 'laravel' : 'php', hints: {} };
+      }
+      
+      const dotnetProject = files.find(file => /\.(csproj|fsproj)$/.test(file));
+      if (dotnetProject) {
+        return {
+          appType: 'dotnet',
+          hints: { projectFile: dotnetProject, assemblyName: dotnetProject.replace(/\.(csproj|fsproj)$/, '') }
+        };
       }
       
       // Check for Python
-      if (files.includes('requirements.txt') || files.includes('app.py')) {
-        return 'python';
+      const pythonDeps = [has('requirements.txt'), has('pyproject.toml'), has('Pipfile')].some(Boolean);
+      if (pythonDeps || has('app.py') || has('main.py') || has('manage.py')) {
+        return this.analyzePythonApp(repoPath, files);
       }
       
       // Check for static site
-      if (files.includes('index.html')) {
-        return 'static';
+      if (has('index.html')) {
+        return { appType: 'static', hints: {} };
       }
       
-      return 'unknown';
+      return { appType: 'unknown', hints: {} };
     } catch (error) {
       console.error('Error detecting app type:', error);
-      return 'unknown';
+      return { appType: 'unknown', hints: {} };
+    }
+  }
+
+  detectPackageManager(files) {
+    if (files.includes('pnpm-lock.yaml')) return 'pnpm';
+    if (files.includes('yarn.lock')) return 'yarn';
+    if (files.includes('package-lock.json')) return 'npm-ci';
+    return 'npm';
+  }
+
+  async exists(repoPath, relativePath) {
+    return fs.access(path.join(repoPath, relativePath)).then(() => true, () => false);
+  }
+
+  // angular.json outputPath of the default (or first) project. The application
+  // builder of Angular 17+ puts the browser bundle in a browser/ subfolder.
+  async getAngularOutputDir(repoPath) {
+    try {
+      const angular = JSON.parse(await fs.readFile(path.join(repoPath, 'angular.json'), 'utf-8'));
+      const projectName = angular.defaultProject || Object.keys(angular.projects || {})[0];
+      const build = angular.projects?.[projectName]?.architect?.build;
+      const outputPath = build?.options?.outputPath;
+      const base = typeof outputPath === 'string' ? outputPath : outputPath?.base || `dist/${projectName}`;
+      
+      return build?.builder?.endsWith(':application') ? `${base}/browser` : base;
+    } catch (error) {
+      return 'dist';
     }
   }
 
+  // Go code in the root builds as is, otherwise use the single cmd/<name> package
+  async findGoMainPackage(repoPath, files) {
+    if (files.some(file => file.endsWith('.go'))) {
+      return '.';
+    }
+    
+    const commands = await fs.readdir(path.join(repoPath, 'cmd')).catch(() => []);
+    return commands.length > 0 ? `./cmd/${commands[0]}` : '.';
+  }
+
+  // Django, FastAPI or Flask entrypoint, or a plain Python app
+  async analyzePythonApp(repoPath, files) {
+    const requirements = [
+      await fs.readFile(path.join(repoPath, 'requirements.txt'), 'utf-8').catch(() => ''),
+      await fs.readFile(path.join(repoPath, 'pyproject.toml'), 'utf-8').catch(() => ''),
+      await fs.readFile(path.join(repoPath, 'Pipfile'), 'utf-8').catch(() => '')
+    ].join('\n').toLowerCase();
+    const dependencies = files.includes('requirements.txt') ? 'requirements'
+      : files.includes('pyproject.toml') ? 'pyproject'
+      : files.includes('Pipfile') ? 'pipfile'
+      : null;
+    
+    if (files.includes('manage.py')) {
+      // The project package is the folder holding wsgi.py
+      for (const file of files) {
+        if (await this.exists(repoPath, path.join(file, 'wsgi.py'))) {
+          return { appType: 'django', hints: { dependencies, wsgiModule: `${file}.wsgi` } };
+        }
+      }
+      return { appType: 'django', hints: { dependencies, wsgiModule: null } };
+    }
+    
+    // First candidate module that creates the framework's app object
+    const candidates = ['main.py', 'app.py', 'app/main.py', 'src/main.py', 'wsgi.py', 'server.py'];
+    for (const [framework, pattern] of [['fastapi', /FastAPI\(/], ['flask', /Flask\(__name__/]]) {
+      if (!requirements.includes(framework)) continue;
+      
+      for (const candidate of candidates) {
+        const source = await fs.readFile(path.join(repoPath, candidate), 'utf-8').catch(() => '');
+        const match = source.match(new RegExp(`^(\\w+)\\s*=\\s*${pattern.source}`, 'm'));
+        if (match) {
+          const module = candidate.replace(/\.py$/, '').replace(/\//g, '.');
+          return { appType: framework, hints: { dependencies, entrypoint: `${module}:${match[1]}` } };
+        }
+      }
+      return { appType: framework, hints: { dependencies, entrypoint: framework === 'fastapi' ? 'main:app' : 'app:app' } };
+    }
+    
+    return { appType: 'python', hints: { dependencies } };
+  }
+
   async getDefaultCommands(appType) {
     const commands = {
       nodejs: {
@@ -215,7 +460,16 @@ class GitHubService {
         buildCommand: '',
         startCommand: 'npx serve -s . -l 8080',
         port: 8080
-      }
+      },
+      // Built from the repository's Dockerfile or a generated one, so the
+      // template sets the start command
+      ...Object.fromEntries([
+        ['vite', 8080], ['vue', 8080], ['angular', 8080],
+        ['django', 8000], ['fastapi', 8000], ['flask', 8000],
+        ['go', 8080], ['java-maven', 8080], ['java-gradle', 8080],
+        ['ruby', 3000], ['rails', 3000], ['php', 8080], ['laravel', 8080],
+        ['dotnet', 8080], ['dockerfile', 3000]
+      ].map(([type, port]) => [type, { buildCommand: '', startCommand: '', port }]))
     };
     
     return commands[appType] || commands.nodejs;
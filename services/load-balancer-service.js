@@ -0,0 +1,625 @@
+import {
+  ElasticLoadBalancingV2Client,
+  DescribeLoadBalancersCommand,
+  CreateLoadBalancerCommand,
+  DescribeTargetGroupsCommand,
+  CreateTargetGroupCommand,
+  DescribeListenersCommand,
+  CreateListenerCommand,
+  ModifyListenerCommand,
+  DeleteListenerCommand,
+  DescribeRulesCommand,
+  CreateRuleCommand,
+  ModifyRuleCommand,
+  DeleteRuleCommand,
+  DescribeListenerCertificatesCommand,
+  AddListenerCertificatesCommand,
+  RemoveListenerCertificatesCommand,
+  DescribeTargetHealthCommand,
+  DeleteLoadBalancerCommand,
+  DeleteTargetGroupCommand,
+  waitUntilLoadBalancerAvailable,
+  waitUntilLoadBalancersDeleted
+} from '@aws-sdk/client-elastic-load-balancing-v2';
+import {
+  EC2Client,
+  DescribeVpcsCommand,
+  DescribeSubnetsCommand,
+  DescribeSecurityGroupsCommand,
+  CreateSecurityGroupCommand,
+  DeleteSecurityGroupCommand,
+  AuthorizeSecurityGroupIngressCommand
+} from '@aws-sdk/client-ec2';
+
+const TARGET_HEALTH_POLL_MS = 10000;
+const HTTPS_SSL_POLICY = 'ELBSecurityPolicy-TLS13-1-2-2021-06';
+
+class LoadBalancerService {
+  getClient(credentials, region) {
+    return new ElasticLoadBalancingV2Client({
+      region: region || 'us-east-1',
+      credentials: {
+        accessKeyId: credentials.accessKeyId,
+        secretAccessKey: credentials.secretAccessKey
+      }
+    });
+  }
+
+  getEC2Client(credentials, region) {
+    return new EC2Client({
+      region: region || 'us-east-1',
+      credentials: {
+        accessKeyId: credentials.accessKeyId,
+        secretAccessKey: credentials.secretAccessKey
+      }
+    });
+  }
+
+  // Load balancer and target group names: max 32 characters, letters, digits and hyphens
+  getResourceName(applicationId, suffix = '') {
+    return `rd-${applicationId}${suffix}`.slice(0, 32);
+  }
+
+  async getDefaultNetwork(credentials, region) {
+    const ec2 = this.getEC2Client(credentials, region);
+
+    try {
+      const vpcs = await ec2.send(new DescribeVpcsCommand({
+        Filters: [{ Name: 'isDefault', Values: ['true'] }]
+      }));
+      const vpcId = vpcs.Vpcs?.[0]?.VpcId;
+
+      if (!vpcId) {
+        throw new Error(`No default VPC in ${region}`);
+      }
+
+      const subnets = await ec2.send(new DescribeSubnetsCommand({
+        Filters: [
+          { Name: 'vpc-id', Values: [vpcId] },
+          { Name: 'default-for-az', Values: ['true'] }
+        ]
+      }));
+      const subnetIds = (subnets.Subnets || []).map(subnet => subnet.SubnetId);
+
+      // An application load balancer needs subnets in at least two availability zones
+      if (subnetIds.length < 2) {
+        throw new Error(`Default VPC ${vpcId} needs subnets in at least two availability zones`);
+      }
+
+      return { vpcId, subnetIds };
+    } catch (error) {
+      console.error('Error looking up default VPC:', error);
+      throw new Error(`Failed to find network for load balancer: ${error.message}`);
+    }
+  }
+
+  // Find or create a security group and allow the given ingress rules
+  async ensureSecurityGroup(credentials, region, { groupName, description, vpcId, ingress }) {
+    const ec2 = this.getEC2Client(credentials, region);
+
+    try {
+      const existing = await ec2.send(new DescribeSecurityGroupsCommand({
+        Filters: [
+          { Name: 'group-name', Values: [groupName] },
+          { Name: 'vpc-id', Values: [vpcId] }
+        ]
+      }));
+
+      let groupId = existing.SecurityGroups?.[0]?.GroupId;
+
+      if (!groupId) {
+        const created = await ec2.send(new CreateSecurityGroupCommand({
+          GroupName: groupName,
+          Description: description,
+          VpcId: vpcId
+        }));
+        groupId = created.GroupId;
+        console.log(`Created security group ${groupName}: ${groupId}`);
+      }
+
+      for (const rule of ingress) {
+        try {
+          await ec2.send(new AuthorizeSecurityGroupIngressCommand({
+            GroupId: groupId,
+            IpPermissions: [{
+              IpProtocol: 'tcp',
+              FromPort: rule.port,
+              ToPort: rule.port,
+              ...(rule.sourceSecurityGroupId
+                ? { UserIdGroupPairs: [{ GroupId: rule.sourceSecurityGroupId, Description: rule.description }] }
+                : { IpRanges: [{ CidrIp: rule.cidr || '0.0.0.0/0', Description: rule.description }] })
+            }]
+          }));
+        } catch (error) {
+          if (error.name !== 'InvalidPermission.Duplicate') {
+            throw error;
+          }
+        }
+      }
+
+      return groupId;
+    } catch (error) {
+      console.error('Error preparing security group:', error);
+      throw new Error(`Failed to prepare security group ${groupName}: ${error.message}`);
+    }
+  }
+
+  async ensureLoadBalancer(credentials, region, { name, subnets, securityGroups }) {
+    const client = this.getClient(credentials, region);
+
+    try {
+      let loadBalancer;
+
+      try {
+        const existing = await client.send(new DescribeLoadBalancersCommand({ Names: [name] }));
+        loadBalancer = existing.LoadBalancers[0];
+        console.log(`Load balancer ${name} already exists`);
+      } catch (error) {
+        if (error.name !== 'LoadBalancerNotFoundException') {
+          throw error;
+        }
+
+        const created = await client.send(new CreateLoadBalancerCommand({
+          Name: name,
+          Type: 'application',
+          Scheme: 'internet-facing',
+          IpAddressType: 'ipv4',
+          Subnets: subnets,
+          SecurityGroups: securityGroups
+        }));
+        loadBalancer = created.LoadBalancers[0];
+        console.log(`Created load balancer: ${name}`);
+      }
+
+      if (loadBalancer.State?.Code !== 'active') {
+        await waitUntilLoadBalancerAvailable(
+          { client, maxWaitTime: 600 },
+          { LoadBalancerArns: [loadBalancer.LoadBalancerArn] }
+        );
+      }
+
+      return {
+        arn: loadBalancer.LoadBalancerArn,
+        dnsName: loadBalancer.DNSName
+      };
+    } catch (error) {
+      console.error('Error creating load balancer:', error);
+      throw new Error(`Failed to create load balancer: ${error.message}`);
+    }
+  }
+
+  // Fargate tasks register by IP address
+  async ensureTargetGroup(credentials, region, { name, vpcId, port, healthCheckPath }) {
+    const client = this.getClient(credentials, region);
+
+    try {
+      try {
+        const existing = await client.send(new DescribeTargetGroupsCommand({ Names: [name] }));
+        console.log(`Target group ${name} already exists`);
+        return existing.TargetGroups[0].TargetGroupArn;
+      } catch (error) {
+        if (error.name !== 'TargetGroupNotFoundException') {
+          throw error;
+        }
+      }
+
+      const created = await client.send(new CreateTargetGroupCommand({
+        Name: name,
+        Protocol: 'HTTP',
+        Port: port,
+        VpcId: vpcId,
+        TargetType: 'ip',
+        HealthCheckProtocol: 'HTTP',
+        HealthCheckPath: healthCheckPath || '/',
+        HealthCheckIntervalSeconds: 15,
+        HealthyThresholdCount: 2,
+        UnhealthyThresholdCount: 3,
+        Matcher: { HttpCode: '200-399' }
+      }));
+      console.log(`Created target group: ${name}`);
+      return created.TargetGroups[0].TargetGroupArn;
+    } catch (error) {
+      console.error('Error creating target group:', error);
+      throw new Error(`Failed to create target group: ${error.message}`);
+    }
+  }
+
+  // HTTP listener on port 80. A new listener forwards to the given target
+  // group, an existing one keeps forwarding wherever it does (blue/green switches it).
+  async ensureListener(credentials, region, { loadBalancerArn, targetGroupArn, port = 80 }) {
+    const client = this.getClient(credentials, region);
+
+    try {
+      const existing = await client.send(new DescribeListenersCommand({ LoadBalancerArn: loadBalancerArn }));
+      const listener = existing.Listeners?.find(item => item.Port === port);
+
+      if (listener) {
+        return {
+          listenerArn: listener.ListenerArn,
+          targetGroupArn: listener.DefaultActions?.find(action => action.Type === 'forward')?.TargetGroupArn || targetGroupArn
+        };
+      }
+
+      const created = await client.send(new CreateListenerCommand({
+        LoadBalancerArn: loadBalancerArn,
+        Protocol: 'HTTP',
+        Port: port,
+        DefaultActions: [{ Type: 'forward', TargetGroupArn: targetGroupArn }]
+      }));
+      console.log(`Created listener on port ${port}`);
+      return { listenerArn: created.Listeners[0].ListenerArn, targetGroupArn };
+    } catch (error) {
+      console.error('Error creating listener:', error);
+      throw new Error(`Failed to create listener: ${error.message}`);
+    }
+  }
+
+  // Send all listener traffic to a target group
+  async forwardListener(credentials, region, listenerArn, targetGroupArn) {
+    const client = this.getClient(credentials, region);
+
+    try {
+      await client.send(new ModifyListenerCommand({
+        ListenerArn: listenerArn,
+        DefaultActions: [{ Type: 'forward', TargetGroupArn: targetGroupArn }]
+      }));
+      console.log(`Listener now forwards to ${targetGroupArn}`);
+    } catch (error) {
+      console.error('Error switching listener:', error);
+      throw new Error(`Failed to switch listener: ${error.message}`);
+    }
+  }
+
+  /**
+   * HTTPS listener on port 443 serving the certificates of the application's
+   * custom domains. Requests for other hosts get a 404, each domain gets a host rule.
+   * @returns {Promise<string>} - Listener ARN
+   */
+  async ensureHttpsListener(credentials, region, { applicationId, loadBalancerArn, certificateArn }) {
+    const client = this.getClient(credentials, region);
+
+    try {
+      // Load balancers created before custom domains only allow HTTP
+      const { vpcId } = await this.getDefaultNetwork(credentials, region);
+      await this.ensureSecurityGroup(credentials, region, {
+        groupName: `${this.getResourceName(applicationId)}-alb`,
+        description: `RaDynamics load balancer for application ${applicationId}`,
+        vpcId,
+        ingress: [{ port: 443, cidr: '0.0.0.0/0', description: 'HTTPS from anywhere' }]
+      });
+
+      const existing = await client.send(new DescribeListenersCommand({ LoadBalancerArn: loadBalancerArn }));
+      const listener = existing.Listeners?.find(item => item.Port === 443);
+
+      if (listener) {
+        const isDefault = listener.Certificates?.some(certificate => certificate.CertificateArn === certificateArn);
+        if (!isDefault) {
+          await client.send(new AddListenerCertificatesCommand({
+            ListenerArn: listener.ListenerArn,
+            Certificates: [{ CertificateArn: certificateArn }]
+          }));
+        }
+        return listener.ListenerArn;
+      }
+
+      const created = await client.send(new CreateListenerCommand({
+        LoadBalancerArn: loadBalancerArn,
+        Protocol: 'HTTPS',
+        Port: 443,
+        SslPolicy: HTTPS_SSL_POLICY,
+        Certificates: [{ CertificateArn: certificateArn }],
+        DefaultActions: [{
+          Type: 'fixed-response',
+          FixedResponseConfig: { StatusCode: '404', ContentType: 'text/plain', MessageBody: 'Unknown host' }
+        }]
+      }));
+      console.log('Created HTTPS listener on port 443');
+      return created.Listeners[0].ListenerArn;
+    } catch (error) {
+      console.error('Error creating HTTPS listener:', error);
+      throw new Error(`Failed to create HTTPS listener: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop serving a certificate. The listener's default certificate is replaced
+   * by another one, or the listener is deleted when it has no other.
+   * @returns {Promise<boolean>} - Whether the listener was deleted
+   */
+  async removeListenerCertificate(credentials, region, { listenerArn, certificateArn }) {
+    const client = this.getClient(credentials, region);
+
+    try {
+      const { Certificates = [] } = await client.send(new DescribeListenerCertificatesCommand({ ListenerArn: listenerArn }));
+      const current = Certificates.find(certificate => certificate.CertificateArn === certificateArn);
+      if (!current) {
+        return false;
+      }
+
+      if (!current.IsDefault) {
+        await client.send(new RemoveListenerCertificatesCommand({
+          ListenerArn: listenerArn,
+          Certificates: [{ CertificateArn: certificateArn }]
+        }));
+        return false;
+      }
+
+      const replacement = Certificates.find(certificate => !certificate.IsDefault);
+      if (!replacement) {
+        await client.send(new DeleteListenerCommand({ ListenerArn: listenerArn }));
+        console.log('Deleted HTTPS listener, no certificates left');
+        return true;
+      }
+
+      await client.send(new ModifyListenerCommand({
+        ListenerArn: listenerArn,
+        Certificates: [{ CertificateArn: replacement.CertificateArn }]
+      }));
+      await client.send(new RemoveListenerCertificatesCommand({
+        ListenerArn: listenerArn,
+        Certificates: [{ CertificateArn: replacement.CertificateArn }]
+      }));
+      return false;
+    } catch (error) {
+      if (error.name === 'ListenerNotFoundException') {
+        return true;
+      }
+      console.error('Error removing listener certificate:', error);
+      throw new Error(`Failed to remove certificate from listener: ${error.message}`);
+    }
+  }
+
+  findHostRule(rules, hostname) {
+    return rules.find(rule => rule.Conditions?.some(condition =>
+      condition.Field === 'host-header' &&
+      (condition.HostHeaderConfig?.Values || condition.Values || []).includes(hostname)
+    ));
+  }
+
+  /**
+   * Create or update the listener rule sending a hostname's requests to `actions`
+   * @returns {Promise<string>} - Rule ARN
+   */
+  async ensureHostRule(credentials, region, { listenerArn, hostname, actions }) {
+    const client = this.getClient(credentials, region);
+
+    try {
+      const { Rules = [] } = await client.send(new DescribeRulesCommand({ ListenerArn: listenerArn }));
+      const existing = this.findHostRule(Rules, hostname);
+
+      if (existing) {
+        await client.send(new ModifyRuleCommand({ RuleArn: existing.RuleArn, Actions: actions }));
+        return existing.RuleArn;
+      }
+
+      const priorities = Rules.map(rule => parseInt(rule.Priority)).filter(Number.isFinite);
+      const created = await client.send(new CreateRuleCommand({
+        ListenerArn: listenerArn,
+        Priority: Math.max(0, ...priorities) + 1,
+        Conditions: [{ Field: 'host-header', HostHeaderConfig: { Values: [hostname] } }],
+        Actions: actions
+      }));
+      console.log(`Created listener rule for ${hostname}`);
+      return created.Rules[0].RuleArn;
+    } catch (error) {
+      console.error('Error creating listener rule:', error);
+      throw new Error(`Failed to create listener rule for ${hostname}: ${error.message}`);
+    }
+  }
+
+  async removeHostRule(credentials, region, { listenerArn, hostname }) {
+    const client = this.getClient(credentials, region);
+
+    try {
+      const { Rules = [] } = await client.send(new DescribeRulesCommand({ ListenerArn: listenerArn }));
+      const existing = this.findHostRule(Rules, hostname);
+      if (existing) {
+        await client.send(new DeleteRuleCommand({ RuleArn: existing.RuleArn }));
+        console.log(`Deleted listener rule for ${hostname}`);
+      }
+    } catch (error) {
+      if (error.name === 'ListenerNotFoundException') {
+        return;
+      }
+      console.error('Error deleting listener rule:', error);
+      throw new Error(`Failed to delete listener rule for ${hostname}: ${error.message}`);
+    }
+  }
+
+  // Point every forwarding host rule of a listener at a target group (blue/green switches)
+  async forwardHostRules(credentials, region, listenerArn, targetGroupArn) {
+    const client = this.getClient(credentials, region);
+
+    try {
+      const { Rules = [] } = await client.send(new DescribeRulesCommand({ ListenerArn: listenerArn }));
+      for (const rule of Rules) {
+        if (rule.IsDefault || rule.Actions?.[0]?.Type !== 'forward') continue;
+        await client.send(new ModifyRuleCommand({
+          RuleArn: rule.RuleArn,
+          Actions: [{ Type: 'forward', TargetGroupArn: targetGroupArn }]
+        }));
+      }
+    } catch (error) {
+      console.error('Error switching listener rules:', error);
+      throw new Error(`Failed to switch listener rules: ${error.message}`);
+    }
+  }
+
+  // Count registered targets by health state (healthy, unhealthy, initial, draining...)
+  async getTargetHealth(credentials, region, targetGroupArn) {
+    const client = this.getClient(credentials, region);
+
+    const response = await client.send(new DescribeTargetHealthCommand({ TargetGroupArn: targetGroupArn }));
+    const counts = { total: 0 };
+
+    for (const description of response.TargetHealthDescriptions || []) {
+      const state = description.TargetHealth?.State || 'unknown';
+      counts[state] = (counts[state] || 0) + 1;
+      if (state !== 'draining') counts.total++;
+    }
+
+    return counts;
+  }
+
+  // Wait until at least `minHealthy` targets pass health checks and none are still starting
+  async waitForHealthyTargets(credentials, region, targetGroupArn, { minHealthy = 1, timeoutMs = 5 * 60 * 1000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const health = await this.getTargetHealth(credentials, region, targetGroupArn);
+      if ((health.healthy || 0) >= minHealthy && !health.initial) {
+        return health;
+      }
+      await new Promise(resolve => setTimeout(resolve, TARGET_HEALTH_POLL_MS));
+    }
+
+    throw new Error(`Targets did not pass load balancer health checks within ${Math.round(timeoutMs / 1000)} seconds`);
+  }
+
+  /**
+   * Watch a target group for a while after a deploy
+   * @returns {Promise<object>} - { healthy: true } or { healthy: false, reason } once
+   *   fewer than `minHealthy` targets pass health checks on three checks in a row
+   */
+  async watchTargetHealth(credentials, region, targetGroupArn, { minHealthy = 1, windowMs }) {
+    const deadline = Date.now() + windowMs;
+    let failedChecks = 0;
+
+    while (Date.now() < deadline) {
+      const health = await this.getTargetHealth(credentials, region, targetGroupArn);
+
+      if ((health.healthy || 0) < minHealthy) {
+        failedChecks++;
+        if (failedChecks >= 3) {
+          return {
+            healthy: false,
+            reason: `${health.healthy || 0} of ${health.total} targets healthy (${health.unhealthy || 0} unhealthy)`
+          };
+        }
+      } else {
+        failedChecks = 0;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, TARGET_HEALTH_POLL_MS));
+    }
+
+    return { healthy: true };
+  }
+
+  /**
+   * Everything an ECS service needs to receive traffic: security groups, an
+   * internet-facing ALB, an IP target group and an HTTP listener. Safe to run
+   * on every deploy, existing resources are reused.
+   * @returns {Promise<object>} - { vpcId, subnetIds, loadBalancerArn, loadBalancerDns,
+   *   targetGroupArn, listenerArn, activeTargetGroupArn, serviceSecurityGroupId }
+   *   where activeTargetGroupArn is the one the listener currently forwards to
+   */
+  async provisionForApplication(credentials, region, { applicationId, port, healthCheckPath }) {
+    const name = this.getResourceName(applicationId);
+    const { vpcId, subnetIds } = await this.getDefaultNetwork(credentials, region);
+
+    const loadBalancerSecurityGroupId = await this.ensureSecurityGroup(credentials, region, {
+      groupName: `${name}-alb`,
+      description: `RaDynamics load balancer for application ${applicationId}`,
+      vpcId,
+      ingress: [
+        { port: 80, cidr: '0.0.0.0/0', description: 'HTTP from anywhere' },
+        // Custom domains add an HTTPS listener
+        { port: 443, cidr: '0.0.0.0/0', description: 'HTTPS from anywhere' }
+      ]
+    });
+
+    // Tasks only accept traffic from the load balancer
+    const serviceSecurityGroupId = await this.ensureSecurityGroup(credentials, region, {
+      groupName: `${name}-tasks`,
+      description: `RaDynamics ECS tasks for application ${applicationId}`,
+      vpcId,
+      ingress: [{ port, sourceSecurityGroupId: loadBalancerSecurityGroupId, description: 'Application port from load balancer' }]
+    });
+
+    const loadBalancer = await this.ensureLoadBalancer(credentials, region, {
+      name,
+      subnets: subnetIds,
+      securityGroups: [loadBalancerSecurityGroupId]
+    });
+
+    const targetGroupArn = await this.ensureTargetGroup(credentials, region, {
+      name,
+      vpcId,
+      port,
+      healthCheckPath
+    });
+
+    const listener = await this.ensureListener(credentials, region, {
+      loadBalancerArn: loadBalancer.arn,
+      targetGroupArn
+    });
+
+    return {
+      vpcId,
+      subnetIds,
+      loadBalancerArn: loadBalancer.arn,
+      loadBalancerDns: loadBalancer.dnsName,
+      targetGroupArn,
+      listenerArn: listener.listenerArn,
+      activeTargetGroupArn: listener.targetGroupArn,
+      serviceSecurityGroupId
+    };
+  }
+
+  /**
+   * Delete what provisionForApplication created. ECS services must be deleted
+   * first; security groups stay in use until their tasks' network interfaces
+   * are released, so this throws until they can go (callers retry).
+   */
+  async deprovisionForApplication(credentials, region, applicationId) {
+    const client = this.getClient(credentials, region);
+    const ec2 = this.getEC2Client(credentials, region);
+    const name = this.getResourceName(applicationId);
+
+    try {
+      try {
+        const existing = await client.send(new DescribeLoadBalancersCommand({ Names: [name] }));
+        const loadBalancerArn = existing.LoadBalancers[0].LoadBalancerArn;
+
+        // Deleting the load balancer deletes its listeners
+        await client.send(new DeleteLoadBalancerCommand({ LoadBalancerArn: loadBalancerArn }));
+        await waitUntilLoadBalancersDeleted({ client, maxWaitTime: 300 }, { LoadBalancerArns: [loadBalancerArn] });
+        console.log(`Deleted load balancer: ${name}`);
+      } catch (error) {
+        if (error.name !== 'LoadBalancerNotFoundException') {
+          throw error;
+        }
+      }
+
+      for (const targetGroupName of [name, this.getResourceName(applicationId, '-g')]) {
+        try {
+          const existing = await client.send(new DescribeTargetGroupsCommand({ Names: [targetGroupName] }));
+          await client.send(new DeleteTargetGroupCommand({ TargetGroupArn: existing.TargetGroups[0].TargetGroupArn }));
+          console.log(`Deleted target group: ${targetGroupName}`);
+        } catch (error) {
+          if (error.name !== 'TargetGroupNotFoundException') {
+            throw error;
+          }
+        }
+      }
+
+      // The task group references the load balancer group, delete it first
+      for (const groupName of [`${name}-tasks`, `${name}-alb`]) {
+        const existing = await ec2.send(new DescribeSecurityGroupsCommand({
+          Filters: [{ Name: 'group-name', Values: [groupName] }]
+        }));
+
+        for (const group of existing.SecurityGroups || []) {
+          await ec2.send(new DeleteSecurityGroupCommand({ GroupId: group.GroupId }));
+          console.log(`Deleted security group ${groupName}: ${group.GroupId}`);
+        }
+      }
+    } catch (error) {
+      console.error('Error deleting load balancer resources:', error);
+      throw new Error(`Failed to delete load balancer resources: ${error.message}`);
+    }
+  }
+}
+
+export default new LoadBalancerService();
@@ -0,0 +1,100 @@
+import {
+  SSMClient,
+  PutParameterCommand,
+  GetParametersByPathCommand,
+  DeleteParametersCommand
+} from '@aws-sdk/client-ssm';
+
+// Secrets of an application live under /radynamics/<applicationId>/<ENV_NAME>
+// as SecureString parameters. ECS reads them into the container through the
+// task definition, EC2 deploy scripts fetch them on the instance.
+const PARAMETER_PREFIX = '/radynamics';
+
+class ParameterStoreService {
+  getClient(credentials, region) {
+    return new SSMClient({
+      region: region || 'us-east-1',
+      credentials: {
+        accessKeyId: credentials.accessKeyId,
+        secretAccessKey: credentials.secretAccessKey
+      }
+    });
+  }
+
+  getParameterPath(applicationId) {
+    return `${PARAMETER_PREFIX}/${applicationId}`;
+  }
+
+  getParameterName(applicationId, envName) {
+    return `${this.getParameterPath(applicationId)}/${envName}`;
+  }
+
+  /**
+   * Write the secret env vars of an application and remove ones it no longer uses
+   * @param {object} secrets - { ENV_NAME: plain value }
+   * @returns {Promise<object>} - { ENV_NAME: parameter name }
+   */
+  async syncApplicationSecrets(credentials, region, applicationId, secrets) {
+    const client = this.getClient(credentials, region);
+    const parameters = {};
+
+    try {
+      for (const [envName, value] of Object.entries(secrets)) {
+        const name = this.getParameterName(applicationId, envName);
+        await client.send(new PutParameterCommand({
+          Name: name,
+          Value: value,
+          Type: 'SecureString',
+          Overwrite: true,
+          Description: `RaDynamics secret ${envName} of application ${applicationId}`
+        }));
+        parameters[envName] = name;
+      }
+
+      const stale = (await this.listParameterNames(client, applicationId))
+        .filter(name => !Object.values(parameters).includes(name));
+      await this.deleteParameters(client, stale);
+
+      console.log(`🔐 Synced ${Object.keys(parameters).length} secret(s) of ${applicationId} to Parameter Store`);
+      return parameters;
+    } catch (error) {
+      console.error('Error syncing secrets to Parameter Store:', error.name, error.message);
+      throw new Error(`Failed to store secrets in SSM Parameter Store: ${error.message}`);
+    }
+  }
+
+  // Remove every secret parameter of an application
+  async deleteApplicationSecrets(credentials, region, applicationId) {
+    const client = this.getClient(credentials, region);
+    const names = await this.listParameterNames(client, applicationId);
+    await this.deleteParameters(client, names);
+    return names.length;
+  }
+
+  async listParameterNames(client, applicationId) {
+    const names = [];
+    let nextToken;
+
+    do {
+      const response = await client.send(new GetParametersByPathCommand({
+        Path: this.getParameterPath(applicationId),
+        Recursive: true,
+        WithDecryption: false,
+        NextToken: nextToken
+      }));
+      names.push(...(response.Parameters || []).map(parameter => parameter.Name));
+      nextToken = response.NextToken;
+    } while (nextToken);
+
+    return names;
+  }
+
+  async deleteParameters(client, names) {
+    // DeleteParameters takes at most 10 names
+    for (let i = 0; i < names.length; i += 10) {
+      await client.send(new DeleteParametersCommand({ Names: names.slice(i, i + 10) }));
+    }
+  }
+}
+
+export default new ParameterStoreService();
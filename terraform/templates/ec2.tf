@@ -19,9 +19,7 @@ terraform {
 
 provider "aws" {
   region     = var.aws_region
-  access_key = var.aws_access_key
-  secret_key = var.aws_secret_key
-  token      = var.aws_session_token
+  # Credentials are supplied through AWS_* environment variables, never tfvars
 
   default_tags {
     tags = {
@@ -42,25 +40,6 @@ variable "aws_region" {
   type        = string
 }
 
-variable "aws_access_key" {
-  description = "AWS access key"
-  type        = string
-  sensitive   = true
-}
-
-variable "aws_secret_key" {
-  description = "AWS secret key"
-  type        = string
-  sensitive   = true
-}
-
-variable "aws_session_token" {
-  description = "AWS session token (for AssumeRole)"
-  type        = string
-  sensitive   = true
-  default     = ""
-}
-
 variable "deployment_id" {
   description = "Unique deployment identifier"
   type        = string
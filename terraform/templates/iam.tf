@@ -1,21 +1,12 @@
 provider "aws" {
   region     = var.aws_region
-  access_key = var.aws_access_key
-  secret_key = var.aws_secret_key
+  # Credentials are supplied through AWS_* environment variables, never tfvars
 }
 
 variable "aws_region" {
   type = string
 }
 
-variable "aws_access_key" {
-  type = string
-}
-
-variable "aws_secret_key" {
-  type = string
-}
-
 variable "username" {
   type = string
 }
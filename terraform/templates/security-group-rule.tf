@@ -9,8 +9,7 @@ terraform {
 
 provider "aws" {
   region     = var.aws_region
-  access_key = var.aws_access_key
-  secret_key = var.aws_secret_key
+  # Credentials are supplied through AWS_* environment variables, never tfvars
 }
 
 variable "aws_region" {
@@ -19,16 +18,6 @@ variable "aws_region" {
   default     = "us-east-1"
 }
 
-variable "aws_access_key" {
-  description = "AWS access key"
-  type        = string
-}
-
-variable "aws_secret_key" {
-  description = "AWS secret key"
-  type        = string
-}
-
 variable "security_group_id" {
   description = "Security Group ID to add rule to"
   type        = string
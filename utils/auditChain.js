@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import AuditLog, { GENESIS_HASH } from '../models/AuditLog.js';
+import AuditCheckpoint from '../models/AuditCheckpoint.js';
+
+/**
+ * Tamper evidence for audit logs
+ *
+ * Each organization's entries form a hash chain (models/AuditLog.js). Editing
+ * an entry breaks its hash, deleting one leaves a gap in the sequence.
+ * Rewriting the whole chain is caught by checkpoints: the chain head signed
+ * periodically with AUDIT_CHECKPOINT_SECRET, which the database does not hold.
+ */
+
+const CHECKPOINT_INTERVAL_MINUTES = parseInt(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES || '60');
+
+let checkpointTimer = null;
+let checkpointRunning = false;
+
+const signCheckpoint = ({ organizationId, sequence, hash, expiresAt }) =>
+  crypto.createHmac('sha256', process.env.AUDIT_CHECKPOINT_SECRET)
+    .update(`${organizationId}|${sequence}|${hash}|${new Date(expiresAt).toISOString()}`)
+    .digest('hex');
+
+const hasValidSignature = (checkpoint) => {
+  const expected = Buffer.from(signCheckpoint(checkpoint), 'hex');
+  const actual = Buffer.from(checkpoint.signature, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Why an entry does not belong where it is in the chain, if it does not
+const findBrokenLink = (log, previous, checkpoint) => {
+  if (AuditLog.computeHash(log) !== log.hash) {
+    return { reason: 'content_modified', message: `Entry ${log.sequence} does not match its hash` };
+  }
+  if (previous && log.sequence !== previous.sequence + 1) {
+    return { reason: 'entries_missing', message: `Entries ${previous.sequence + 1} to ${log.sequence - 1} are missing` };
+  }
+  if (previous ? log.previousHash !== previous.hash : log.sequence === 1 && log.previousHash !== GENESIS_HASH) {
+    return { reason: 'chain_mismatch', message: `Entry ${log.sequence} does not chain onto the entry before it` };
+  }
+  if (checkpoint && checkpoint.hash !== log.hash) {
+    return { reason: 'checkpoint_mismatch', message: `Entry ${log.sequence} differs from its signed checkpoint` };
+  }
+  return null;
+};
+
+/**
+ * Walk an organization's audit log chain, oldest entry first
+ *
+ * Entries removed by retention are expected at the start of the chain; a
+ * checkpoint whose entry is gone before its expiresAt shows they were deleted.
+ * @param {object} options - fromSequence: only check entries from there on
+ * @returns {Promise<object>} - { valid, checked, firstSequence, lastSequence, checkpoints, brokenAt }
+ */
+export const verifyAuditChain = async (organizationId, { fromSequence = 0 } = {}) => {
+  const signed = Boolean(process.env.AUDIT_CHECKPOINT_SECRET);
+  const checkpoints = await AuditCheckpoint.find({ organizationId, sequence: { $gte: fromSequence } })
+    .sort({ sequence: 1 })
+    .lean();
+  const bySequence = new Map(checkpoints.map(checkpoint => [checkpoint.sequence, checkpoint]));
+
+  const report = {
+    valid: true,
+    checked: 0,
+    firstSequence: null,
+    lastSequence: null,
+    checkpoints: { total: checkpoints.length, matched: 0, signaturesChecked: signed },
+    brokenAt: null
+  };
+  const fail = (brokenAt) => Object.assign(report, { valid: false, brokenAt });
+
+  // The entries before the first one left must have expired
+  const findEarlyDeletion = (firstSequence) => {
+    if (fromSequence > 0) return null;
+    const checkpoint = checkpoints.filter(item => item.sequence < firstSequence).pop();
+    if (!checkpoint || checkpoint.expiresAt <= new Date()) return null;
+    return {
+      sequence: checkpoint.sequence,
+      reason: 'entries_deleted',
+      message: `Entries up to ${checkpoint.sequence} were deleted before their retention ended`
+    };
+  };
+
+  if (signed) {
+    const forged = checkpoints.find(checkpoint => !hasValidSignature(checkpoint));
+    if (forged) {
+      return fail({
+        sequence: forged.sequence,
+        reason: 'checkpoint_signature_invalid',
+        message: `Checkpoint at entry ${forged.sequence} has an invalid signature`
+      });
+    }
+  }
+
+  const cursor = AuditLog.find({ organizationId, sequence: { $gte: fromSequence } })
+    .sort({ sequence: 1 })
+    .lean()
+    .cursor({ batchSize: 500 });
+  let previous = null;
+
+  try {
+    for await (const log of cursor) {
+      const deleted = !previous && findEarlyDeletion(log.sequence);
+      if (deleted) return fail(deleted);
+
+      const checkpoint = bySequence.get(log.sequence);
+      const broken = findBrokenLink(log, previous, checkpoint);
+      if (broken) {
+        return fail({ sequence: log.sequence, id: log._id.toString(), timestamp: log.timestamp, ...broken });
+      }
+
+      if (checkpoint) report.checkpoints.matched++;
+      report.firstSequence ??= log.sequence;
+      report.lastSequence = log.sequence;
+      report.checked++;
+      previous = log;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  const lastCheckpoint = checkpoints[checkpoints.length - 1];
+  if (!previous) {
+    const deleted = findEarlyDeletion(Infinity);
+    if (deleted) return fail(deleted);
+  } else if (lastCheckpoint && lastCheckpoint.sequence > previous.sequence) {
+    return fail({
+      sequence: previous.sequence + 1,
+      reason: 'entries_missing',
+      message: `Entries ${previous.sequence + 1} to ${lastCheckpoint.sequence} are missing`
+    });
+  }
+
+  return report;
+};
+
+/**
+ * Sign the head of an organization's chain, once the entries since the last
+ * checkpoint are verified
+ * @returns {Promise<object|null>} - The new checkpoint, null when there is nothing new
+ */
+export const createCheckpoint = async (organizationId) => {
+  const head = await AuditLog.findOne({ organizationId, sequence: { $exists: true } })
+    .sort({ sequence: -1 })
+    .select('sequence hash expiresAt')
+    .lean();
+  const latest = await AuditCheckpoint.findOne({ organizationId }).sort({ sequence: -1 }).lean();
+  if (!head || (latest && latest.sequence >= head.sequence)) {
+    return null;
+  }
+
+  const report = await verifyAuditChain(organizationId, { fromSequence: latest?.sequence || 0 });
+  if (!report.valid) {
+    throw new Error(`Audit log chain broken at entry ${report.brokenAt.sequence}: ${report.brokenAt.message}`);
+  }
+
+  const checkpoint = {
+    organizationId,
+    sequence: head.sequence,
+    hash: head.hash,
+    expiresAt: head.expiresAt
+  };
+
+  try {
+    return await AuditCheckpoint.create({ ...checkpoint, signature: signCheckpoint(checkpoint) });
+  } catch (error) {
+    // Another server signed the same head
+    if (error.code !== 11000) throw error;
+    return null;
+  }
+};
+
+/**
+ * Checkpoint every organization with new audit log entries
+ */
+export const runAuditCheckpoints = async () => {
+  if (checkpointRunning) {
+    return null;
+  }
+
+  checkpointRunning = true;
+  const summary = { signed: 0, failed: 0 };
+
+  try {
+    const organizationIds = await AuditLog.distinct('organizationId', { sequence: { $exists: true } });
+
+    for (const organizationId of organizationIds) {
+      try {
+        if (await createCheckpoint(organizationId)) summary.signed++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`❌ Audit checkpoint for organization ${organizationId}:`, error.message);
+      }
+    }
+
+    if (summary.signed > 0 || summary.failed > 0) {
+      console.log(`🔏 Audit checkpoints: ${summary.signed} signed, ${summary.failed} failed`);
+    }
+    return summary;
+  } finally {
+    checkpointRunning = false;
+  }
+};
+
+/**
+ * Schedule checkpoints (AUDIT_CHECKPOINT_INTERVAL_MINUTES, 0 disables them).
+ * They need AUDIT_CHECKPOINT_SECRET.
+ */
+export const startAuditCheckpoints = () => {
+  if (checkpointTimer) {
+    return;
+  }
+
+  if (!(CHECKPOINT_INTERVAL_MINUTES > 0)) {
+    console.log('⚠️  Audit checkpoints disabled (AUDIT_CHECKPOINT_INTERVAL_MINUTES=0)');
+    return;
+  }
+  if (!process.env.AUDIT_CHECKPOINT_SECRET) {
+    console.log('⚠️  Audit checkpoints disabled (AUDIT_CHECKPOINT_SECRET is not set)');
+    return;
+  }
+
+  checkpointTimer = setInterval(() => {
+    runAuditCheckpoints().catch(error => {
+      console.error('❌ Audit checkpoints failed:', error.message);
+    });
+  }, CHECKPOINT_INTERVAL_MINUTES * 60 * 1000);
+  checkpointTimer.unref();
+
+  console.log(`✅ Audit checkpoints scheduled every ${CHECKPOINT_INTERVAL_MINUTES} minutes`);
+};
@@ -0,0 +1,355 @@
+import crypto from 'crypto';
+import dgram from 'dgram';
+import fs from 'fs/promises';
+import https from 'https';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import AuditLog from '../models/AuditLog.js';
+import AuditSink from '../models/AuditSink.js';
+import AuditDeadLetter from '../models/AuditDeadLetter.js';
+import { decrypt } from './encryption.js';
+import { resolvePublicAddress } from './ipAllowlist.js';
+
+/**
+ * Streaming of audit log entries to external sinks (SIEMs, log shippers)
+ *
+ * Every tick each enabled sink is claimed (so several servers never deliver
+ * the same one) and sent the entries after its cursor in batches. A failed
+ * batch is retried with backoff; after AUDIT_SINK_MAX_ATTEMPTS it goes to the
+ * AuditDeadLetter collection and the sink moves on. Delivery is at least once:
+ * receivers can drop duplicates by sequence.
+ */
+
+const TICK_SECONDS = parseInt(process.env.AUDIT_SINK_INTERVAL_SECONDS || '5');
+const MAX_ATTEMPTS = parseInt(process.env.AUDIT_SINK_MAX_ATTEMPTS || '5');
+const FILE_DIR = path.resolve(process.env.AUDIT_SINK_FILE_DIR || './logs/audit');
+const LEASE_MS = 2 * 60 * 1000;
+const TIMEOUT_MS = 10 * 1000;
+// Batches one claim delivers before letting other sinks go
+const MAX_BATCHES_PER_CLAIM = 10;
+
+export const FILENAME = /^[\w-][\w.-]*\.(ndjson|jsonl|log)$/;
+
+let sinkTimer = null;
+let sinksRunning = false;
+
+const toEvent = (log) => ({ organizationId: log.organizationId.toString(), ...AuditLog.serialize(log) });
+
+// Webhook and syslog receivers must be public: the host is resolved (and
+// checked) on every delivery and the connection goes to that address, so a
+// DNS change cannot point a sink at the internal network
+export const resolveSinkAddress = (sink) => {
+  if (sink.type === 'webhook') return resolvePublicAddress(new URL(sink.webhook.url).hostname);
+  if (sink.type === 'syslog') return resolvePublicAddress(sink.syslog.host);
+  return null;
+};
+
+// ---- Webhook ----
+
+const sendWebhook = async (sink, events) => {
+  const body = JSON.stringify({ organizationId: sink.organizationId.toString(), sink: sink.name, events });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto.createHmac('sha256', decrypt(sink.webhook.secret))
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  const { address, family } = await resolveSinkAddress(sink);
+
+  // Redirects are not followed, a 3xx counts as a failure
+  const status = await new Promise((resolve, reject) => {
+    const request = https.request(sink.webhook.url, {
+      method: 'POST',
+      lookup: (hostname, options, callback) =>
+        (options.all ? callback(null, [{ address, family }]) : callback(null, address, family)),
+      timeout: TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'RaDynamics-AuditSink/1.0',
+        'X-RaDynamics-Timestamp': timestamp,
+        'X-RaDynamics-Signature': `sha256=${signature}`
+      }
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => request.destroy(new Error(`No response from the webhook within ${TIMEOUT_MS / 1000}s`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+
+  if (status < 200 || status >= 300) {
+    throw new Error(`Webhook responded with status ${status}`);
+  }
+};
+
+// ---- Syslog (RFC 5424) ----
+
+const SEVERITY = { success: 6, warning: 4, failure: 3 };
+
+// Header fields are printable ASCII without spaces, "-" when empty
+const headerField = (value, maxLength) =>
+  String(value ?? '').replace(/[^\x21-\x7e]/g, '').slice(0, maxLength) || '-';
+
+const paramValue = (value) => String(value ?? '').replace(/["\\\]]/g, character => `\\${character}`);
+
+/**
+ * One RFC 5424 message per entry, the entry as JSON in MSG
+ * (32473 is the enterprise number reserved for examples, RFC 5612)
+ */
+export const formatSyslogMessage = (sink, event) => {
+  const priority = sink.syslog.facility * 8 + (SEVERITY[event.status] ?? 5);
+  const structuredData = `[audit@32473 organization="${paramValue(event.organizationId)}" sequence="${paramValue(event.sequence)}"` +
+    ` user="${paramValue(event.userEmail)}" status="${paramValue(event.status)}"]`;
+
+  return [
+    `<${priority}>1`,
+    new Date(event.timestamp).toISOString(),
+    headerField(os.hostname(), 255),
+    headerField(sink.syslog.appName, 48),
+    headerField(process.pid, 128),
+    headerField(event.action, 32),
+    structuredData,
+    JSON.stringify(event)
+  ].join(' ');
+};
+
+// Octet-counting framing (RFC 6587), the connection is closed after the batch
+const sendSyslogTcp = ({ host, port }, address, messages) => new Promise((resolve, reject) => {
+  const socket = net.createConnection({ host: address, port });
+  socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error(`No response from ${host}:${port} within ${TIMEOUT_MS / 1000}s`)));
+  socket.on('error', reject);
+  socket.once('connect', () => {
+    socket.end(messages.map(message => `${Buffer.byteLength(message)} ${message}`).join(''), resolve);
+  });
+});
+
+// One datagram per message. UDP cannot tell whether the server got them.
+const sendSyslogUdp = async ({ port }, { address, family }, messages) => {
+  const socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4');
+  try {
+    for (const message of messages) {
+      await new Promise((resolve, reject) => {
+        socket.send(message, port, address, error => (error ? reject(error) : resolve()));
+      });
+    }
+  } finally {
+    socket.close();
+  }
+};
+
+const sendSyslog = async (sink, events) => {
+  const resolved = await resolveSinkAddress(sink);
+  const messages = events.map(event => formatSyslogMessage(sink, event));
+  return sink.syslog.protocol === 'udp'
+    ? sendSyslogUdp(sink.syslog, resolved, messages)
+    : sendSyslogTcp(sink.syslog, resolved.address, messages);
+};
+
+// ---- File (NDJSON) ----
+
+// Under the organization's own directory, on the server that delivers
+export const getSinkFilePath = (sink) =>
+  path.join(FILE_DIR, sink.organizationId.toString(), sink.file.filename);
+
+const appendToFile = async (sink, events) => {
+  const filePath = getSinkFilePath(sink);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(filePath, events.map(event => `${JSON.stringify(event)}\n`).join(''));
+};
+
+/**
+ * Send serialized entries to a sink, throws when it does not take them
+ */
+export const deliverEvents = (sink, events) => {
+  const senders = { webhook: sendWebhook, syslog: sendSyslog, file: appendToFile };
+  return senders[sink.type](sink, events);
+};
+
+/**
+ * Deliver a made-up entry, to check a sink's configuration
+ */
+export const sendTestEvent = (sink, user) => deliverEvents(sink, [{
+  organizationId: sink.organizationId.toString(),
+  id: null,
+  timestamp: new Date(),
+  userEmail: user.email,
+  action: 'audit_sink_test',
+  resourceType: 'audit_sink',
+  resourceId: sink._id.toString(),
+  resourceName: sink.name,
+  status: 'success',
+  details: { message: 'Test event, not an audit log entry' },
+  sequence: null
+}]);
+
+/**
+ * Deliver dead letters of a sink again, oldest first. Stops at the first failure.
+ * @returns {Promise<object>} - { redelivered, remaining, error }
+ */
+export const redeliverDeadLetters = async (sink) => {
+  let redelivered = 0;
+  let error = null;
+
+  while (!error) {
+    const deadLetters = await AuditDeadLetter.find({ sinkId: sink._id })
+      .sort({ sequence: 1, _id: 1 })
+      .limit(sink.batchSize)
+      .lean();
+    if (deadLetters.length === 0) break;
+
+    try {
+      await deliverEvents(sink, deadLetters.map(deadLetter => deadLetter.event));
+      await AuditDeadLetter.deleteMany({ _id: { $in: deadLetters.map(deadLetter => deadLetter._id) } });
+      redelivered += deadLetters.length;
+    } catch (deliveryError) {
+      error = deliveryError.message;
+    }
+  }
+
+  const remaining = await AuditDeadLetter.countDocuments({ sinkId: sink._id });
+  await AuditSink.updateOne({ _id: sink._id }, { $set: { deadLetterCount: remaining } });
+  return { redelivered, remaining, error };
+};
+
+// Sequence a new sink starts after: the latest entry, or 0 to replay all that are retained
+export const getChainHead = async (organizationId) => {
+  const head = await AuditLog.findOne({ organizationId, sequence: { $exists: true } })
+    .sort({ sequence: -1 })
+    .select('sequence')
+    .lean();
+  return head?.sequence || 0;
+};
+
+// Retry in 10s, 20s, 40s... up to 10 minutes
+const getRetryDelay = (attempts) => Math.min(10 * 1000 * 2 ** (attempts - 1), 10 * 60 * 1000);
+
+/**
+ * Deliver the entries after the sink's cursor, batch by batch
+ * @returns {Promise<number>} - Entries delivered or dead-lettered
+ */
+const processSink = async (sink) => {
+  let handled = 0;
+
+  for (let batch = 0; batch < MAX_BATCHES_PER_CLAIM; batch++) {
+    const logs = await AuditLog.find({ organizationId: sink.organizationId, sequence: { $gt: sink.cursor } })
+      .sort({ sequence: 1 })
+      .limit(sink.batchSize)
+      .lean();
+    if (logs.length === 0) break;
+
+    const events = logs.map(toEvent);
+    const cursor = logs[logs.length - 1].sequence;
+
+    try {
+      await deliverEvents(sink, events);
+      await AuditSink.updateOne({ _id: sink._id }, {
+        $set: { cursor, attempts: 0, nextAttemptAt: null, lastError: null, lastDeliveredAt: new Date() },
+        $inc: { deliveredCount: events.length }
+      });
+    } catch (error) {
+      const attempts = sink.attempts + 1;
+
+      if (attempts < MAX_ATTEMPTS) {
+        await AuditSink.updateOne({ _id: sink._id }, {
+          $set: { attempts, lastError: error.message, nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts)), lockedUntil: null }
+        });
+        console.error(`⚠️ Audit sink ${sink.name} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error.message}`);
+        return handled;
+      }
+
+      await AuditDeadLetter.insertMany(logs.map((log, index) => ({
+        sinkId: sink._id,
+        organizationId: sink.organizationId,
+        auditLogId: log._id,
+        sequence: log.sequence,
+        event: events[index],
+        error: error.message,
+        attempts
+      })));
+      await AuditSink.updateOne({ _id: sink._id }, {
+        $set: { cursor, attempts: 0, nextAttemptAt: null, lastError: error.message },
+        $inc: { deadLetterCount: events.length }
+      });
+      console.error(`❌ Audit sink ${sink.name}: ${events.length} entries moved to dead letters after ${attempts} attempts: ${error.message}`);
+    }
+
+    sink.cursor = cursor;
+    sink.attempts = 0;
+    handled += events.length;
+    if (logs.length < sink.batchSize) break;
+  }
+
+  await AuditSink.updateOne({ _id: sink._id }, { $set: { lockedUntil: null } });
+  return handled;
+};
+
+// Take the next enabled sink that is not locked or waiting to retry
+const claimSink = (now, claimed) => AuditSink.findOneAndUpdate(
+  {
+    _id: { $nin: claimed },
+    enabled: true,
+    $and: [
+      { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] }
+    ]
+  },
+  { $set: { lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+  { new: true }
+);
+
+/**
+ * Deliver new entries to every sink that is due
+ */
+export const runAuditSinks = async () => {
+  if (sinksRunning) {
+    return null;
+  }
+
+  sinksRunning = true;
+  const claimed = [];
+  const summary = { sinks: 0, events: 0 };
+
+  try {
+    const now = new Date();
+    let sink;
+
+    while ((sink = await claimSink(now, claimed))) {
+      claimed.push(sink._id);
+      try {
+        summary.events += await processSink(sink);
+        summary.sinks++;
+      } catch (error) {
+        console.error(`Error delivering to audit sink ${sink._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  } finally {
+    sinksRunning = false;
+  }
+};
+
+/**
+ * Schedule delivery to audit sinks (AUDIT_SINK_INTERVAL_SECONDS, 0 disables it)
+ */
+export const startAuditSinks = () => {
+  if (sinkTimer) {
+    return;
+  }
+
+  if (!(TICK_SECONDS > 0)) {
+    console.log('⚠️  Audit log streaming disabled (AUDIT_SINK_INTERVAL_SECONDS=0)');
+    return;
+  }
+
+  sinkTimer = setInterval(() => {
+    runAuditSinks().catch(error => {
+      console.error('❌ Audit log streaming failed:', error.message);
+    });
+  }, TICK_SECONDS * 1000);
+  sinkTimer.unref();
+
+  console.log(`✅ Audit log streaming scheduled every ${TICK_SECONDS} seconds`);
+};
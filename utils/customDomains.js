@@ -0,0 +1,158 @@
+import acmService from '../services/acm-service.js';
+import loadBalancerService from '../services/load-balancer-service.js';
+
+/**
+ * Custom domains of ECS applications
+ *
+ * Each domain gets an ACM certificate validated by a DNS record the user adds.
+ * Once issued, the load balancer's HTTPS listener serves it with a host rule
+ * forwarding to the application, and its HTTP listener redirects the host to HTTPS.
+ */
+
+// Lowercase hostnames with at least two labels, no wildcards
+export const HOSTNAME = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+export const MAX_DOMAINS = 10;
+
+export const canServeDomains = (application) =>
+  application.deploymentTarget === 'ecs' &&
+  !!(application.aws.loadBalancerArn && application.aws.listenerArn && application.aws.targetGroupArn);
+
+// First active custom domain, else null
+export const getCustomDomainUrl = (application) => {
+  const active = (application.domains || []).find(domain => domain.status === 'active');
+  return active ? `https://${active.hostname}` : null;
+};
+
+/**
+ * DNS records the user adds: ACM validation, and the record pointing the
+ * hostname at the load balancer (an ALIAS/ANAME at a zone apex)
+ */
+export const getDnsRecords = (application, domain) => [
+  ...(domain.validationRecords || []).map(record => ({
+    purpose: 'validation',
+    name: record.name,
+    type: record.type,
+    value: record.value
+  })),
+  ...(application.aws.loadBalancerDns
+    ? [{ purpose: 'routing', name: `${domain.hostname}.`, type: 'CNAME', value: application.aws.loadBalancerDns }]
+    : [])
+];
+
+// Serve an issued domain: HTTPS host rule to the serving target group, HTTP redirect
+const activateDomain = async (application, credentials, domain) => {
+  const region = application.aws.region;
+
+  const httpsListenerArn = await loadBalancerService.ensureHttpsListener(credentials, region, {
+    applicationId: application._id.toString(),
+    loadBalancerArn: application.aws.loadBalancerArn,
+    certificateArn: domain.certificateArn
+  });
+  application.aws.httpsListenerArn = httpsListenerArn;
+
+  await loadBalancerService.ensureHostRule(credentials, region, {
+    listenerArn: httpsListenerArn,
+    hostname: domain.hostname,
+    actions: [{ Type: 'forward', TargetGroupArn: application.aws.targetGroupArn }]
+  });
+  await loadBalancerService.ensureHostRule(credentials, region, {
+    listenerArn: application.aws.listenerArn,
+    hostname: domain.hostname,
+    actions: [{ Type: 'redirect', RedirectConfig: { Protocol: 'HTTPS', Port: '443', StatusCode: 'HTTP_301' } }]
+  });
+
+  domain.status = 'active';
+  domain.errorMessage = undefined;
+  domain.verifiedAt = domain.verifiedAt || new Date();
+  application.url = getCustomDomainUrl(application);
+};
+
+/**
+ * Update a domain from its certificate, serving it once the certificate is issued
+ * and the application has a load balancer. Changes are not saved.
+ */
+export const checkDomain = async (application, credentials, domain) => {
+  const certificate = await acmService.describeCertificate(credentials, application.aws.region, domain.certificateArn);
+  domain.lastCheckedAt = new Date();
+  if (certificate.validationRecords.length > 0) {
+    domain.validationRecords = certificate.validationRecords;
+  }
+
+  if (certificate.status === 'PENDING_VALIDATION') {
+    domain.status = 'pending_validation';
+  } else if (certificate.status !== 'ISSUED') {
+    domain.status = 'failed';
+    domain.errorMessage = `Certificate ${certificate.status.toLowerCase().replace(/_/g, ' ')}${certificate.failureReason ? ` (${certificate.failureReason})` : ''}`;
+  } else if (canServeDomains(application)) {
+    await activateDomain(application, credentials, domain);
+  } else {
+    // Served once a deploy creates the load balancer
+    domain.status = 'issued';
+  }
+
+  return domain;
+};
+
+/**
+ * Serve the issued domains of an application after a deploy (its load balancer
+ * may be new). A domain that cannot be served keeps its error, the deploy goes on.
+ * @returns {Promise<number>} - Domains served
+ */
+export const activateDomains = async (application, credentials) => {
+  let served = 0;
+
+  for (const domain of application.domains || []) {
+    if (!['issued', 'active'].includes(domain.status)) continue;
+
+    try {
+      await activateDomain(application, credentials, domain);
+      served++;
+    } catch (error) {
+      console.error(`Error serving domain ${domain.hostname}:`, error.message);
+      domain.errorMessage = error.message;
+    }
+  }
+
+  return served;
+};
+
+// Stop serving a domain and delete its certificate. Changes are not saved.
+export const removeDomain = async (application, credentials, domain) => {
+  const region = application.aws.region;
+
+  if (application.aws.httpsListenerArn) {
+    await loadBalancerService.removeHostRule(credentials, region, {
+      listenerArn: application.aws.httpsListenerArn,
+      hostname: domain.hostname
+    });
+    if (domain.certificateArn) {
+      const listenerDeleted = await loadBalancerService.removeListenerCertificate(credentials, region, {
+        listenerArn: application.aws.httpsListenerArn,
+        certificateArn: domain.certificateArn
+      });
+      if (listenerDeleted) {
+        application.aws.httpsListenerArn = undefined;
+      }
+    }
+  }
+
+  if (application.aws.listenerArn) {
+    await loadBalancerService.removeHostRule(credentials, region, {
+      listenerArn: application.aws.listenerArn,
+      hostname: domain.hostname
+    });
+  }
+
+  if (domain.certificateArn) {
+    await acmService.deleteCertificate(credentials, region, domain.certificateArn);
+  }
+
+  if (application.url === `https://${domain.hostname}`) {
+    const others = application.domains.filter(other => other.hostname !== domain.hostname);
+    const next = others.find(other => other.status === 'active');
+    application.url = next
+      ? `https://${next.hostname}`
+      : application.aws.loadBalancerDns ? `http://${application.aws.loadBalancerDns}` : undefined;
+  }
+};
@@ -0,0 +1,115 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import DeploymentLogEvent from '../models/DeploymentLogEvent.js';
+
+/**
+ * Live deployment output
+ *
+ * Lines are stored in MongoDB (for Last-Event-ID resume and for API replicas
+ * that are not running the deployment) and emitted in-process so subscribers
+ * on the same server get them immediately.
+ */
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Writes are chained per application so lines are stored in the order of their IDs
+const writeChains = new Map();
+
+const MAX_LINE_LENGTH = 4000;
+
+// Secret values per application, replaced in every line before it is stored or sent
+const redactions = new Map();
+const REDACTED = '[secret]';
+
+/**
+ * Mask these values in the application's deployment output from now on
+ * (replaces the values registered by the previous deploy)
+ */
+export const redactDeploymentLogs = (applicationId, values) => {
+  // Very short values would mask ordinary words
+  const secrets = [...new Set(values)].filter(value => typeof value === 'string' && value.length >= 4);
+  if (secrets.length === 0) {
+    redactions.delete(applicationId.toString());
+  } else {
+    // Longest first so a secret containing another is masked whole
+    redactions.set(applicationId.toString(), secrets.sort((a, b) => b.length - a.length));
+  }
+};
+
+const redact = (key, line) => {
+  const secrets = redactions.get(key);
+  if (!secrets) return line;
+  return secrets.reduce((masked, secret) => masked.split(secret).join(REDACTED), line);
+};
+
+/**
+ * Record deployment output. Multi-line text is split into one event per line.
+ * Never throws: log streaming must not break a deployment.
+ * @param {string} applicationId
+ * @param {string} source - clone, build, deploy or system
+ * @param {string} text
+ */
+export const appendDeploymentLog = (applicationId, source, text) => {
+  const key = applicationId.toString();
+  const lines = String(text ?? '')
+    .split(/\r?\n|\r/)
+    .map(line => redact(key, line.trimEnd()))
+    .filter(Boolean);
+
+  if (lines.length === 0) return;
+
+  const events = lines.map(line => ({
+    _id: new mongoose.Types.ObjectId(),
+    applicationId: key,
+    source,
+    message: line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH)}…` : line,
+    createdAt: new Date()
+  }));
+
+  for (const event of events) {
+    emitter.emit(key, { ...event, id: event._id.toString() });
+  }
+
+  const previous = writeChains.get(key) || Promise.resolve();
+  const write = previous
+    .then(() => DeploymentLogEvent.insertMany(events, { ordered: true }))
+    .catch(error => console.error('⚠️ Failed to store deployment log lines:', error.message))
+    .finally(() => {
+      if (writeChains.get(key) === write) writeChains.delete(key);
+    });
+  writeChains.set(key, write);
+};
+
+/**
+ * Line callback bound to one application and source
+ */
+export const deploymentLogger = (applicationId, source) => (text) => appendDeploymentLog(applicationId, source, text);
+
+/**
+ * Listen to new lines of an application
+ * @returns {function} - Unsubscribe
+ */
+export const subscribeDeploymentLogs = (applicationId, listener) => {
+  const key = applicationId.toString();
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+/**
+ * Stored lines after an event ID (or the most recent ones when none is given)
+ */
+export const getDeploymentLogsSince = async (applicationId, lastEventId = null, limit = 500) => {
+  if (lastEventId) {
+    return DeploymentLogEvent.find({ applicationId, _id: { $gt: lastEventId } })
+      .sort({ _id: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  const recent = await DeploymentLogEvent.find({ applicationId })
+    .sort({ _id: -1 })
+    .limit(limit)
+    .lean();
+  return recent.reverse();
+};
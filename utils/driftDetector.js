@@ -0,0 +1,157 @@
+import Deployment from '../models/Deployment.js';
+import AWSAccount from '../models/AWSAccount.js';
+import Notification from '../models/Notification.js';
+import { detectDrift } from './terraform.js';
+
+const DRIFT_INTERVAL_MINUTES = parseInt(process.env.DRIFT_CHECK_INTERVAL_MINUTES || '360');
+
+let driftTimer = null;
+let driftRunning = false;
+
+const driftFingerprint = (resources = []) => {
+  return resources
+    .map(resource => `${resource.address}:${resource.attributes.map(attribute => attribute.name).sort().join(',')}`)
+    .sort()
+    .join('|');
+};
+
+/**
+ * Run a refresh-only plan for one completed deployment and store the report
+ * @param {object} deployment - Deployment document
+ * @returns {Promise<object>} - The updated drift report
+ */
+export const checkDeploymentDrift = async (deployment) => {
+  const awsAccount = await AWSAccount.findById(deployment.awsAccountId);
+  if (!awsAccount) {
+    throw new Error('AWS account not found');
+  }
+
+  const credentials = awsAccount.getDecryptedCredentials();
+  const result = await detectDrift(deployment.workspaceId, {
+    resourceType: deployment.resourceType,
+    config: deployment.config,
+    awsCredentials: {
+      accessKey: credentials.accessKeyId,
+      secretKey: credentials.secretAccessKey,
+      region: deployment.config?.region || awsAccount.region
+    },
+    userId: deployment.userId.toString(),
+    stateContext: {
+      backend: deployment.stateBackend || 'local',
+      organizationId: deployment.organizationId,
+      stateKey: deployment._id.toString()
+    }
+  });
+
+  // A failed check keeps the last report, so compare against that too
+  const previous = ['drifted', 'error'].includes(deployment.drift?.status) && deployment.drift.resources?.length
+    ? driftFingerprint(deployment.drift.resources)
+    : null;
+
+  if (!result.success) {
+    // Keep the last successful report, only record the failure
+    deployment.drift.status = 'error';
+    deployment.drift.checkedAt = new Date();
+    deployment.drift.error = result.error;
+    await deployment.save();
+    return deployment.drift;
+  }
+
+  deployment.drift = {
+    status: result.drifted ? 'drifted' : 'in_sync',
+    checkedAt: new Date(),
+    detectedAt: result.drifted
+      ? (previous !== null ? deployment.drift.detectedAt : new Date())
+      : null,
+    resources: result.resources,
+    error: null
+  };
+  await deployment.save();
+
+  // Only notify when drift first appears or something else drifted since
+  if (result.drifted && previous !== driftFingerprint(result.resources)) {
+    try {
+      const changed = result.resources
+        .map(resource => `${resource.address} (${resource.attributes.map(a => a.name).join(', ') || 'changed'})`)
+        .join('; ');
+
+      await Notification.createNotification({
+        userId: deployment.userId,
+        type: 'drift_detected',
+        title: 'Configuration Drift Detected',
+        message: `Resource "${deployment.resourceName}" was changed outside of Terraform: ${changed}`,
+        priority: 'high',
+        data: {
+          deploymentId: deployment._id,
+          resourceName: deployment.resourceName,
+          resourceType: deployment.resourceType,
+          resources: result.resources.map(resource => resource.address)
+        }
+      });
+    } catch (notifError) {
+      console.error('⚠️ Failed to create drift notification:', notifError);
+    }
+  }
+
+  return deployment.drift;
+};
+
+/**
+ * Check every completed Terraform deployment, one at a time
+ */
+export const runDriftDetection = async () => {
+  if (driftRunning) {
+    console.log('⏭️ Drift detection already running, skipping this round');
+    return null;
+  }
+
+  driftRunning = true;
+  const summary = { checked: 0, drifted: 0, failed: 0 };
+
+  try {
+    const deployments = await Deployment.find({
+      status: 'completed',
+      workspaceId: { $ne: null }
+    });
+
+    for (const deployment of deployments) {
+      try {
+        const drift = await checkDeploymentDrift(deployment);
+        summary.checked++;
+        if (drift.status === 'drifted') summary.drifted++;
+        if (drift.status === 'error') summary.failed++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`Error checking drift for deployment ${deployment._id}:`, error.message);
+      }
+    }
+
+    console.log(`🔍 Drift detection finished: ${summary.checked} checked, ${summary.drifted} drifted, ${summary.failed} failed`);
+    return summary;
+  } finally {
+    driftRunning = false;
+  }
+};
+
+/**
+ * Schedule drift detection (DRIFT_CHECK_INTERVAL_MINUTES, 0 disables it)
+ */
+export const startDriftDetector = () => {
+  if (driftTimer) {
+    return;
+  }
+
+  if (!(DRIFT_INTERVAL_MINUTES > 0)) {
+    console.log('⚠️  Drift detection disabled (DRIFT_CHECK_INTERVAL_MINUTES=0)');
+    return;
+  }
+
+  driftTimer = setInterval(() => {
+    runDriftDetection().catch(error => {
+      console.error('❌ Drift detection failed:', error.message);
+    });
+  }, DRIFT_INTERVAL_MINUTES * 60 * 1000);
+  driftTimer.unref();
+
+  console.log(`✅ Drift detection scheduled every ${DRIFT_INTERVAL_MINUTES} minutes`);
+};
@@ -0,0 +1,87 @@
+import EnvironmentGroup from '../models/EnvironmentGroup.js';
+import Application from '../models/Application.js';
+
+/**
+ * Environment groups shared by the applications of an organization
+ *
+ * An application's env vars are its groups' variables in the order the groups
+ * are attached, later groups overriding earlier ones, with the application's
+ * own runtime.environmentVariables overriding all groups. Secret references
+ * in groups resolve like the application's own (utils/secrets.js).
+ */
+
+const toEntries = (variables) =>
+  variables instanceof Map ? [...variables.entries()] : Object.entries(variables || {});
+
+/**
+ * Merge an application's env vars with its environment groups
+ * @param {object} application - Application document
+ * @param {Map|object} environmentVariables - Own env vars (default: the application's)
+ * @param {Array} groupIds - Attached groups in order (default: the application's)
+ * @returns {Promise<object>} - { environment: { KEY: value }, sources: { KEY: 'application' | group name },
+ *   groups: [{ groupId, name, version }] } where groups lists the groups that still exist
+ */
+export const buildEnvironment = async (
+  application,
+  environmentVariables = application.runtime.environmentVariables,
+  groupIds = application.runtime.environmentGroups
+) => {
+  const ids = (groupIds || []).map(id => id?._id || id);
+  const found = ids.length > 0
+    ? await EnvironmentGroup.find({ _id: { $in: ids }, organizationId: application.organizationId })
+    : [];
+  const byId = new Map(found.map(group => [group._id.toString(), group]));
+
+  const environment = {};
+  const sources = {};
+  const groups = [];
+
+  for (const id of ids) {
+    const group = byId.get(id.toString());
+    if (!group) continue;
+
+    for (const [key, value] of toEntries(group.variables)) {
+      environment[key] = value;
+      sources[key] = group.name;
+    }
+    groups.push({ groupId: group._id, name: group.name, version: group.version });
+  }
+
+  for (const [key, value] of toEntries(environmentVariables)) {
+    environment[key] = value;
+    sources[key] = 'application';
+  }
+
+  return { environment, sources, groups };
+};
+
+/**
+ * Applications that attach a group, flagging the ones whose current release
+ * ran an older version of it (or none) and need a redeploy to pick it up
+ * @returns {Promise<Array>} - [{ _id, name, status, deploymentTarget, releaseVersion, deployedGroupVersion, outdated }]
+ */
+export const findAffectedApplications = async (group) => {
+  const applications = await Application.find({
+    organizationId: group.organizationId,
+    'runtime.environmentGroups': group._id
+  })
+    .select('name status deploymentTarget currentReleaseId preview.parentId')
+    .populate('currentReleaseId', 'version environmentGroups')
+    .sort({ name: 1 });
+
+  return applications.map(application => {
+    const release = application.currentReleaseId;
+    const deployed = release?.environmentGroups?.find(entry => entry.groupId?.equals(group._id));
+
+    return {
+      _id: application._id,
+      name: application.name,
+      status: application.status,
+      deploymentTarget: application.deploymentTarget,
+      isPreview: !!application.preview?.parentId,
+      releaseVersion: release?.version || null,
+      deployedGroupVersion: deployed?.version || null,
+      outdated: !deployed || deployed.version < group.version
+    };
+  });
+};
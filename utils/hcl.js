@@ -0,0 +1,120 @@
+/**
+ * HCL serializer for Terraform variable files
+ *
+ * Values are always written as literals: quotes, backslashes and control
+ * characters are escaped and template sequences (${ and %{) are doubled so
+ * user supplied text such as EC2 user data can never be evaluated by Terraform.
+ */
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const INDENT = '  ';
+
+const escapeControlCharacter = (char) => {
+  switch (char) {
+    case '\n': return '\\n';
+    case '\r': return '\\r';
+    case '\t': return '\\t';
+    default: return `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`;
+  }
+};
+
+/**
+ * Quote a string as an HCL string literal
+ * @param {string} value
+ * @returns {string}
+ */
+export const quoteHclString = (value) => {
+  const escaped = String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/[\u0000-\u001f\u007f]/g, escapeControlCharacter)
+    .replace(/\$\{/g, () => '$${')
+    .replace(/%\{/g, () => '%%{');
+
+  return `"${escaped}"`;
+};
+
+/**
+ * Serialize a JavaScript value as an HCL expression
+ * @param {*} value - string, number, boolean, null, array or plain object
+ * @param {number} depth - Current nesting level, used for indentation
+ * @returns {string}
+ */
+export const toHclValue = (value, depth = 0) => {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+
+  if (typeof value === 'string') {
+    return quoteHclString(value);
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot serialize ${value} to HCL`);
+    }
+    return String(value);
+  }
+
+  const padding = INDENT.repeat(depth + 1);
+  const closing = INDENT.repeat(depth);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+
+    const items = value.map(item => `${padding}${toHclValue(item, depth + 1)},`);
+    return `[\n${items.join('\n')}\n${closing}]`;
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return '{}';
+
+    // Keys are always quoted so tag names like "aws:team" or "Cost Center" work
+    const items = entries.map(([key, item]) => `${padding}${quoteHclString(key)} = ${toHclValue(item, depth + 1)}`);
+    return `{\n${items.join('\n')}\n${closing}}`;
+  }
+
+  throw new Error(`Cannot serialize value of type ${typeof value} to HCL`);
+};
+
+/**
+ * Serialize variables as terraform.tfvars content.
+ * Undefined values are omitted so the variable default applies.
+ * @param {object} variables - { name: value }
+ * @returns {string}
+ */
+export const toTfvars = (variables) => {
+  return Object.entries(variables)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => {
+      if (!IDENTIFIER.test(name)) {
+        throw new Error(`Invalid Terraform variable name: ${name}`);
+      }
+      return `${name} = ${toHclValue(value)}\n`;
+    })
+    .join('');
+};
+
+/**
+ * Serialize variables as terraform.tfvars.json content.
+ * Terraform reads JSON variable values literally, so no template escaping is needed.
+ * @param {object} variables - { name: value }
+ * @returns {string}
+ */
+export const toTfvarsJson = (variables) => {
+  for (const [name, value] of Object.entries(variables)) {
+    if (!IDENTIFIER.test(name)) {
+      throw new Error(`Invalid Terraform variable name: ${name}`);
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Cannot serialize ${value} to JSON`);
+    }
+  }
+
+  return `${JSON.stringify(variables, null, 2)}\n`;
+};
@@ -0,0 +1,258 @@
+import Application from '../models/Application.js';
+import HealthCheckResult from '../models/HealthCheckResult.js';
+import Notification from '../models/Notification.js';
+import { appendDeploymentLog } from './deploymentLogs.js';
+
+/**
+ * HTTP health checks of deployed applications
+ *
+ * Every tick, applications whose check is due are claimed (so several servers
+ * never probe the same one), probed at url + healthCheck.path and their result
+ * stored. Failing or slow checks move a running application to degraded, and
+ * to down after failureThreshold failures in a row; a good check brings it back.
+ */
+
+const TICK_SECONDS = parseInt(process.env.HEALTH_CHECK_TICK_SECONDS || '15');
+const CONCURRENCY = parseInt(process.env.HEALTH_CHECK_CONCURRENCY || '5');
+
+// Statuses health checks apply to and switch between. Deploys and stops own the status otherwise.
+export const MONITORED_STATUSES = ['running', 'degraded', 'down'];
+
+let healthTimer = null;
+let healthRunning = false;
+
+// expected: a status code (200) or a range (200-399)
+export const matchesExpectedStatus = (statusCode, expected = '200-399') => {
+  const [min, max = min] = expected.split('-').map(Number);
+  return statusCode >= min && statusCode <= max;
+};
+
+// A path starting with // or /\ would be resolved as another host
+export const isValidHealthCheckPath = (path) =>
+  typeof path === 'string' && path.startsWith('/') && !/^\/[/\\]/.test(path);
+
+// Always on the application's own origin, whatever the path
+export const getHealthCheckUrl = (application) => {
+  const path = application.healthCheck?.path || '/';
+  if (!isValidHealthCheckPath(path)) {
+    throw new Error(`Invalid health check path: ${path}`);
+  }
+
+  const origin = new URL(application.url).origin;
+  const url = new URL(`${origin}${path}`);
+  if (url.origin !== origin) {
+    throw new Error('Health check path must stay on the application host');
+  }
+  return url.toString();
+};
+
+/**
+ * Request the health check url once
+ * @returns {Promise<object>} - { url, ok, statusCode, latencyMs, error }
+ */
+export const probeApplication = async (application) => {
+  const { timeoutSeconds = 5, expectedStatus } = application.healthCheck || {};
+
+  let url;
+  try {
+    url = getHealthCheckUrl(application);
+  } catch (error) {
+    return { url: application.url, ok: false, latencyMs: 0, error: error.message };
+  }
+  const startedAt = Date.now();
+
+  try {
+    const response = await fetch(url, {
+      // A redirect is a response too (e.g. HTTP to HTTPS), it is not followed
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutSeconds * 1000),
+      headers: { 'User-Agent': 'RaDynamics-HealthCheck/1.0' }
+    });
+    const latencyMs = Date.now() - startedAt;
+    await response.body?.cancel();
+
+    const ok = matchesExpectedStatus(response.status, expectedStatus);
+    return {
+      url,
+      ok,
+      statusCode: response.status,
+      latencyMs,
+      error: ok ? undefined : `Unexpected status ${response.status} (expected ${expectedStatus})`
+    };
+  } catch (error) {
+    return {
+      url,
+      ok: false,
+      latencyMs: Date.now() - startedAt,
+      error: error.name === 'TimeoutError'
+        ? `No response within ${timeoutSeconds}s`
+        : error.cause?.code || error.message
+    };
+  }
+};
+
+// running: healthy, degraded: failing below the threshold or slow, down: failing at the threshold
+export const getHealthStatus = (result, consecutiveFailures, config) => {
+  if (!result.ok) {
+    return consecutiveFailures >= config.failureThreshold ? 'down' : 'degraded';
+  }
+  return result.latencyMs > config.degradedLatencyMs ? 'degraded' : 'running';
+};
+
+const describeResult = (result) => result.ok
+  ? `${result.statusCode} in ${result.latencyMs}ms`
+  : result.error;
+
+const notifyStatusChange = async (application, previousStatus, status, result) => {
+  const messages = {
+    running: `💚 Health check passed again (${describeResult(result)})`,
+    degraded: `⚠️ Application degraded: ${describeResult(result)}`,
+    down: `🔴 Application down after ${application.healthCheck.failureThreshold} failed health checks: ${describeResult(result)}`
+  };
+  appendDeploymentLog(application._id, 'system', messages[status]);
+
+  // Notify when the application goes down and when it comes back
+  if (status !== 'down' && previousStatus !== 'down') {
+    return;
+  }
+
+  try {
+    await Notification.createNotification({
+      userId: application.userId,
+      type: status === 'down' ? 'application_down' : 'application_recovered',
+      title: status === 'down' ? `${application.name} is down` : `${application.name} recovered`,
+      message: status === 'down'
+        ? `${result.url} failed ${application.healthCheck.failureThreshold} health checks in a row: ${describeResult(result)}`
+        : `${result.url} is responding again (${describeResult(result)})`,
+      priority: status === 'down' ? 'urgent' : 'medium',
+      data: { applicationId: application._id, url: result.url, statusCode: result.statusCode }
+    });
+  } catch (error) {
+    console.error('⚠️ Failed to create health notification:', error.message);
+  }
+};
+
+/**
+ * Probe an application, store the result and update its status
+ * @returns {Promise<object>} - The probe result with the resulting status
+ */
+export const checkApplication = async (application) => {
+  const config = application.healthCheck;
+  const result = await probeApplication(application);
+  const consecutiveFailures = result.ok ? 0 : (config.consecutiveFailures || 0) + 1;
+  const status = getHealthStatus(result, consecutiveFailures, config);
+  const checkedAt = new Date();
+
+  await HealthCheckResult.create({
+    applicationId: application._id,
+    organizationId: application.organizationId,
+    ...result,
+    checkedAt
+  });
+
+  // Returns the document as it was, unless a deploy or stop changed the status meanwhile
+  const previous = await Application.findOneAndUpdate(
+    { _id: application._id, status: { $in: MONITORED_STATUSES } },
+    {
+      $set: {
+        status,
+        'healthCheck.consecutiveFailures': consecutiveFailures,
+        'healthCheck.lastCheckedAt': checkedAt
+      }
+    }
+  ).select('status');
+
+  if (previous && previous.status !== status) {
+    await notifyStatusChange(application, previous.status, status, result);
+  }
+
+  return { ...result, status: previous ? status : null };
+};
+
+// Take the next application whose check is due and schedule its following check
+const claimDueApplication = (now) => Application.findOneAndUpdate(
+  {
+    status: { $in: MONITORED_STATUSES },
+    url: { $nin: [null, ''] },
+    'healthCheck.enabled': { $ne: false },
+    $or: [
+      { 'healthCheck.nextCheckAt': { $lte: now } },
+      { 'healthCheck.nextCheckAt': null }
+    ]
+  },
+  [{
+    $set: {
+      'healthCheck.nextCheckAt': {
+        $add: [now, { $multiply: [{ $ifNull: ['$healthCheck.intervalSeconds', 60] }, 1000] }]
+      }
+    }
+  }],
+  { new: true, sort: { 'healthCheck.nextCheckAt': 1 } }
+);
+
+/**
+ * Check every application that is due, CONCURRENCY at a time
+ */
+export const runHealthChecks = async () => {
+  if (healthRunning) {
+    return null;
+  }
+
+  healthRunning = true;
+  const summary = { checked: 0, failed: 0 };
+
+  try {
+    const now = new Date();
+    let batch;
+
+    do {
+      batch = [];
+      while (batch.length < CONCURRENCY) {
+        const application = await claimDueApplication(now);
+        if (!application) break;
+        batch.push(application);
+      }
+
+      const results = await Promise.all(batch.map(application =>
+        checkApplication(application).catch(error => {
+          console.error(`Error checking health of application ${application._id}:`, error.message);
+          return null;
+        })
+      ));
+
+      summary.checked += results.filter(Boolean).length;
+      summary.failed += results.filter(result => result && !result.ok).length;
+    } while (batch.length === CONCURRENCY);
+
+    if (summary.failed > 0) {
+      console.log(`🩺 Health checks: ${summary.checked} checked, ${summary.failed} failing`);
+    }
+    return summary;
+  } finally {
+    healthRunning = false;
+  }
+};
+
+/**
+ * Schedule health checks (HEALTH_CHECK_TICK_SECONDS, 0 disables them). Each
+ * application's own intervalSeconds decides how often it is probed.
+ */
+export const startHealthMonitor = () => {
+  if (healthTimer) {
+    return;
+  }
+
+  if (!(TICK_SECONDS > 0)) {
+    console.log('⚠️  Health checks disabled (HEALTH_CHECK_TICK_SECONDS=0)');
+    return;
+  }
+
+  healthTimer = setInterval(() => {
+    runHealthChecks().catch(error => {
+      console.error('❌ Health checks failed:', error.message);
+    });
+  }, TICK_SECONDS * 1000);
+  healthTimer.unref();
+
+  console.log(`✅ Health checks scheduled every ${TICK_SECONDS} seconds`);
+};
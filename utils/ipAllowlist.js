@@ -0,0 +1,94 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+/**
+ * IP allowlists (Organization settings.ipWhitelist): single addresses or CIDR
+ * ranges, IPv4 or IPv6. IPv4 clients seen as IPv4-mapped IPv6 addresses
+ * (::ffff:10.0.0.1) match IPv4 ranges.
+ *
+ * Also the private address check for servers users point us at (audit sinks).
+ */
+
+/**
+ * Parse '10.0.0.0/8', '2001:db8::/32' or a single address
+ * @returns {object|null} - { address, prefix, family }, null when invalid
+ */
+export const parseCidr = (entry) => {
+  const [address, prefixText, extra] = String(entry).trim().split('/');
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) {
+    return null;
+  }
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) {
+    return null;
+  }
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (prefix > maxPrefix) {
+    return null;
+  }
+
+  return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+};
+
+/**
+ * Whether an address is in the allowlist. An empty allowlist allows everyone.
+ */
+export const isIpAllowed = (ip, entries = []) => {
+  if (!entries?.length) {
+    return true;
+  }
+  if (!ip || !net.isIP(ip)) {
+    return false;
+  }
+
+  const allowlist = new net.BlockList();
+  for (const entry of entries) {
+    const range = parseCidr(entry);
+    if (range) {
+      allowlist.addSubnet(range.address, range.prefix, range.family);
+    }
+  }
+
+  return allowlist.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+};
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const PRIVATE_RANGES = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16', '172.16.0.0/12',
+  '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15', '224.0.0.0/4', '240.0.0.0/4',
+  '::/128', '::1/128', '64:ff9b::/96', 'fc00::/7', 'fe80::/10', 'ff00::/8'
+];
+
+/**
+ * Whether an address is not on the public internet. Ranges in
+ * AUDIT_SINK_ALLOWED_PRIVATE_CIDRS (comma separated) are let through, for
+ * receivers on the operator's own network.
+ */
+export const isPrivateAddress = (ip) => {
+  const allowed = (process.env.AUDIT_SINK_ALLOWED_PRIVATE_CIDRS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  if (allowed.length && isIpAllowed(ip, allowed)) {
+    return false;
+  }
+  return isIpAllowed(ip, PRIVATE_RANGES);
+};
+
+/**
+ * Resolve a host name (or take an IP address) and make sure it is public
+ * @returns {Promise<object>} - { address, family } to connect to
+ */
+export const resolvePublicAddress = async (host) => {
+  const name = String(host).replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(name)
+    ? [{ address: name, family: net.isIP(name) }]
+    : await dns.lookup(name, { all: true });
+
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    const target = blocked.address === name ? name : `${name} resolves to ${blocked.address}, which`;
+    throw new Error(`${target} is a private, loopback or link-local address`);
+  }
+
+  return addresses[0];
+};
@@ -0,0 +1,324 @@
+import os from 'os';
+import crypto from 'crypto';
+import Job from '../models/Job.js';
+
+/**
+ * MongoDB backed job queue
+ *
+ * Jobs survive restarts: a worker leases a job, renews the lease with a
+ * heartbeat while the handler runs and releases it when done. A job whose
+ * lease expires (the worker crashed or the server restarted) is picked up
+ * again by any worker until it runs out of attempts.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000');
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2');
+const DEFAULT_LEASE = parseInt(process.env.JOB_LEASE_MS || '60000');
+const DEFAULT_BACKOFF = parseInt(process.env.JOB_BACKOFF_MS || '10000');
+const MAX_BACKOFF = 30 * 60 * 1000;
+
+const handlers = {};
+const running = new Set();
+let pollTimer = null;
+let stopping = false;
+let polling = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type, e.g. application.deploy
+ * @param {function} handler - async (payload, job) => result, job.cancelled is set
+ *   once the job is cancelled while running. Errors with retryable === false fail
+ *   the job without using the remaining attempts.
+ * @param {object} options - { maxAttempts, leaseMs, backoffMs, onFailed(payload, error, job), recover() }
+ *   onFailed runs once the job has no attempts left, recover runs at startup to
+ *   clean up records left in progress without a job (e.g. from before the queue)
+ */
+export const registerJobHandler = (type, handler, options = {}) => {
+  handlers[type] = {
+    handler,
+    maxAttempts: options.maxAttempts || 3,
+    leaseMs: options.leaseMs || DEFAULT_LEASE,
+    backoffMs: options.backoffMs || DEFAULT_BACKOFF,
+    onFailed: options.onFailed || null,
+    recover: options.recover || null
+  };
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Registered job type
+ * @param {object} payload - Plain data for the handler (stored in MongoDB)
+ * @param {object} options - { organizationId, userId, maxAttempts, runAt, key }
+ *   where jobs with the same key never run at the same time
+ * @returns {Promise<object>} - The Job document
+ */
+export const enqueueJob = async (type, payload = {}, options = {}) => {
+  return Job.create({
+    type,
+    payload,
+    key: options.key || null,
+    organizationId: options.organizationId || null,
+    userId: options.userId || null,
+    maxAttempts: options.maxAttempts || handlers[type]?.maxAttempts || 3,
+    runAt: options.runAt || new Date()
+  });
+};
+
+/**
+ * Cancel queued or running jobs. Running handlers notice on their next heartbeat.
+ * @param {object} filter - Extra Job query, e.g. { type, 'payload.applicationId': id }
+ */
+export const cancelJobs = async (filter) => {
+  return Job.updateMany(
+    { ...filter, status: { $in: ['queued', 'running'] } },
+    {
+      $set: {
+        status: 'cancelled',
+        finishedAt: new Date(),
+        expiresAt: Job.retentionDate(),
+        lockedBy: null,
+        leaseExpiresAt: null
+      }
+    }
+  );
+};
+
+// Exponential backoff with jitter: backoff, 2x, 4x ... capped at 30 minutes
+const backoffDelay = (baseMs, attempt) => {
+  const delay = Math.min(baseMs * 2 ** (attempt - 1), MAX_BACKOFF);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const failJob = async (job, error) => {
+  const config = handlers[job.type];
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: job.lockedBy },
+    {
+      $set: {
+        status: 'failed',
+        lastError: error.message,
+        finishedAt: new Date(),
+        expiresAt: Job.retentionDate(),
+        lockedBy: null,
+        leaseExpiresAt: null
+      }
+    }
+  );
+
+  console.error(`❌ Job ${job.type} ${job._id} failed after ${job.attempts} attempt(s): ${error.message}`);
+
+  if (config?.onFailed) {
+    try {
+      await config.onFailed(job.payload, error, job);
+    } catch (hookError) {
+      console.error(`⚠️ onFailed hook for ${job.type} failed:`, hookError.message);
+    }
+  }
+};
+
+// Lease the next due job: queued jobs whose runAt has passed, or running jobs
+// whose worker stopped renewing the lease. Jobs whose key is held by a running
+// job wait their turn.
+const claimJob = async () => {
+  const now = new Date();
+  const types = Object.keys(handlers);
+  if (types.length === 0) return null;
+
+  const busyKeys = await Job.distinct('key', {
+    status: 'running',
+    leaseExpiresAt: { $gte: now },
+    key: { $ne: null }
+  });
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      key: { $nin: busyKeys },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', leaseExpiresAt: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: WORKER_ID,
+        leaseExpiresAt: new Date(now.getTime() + DEFAULT_LEASE),
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  ).lean();
+};
+
+const runJob = async (job) => {
+  const config = handlers[job.type];
+
+  if (job.attempts > job.maxAttempts) {
+    return failJob(job, new Error(job.lastError || 'Job was interrupted and has no attempts left'));
+  }
+
+  console.log(`⚙️  Running job ${job.type} ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+  // Heartbeat: renew the lease, stop renewing if the job was cancelled or taken over
+  const heartbeat = setInterval(async () => {
+    try {
+      const renewed = await Job.findOneAndUpdate(
+        { _id: job._id, lockedBy: WORKER_ID, status: 'running' },
+        { $set: { leaseExpiresAt: new Date(Date.now() + config.leaseMs) } }
+      );
+      if (!renewed) {
+        job.cancelled = true;
+        clearInterval(heartbeat);
+      }
+    } catch (error) {
+      console.error(`⚠️ Heartbeat for job ${job._id} failed:`, error.message);
+    }
+  }, Math.max(1000, Math.floor(config.leaseMs / 3)));
+
+  try {
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { leaseExpiresAt: new Date(Date.now() + config.leaseMs) } }
+    );
+
+    const result = await config.handler(job.payload, job);
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID, status: 'running' },
+      {
+        $set: {
+          status: 'completed',
+          result,
+          finishedAt: new Date(),
+          expiresAt: Job.retentionDate(),
+          lockedBy: null,
+          leaseExpiresAt: null
+        }
+      }
+    );
+    console.log(`✅ Job ${job.type} ${job._id} completed`);
+  } catch (error) {
+    if (job.cancelled) {
+      console.log(`⏹️ Job ${job.type} ${job._id} stopped after cancellation`);
+      return;
+    }
+
+    // Handlers mark errors that a retry cannot fix with retryable = false
+    if (job.attempts >= job.maxAttempts || error.retryable === false) {
+      return failJob(job, error);
+    }
+
+    const delay = backoffDelay(config.backoffMs, job.attempts);
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: {
+          status: 'queued',
+          runAt: new Date(Date.now() + delay),
+          lastError: error.message,
+          lockedBy: null,
+          leaseExpiresAt: null
+        },
+        $push: { failures: { attempt: job.attempts, message: error.message, failedAt: new Date() } }
+      }
+    );
+    console.error(`⚠️ Job ${job.type} ${job._id} attempt ${job.attempts} failed, retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+const poll = async () => {
+  if (stopping || polling) return;
+  polling = true;
+
+  try {
+    while (running.size < CONCURRENCY) {
+      const job = await claimJob();
+      if (!job) break;
+
+      const promise = runJob(job)
+        .catch(error => console.error(`❌ Job ${job._id} crashed the worker:`, error))
+        .finally(() => running.delete(promise));
+      running.add(promise);
+    }
+  } catch (error) {
+    console.error('⚠️ Job queue poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * Startup recovery. Jobs this host left running under a previous process get
+ * their lease expired so they are resumed (or failed when out of attempts)
+ * right away instead of after the lease runs out.
+ * @returns {Promise<number>} - Number of orphaned jobs found
+ */
+export const recoverJobs = async () => {
+  // Jobs leased by this host under an older pid can only be orphans
+  const orphaned = await Job.updateMany(
+    {
+      status: 'running',
+      lockedBy: { $regex: `^${os.hostname().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:`, $ne: WORKER_ID }
+    },
+    { $set: { leaseExpiresAt: new Date(0) } }
+  );
+
+  if (orphaned.modifiedCount > 0) {
+    console.log(`♻️ Recovering ${orphaned.modifiedCount} job(s) interrupted by a restart`);
+  }
+
+  for (const [type, config] of Object.entries(handlers)) {
+    if (!config.recover) continue;
+    try {
+      await config.recover();
+    } catch (error) {
+      console.error(`⚠️ Recovery for ${type} failed:`, error.message);
+    }
+  }
+
+  return orphaned.modifiedCount;
+};
+
+/**
+ * Start polling for jobs (JOB_CONCURRENCY at a time)
+ */
+export const startJobWorkers = () => {
+  if (pollTimer) return;
+
+  stopping = false;
+  pollTimer = setInterval(poll, POLL_INTERVAL);
+  pollTimer.unref();
+  poll();
+
+  console.log(`✅ Job workers started (${CONCURRENCY} concurrent, worker ${WORKER_ID})`);
+};
+
+/**
+ * Stop taking new jobs. Running jobs keep their lease until it expires.
+ */
+export const stopJobWorkers = () => {
+  stopping = true;
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+/**
+ * Whether any job of a type (or one of several types) is queued or running
+ * for the given payload filter
+ */
+export const hasActiveJob = async (type, payloadFilter = {}) => {
+  const filter = {
+    type: Array.isArray(type) ? { $in: type } : type,
+    status: { $in: ['queued', 'running'] }
+  };
+  for (const [key, value] of Object.entries(payloadFilter)) {
+    filter[`payload.${key}`] = value;
+  }
+  return !!(await Job.exists(filter));
+};
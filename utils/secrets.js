@@ -0,0 +1,108 @@
+import Secret from '../models/Secret.js';
+import AuditLog from '../models/AuditLog.js';
+
+/**
+ * Secret references in application env vars
+ *
+ * An env var whose value is secret://NAME gets the value of the application's
+ * secret NAME, or of the organization's when the application has none (preview
+ * environments also see their parent application's secrets, except previews of
+ * pull requests from forks, which only see their own). Values
+ * are decrypted only to hand them to AWS at deploy time.
+ */
+
+const SECRET_REFERENCE = /^secret:\/\/([A-Za-z_][A-Za-z0-9_]{0,127})$/;
+
+export const parseSecretReference = (value) => {
+  const match = typeof value === 'string' ? value.trim().match(SECRET_REFERENCE) : null;
+  return match ? match[1] : null;
+};
+
+/**
+ * Split env vars into plain values and secret references
+ * @param {Map|object} environment - runtime.environmentVariables
+ * @returns {object} - { plain: { KEY: value }, references: { KEY: SECRET_NAME } }
+ */
+export const splitEnvironment = (environment) => {
+  const entries = environment instanceof Map ? [...environment.entries()] : Object.entries(environment || {});
+  const plain = {};
+  const references = {};
+
+  for (const [key, value] of entries) {
+    const secretName = parseSecretReference(value);
+    if (secretName) {
+      references[key] = secretName;
+    } else {
+      plain[key] = value;
+    }
+  }
+
+  return { plain, references };
+};
+
+/**
+ * Decrypt the secrets referenced by env vars, recording a secret_accessed audit
+ * entry for each. Missing secrets fail the deploy (retrying does not help).
+ * @param {object} application - Application document
+ * @param {Map|object} environment - Env vars to resolve
+ * @param {object} actor - { userId, reason } for the audit entries
+ * @returns {Promise<object>} - { plain, secrets: { KEY: value } }
+ */
+export const resolveEnvironment = async (application, environment, actor = {}) => {
+  const { plain, references } = splitEnvironment(environment);
+  const names = [...new Set(Object.values(references))];
+
+  if (names.length === 0) {
+    return { plain, secrets: {} };
+  }
+
+  // Application secrets shadow the parent's (previews), which shadow the organization's
+  const rank = (secret) => !secret.applicationId ? 2 : secret.applicationId.equals(application._id) ? 0 : 1;
+  const found = await Secret.findForApplication(application, names);
+  const byName = new Map();
+  for (const secret of found) {
+    const current = byName.get(secret.name);
+    if (!current || rank(secret) < rank(current)) {
+      byName.set(secret.name, secret);
+    }
+  }
+
+  const missing = names.filter(name => !byName.has(name));
+  if (missing.length > 0) {
+    const error = new Error(`Secret(s) not found: ${missing.join(', ')}. Create them for the application or organization.`);
+    error.retryable = false;
+    throw error;
+  }
+
+  const secrets = {};
+  for (const [key, name] of Object.entries(references)) {
+    secrets[key] = byName.get(name).getValue();
+  }
+
+  const used = [...byName.values()];
+  await Secret.updateMany({ _id: { $in: used.map(secret => secret._id) } }, { $set: { lastAccessedAt: new Date() } });
+  for (const secret of used) {
+    await logSecretAccess(secret, application, actor);
+  }
+
+  return { plain, secrets };
+};
+
+const logSecretAccess = (secret, application, actor) => AuditLog.logAction({
+  organizationId: application.organizationId,
+  userId: actor.userId || null,
+  userEmail: actor.userEmail || 'system',
+  action: 'secret_accessed',
+  resourceType: 'secret',
+  resourceId: secret._id.toString(),
+  resourceName: secret.name,
+  ipAddress: 'internal',
+  status: 'success',
+  details: {
+    organizationId: application.organizationId?.toString(),
+    applicationId: application._id.toString(),
+    scope: secret.applicationId ? 'application' : 'organization',
+    version: secret.version,
+    reason: actor.reason || 'deploy'
+  }
+});
@@ -1,10 +1,15 @@
 import { exec, spawn, execSync } from 'child_process';
+import AWS from 'aws-sdk';
 import { promisify } from 'util';
-import { writeFile, mkdir, copyFile } from 'fs/promises';
+import { writeFile, mkdir, copyFile, readFile, readdir, rm } from 'fs/promises';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { fileURLToPath } from 'url';
+import { resolveTerraformBinary, getTerraformBinaryStatus } from './terraformBinary.js';
+import { getStateBackend, writeBackendFiles } from './terraformBackend.js';
+import { toTfvars } from './hcl.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,13 +17,15 @@ const __dirname = path.dirname(__filename);
 const execAsync = promisify(exec);
 
 // Cross-platform execution function
-const execTerraformCommand = (args, options) => {
+// options.allowedExitCodes: exit codes that are not failures (default [0])
+const execTerraformCommand = async (args, options) => {
+  // Resolved from TERRAFORM_BIN or PATH, fails with a clear message if missing
+  const { path: terraformExecutable } = await resolveTerraformBinary();
+  const { allowedExitCodes = [0], ...spawnOptions } = options;
+
   return new Promise((resolve, reject) => {
-    // Use terraform from specific Program Files path
-    const terraformExecutable = 'C:\\Program Files\\Terraform\\terraform.exe';
-    
     const child = spawn(terraformExecutable, args, {
-      ...options,
+      ...spawnOptions,
       stdio: ['pipe', 'pipe', 'pipe']
     });
     
@@ -34,8 +41,8 @@ const execTerraformCommand = (args, options) => {
     });
     
     child.on('close', (code) => {
-      if (code === 0) {
-        resolve({ stdout, stderr });
+      if (allowedExitCodes.includes(code)) {
+        resolve({ stdout, stderr, code });
       } else {
         const error = new Error(`Command failed with exit code ${code}`);
         error.code = code;
@@ -55,10 +62,8 @@ const TEMPLATE_DIR = path.join(__dirname, '../terraform/templates');
 
 const generateEC2TfVars = (config, awsCreds, userId) => {
   const tfvars = {
-    // AWS Credentials
+    // AWS Region (credentials are passed through the environment)
     aws_region: config.region || awsCreds.region,
-    aws_access_key: awsCreds.accessKey,
-    aws_secret_key: awsCreds.secretKey,
     
     // Deployment Metadata
     deployment_id: uuidv4(),
@@ -104,23 +109,7 @@ const generateEC2TfVars = (config, awsCreds, userId) => {
     }
   };
 
-  // Convert to Terraform variable format
-  let tfvarsContent = '';
-  for (const [key, value] of Object.entries(tfvars)) {
-    if (typeof value === 'string') {
-      tfvarsContent += `${key} = "${value}"\n`;
-    } else if (typeof value === 'boolean') {
-      tfvarsContent += `${key} = ${value}\n`;
-    } else if (typeof value === 'number') {
-      tfvarsContent += `${key} = ${value}\n`;
-    } else if (Array.isArray(value)) {
-      tfvarsContent += `${key} = ${JSON.stringify(value)}\n`;
-    } else if (typeof value === 'object') {
-      tfvarsContent += `${key} = ${JSON.stringify(value)}\n`;
-    }
-  }
-
-  return tfvarsContent;
+  return toTfvars(tfvars);
 };
 
 const generateS3TfVars = (config, awsCreds, userId) => {
@@ -137,10 +126,8 @@ const generateS3TfVars = (config, awsCreds, userId) => {
   }
   
   const tfvars = {
-    // AWS Credentials
+    // AWS Region (credentials are passed through the environment)
     aws_region: config.region || awsCreds.region,
-    aws_access_key: awsCreds.accessKey,
-    aws_secret_key: awsCreds.secretKey,
     
     // Basic Configuration
     bucket_name: uniqueBucketName,
@@ -189,25 +176,12 @@ const generateS3TfVars = (config, awsCreds, userId) => {
     enable_similarity_search: config.enableSimilaritySearch !== false
   };
 
-  let tfvarsContent = '';
-  for (const [key, value] of Object.entries(tfvars)) {
-    if (typeof value === 'string') {
-      tfvarsContent += `${key} = "${value}"\n`;
-    } else if (typeof value === 'boolean') {
-      tfvarsContent += `${key} = ${value}\n`;
-    } else if (typeof value === 'object' && value !== null) {
-      tfvarsContent += `${key} = ${JSON.stringify(value)}\n`;
-    }
-  }
-
-  return tfvarsContent;
+  return toTfvars(tfvars);
 };
 
 const generateIAMTfVars = (config, awsCreds, userId) => {
   const tfvars = {
     aws_region: awsCreds.region,
-    aws_access_key: awsCreds.accessKey,
-    aws_secret_key: awsCreds.secretKey,
     deployment_id: uuidv4(),
     created_by: userId || 'system',
     environment: 'production',
@@ -216,19 +190,141 @@ const generateIAMTfVars = (config, awsCreds, userId) => {
     additional_tags: {}
   };
 
+  return toTfvars(tfvars);
+};
+
+// Render the template and tfvars for a resource type into a workspace directory
+const renderWorkspace = async (workspacePath, resourceType, config, awsCredentials, userId) => {
+  await mkdir(workspacePath, { recursive: true });
+
   let tfvarsContent = '';
-  for (const [key, value] of Object.entries(tfvars)) {
-    if (typeof value === 'string') {
-      tfvarsContent += `${key} = "${value}"\n`;
-    } else if (typeof value === 'object') {
-      tfvarsContent += `${key} = ${JSON.stringify(value)}\n`;
+  let templateFile = '';
+
+  switch (resourceType) {
+    case 'ec2':
+      tfvarsContent = generateEC2TfVars(config, awsCredentials, userId);
+      templateFile = 'ec2.tf';
+      break;
+    case 's3':
+      tfvarsContent = generateS3TfVars(config, awsCredentials, userId);
+      templateFile = 's3.tf';
+      break;
+    case 'iam':
+      tfvarsContent = generateIAMTfVars(config, awsCredentials, userId);
+      templateFile = 'iam.tf';
+      break;
+    default:
+      throw new Error(`Unknown resource type: ${resourceType}`);
+  }
+
+  // Copy template file to workspace
+  const templatePath = path.join(TEMPLATE_DIR, templateFile);
+  await copyFile(templatePath, path.join(workspacePath, 'main.tf'));
+
+  // Write tfvars file
+  await writeFile(path.join(workspacePath, 'terraform.tfvars'), tfvarsContent);
+};
+
+// Exchange the account keys for a short-lived session when TERRAFORM_USE_STS is set
+const getSessionCredentials = async (awsCredentials) => {
+  if (process.env.TERRAFORM_USE_STS !== 'true' || awsCredentials.sessionToken) {
+    return awsCredentials;
+  }
+
+  const sts = new AWS.STS({
+    accessKeyId: awsCredentials.accessKey,
+    secretAccessKey: awsCredentials.secretKey,
+    region: awsCredentials.region
+  });
+
+  const { Credentials } = await sts.getSessionToken({
+    DurationSeconds: parseInt(process.env.TERRAFORM_STS_DURATION_SECONDS || '3600')
+  }).promise();
+
+  return {
+    accessKey: Credentials.AccessKeyId,
+    secretKey: Credentials.SecretAccessKey,
+    sessionToken: Credentials.SessionToken,
+    region: awsCredentials.region
+  };
+};
+
+// Environment for a Terraform child process. AWS credentials only ever reach
+// Terraform this way so nothing secret is written into the workspace.
+const buildTerraformEnv = async (awsCredentials, stateContext) => {
+  const env = { ...process.env, ...getStateBackend(stateContext).env };
+
+  // Never let the API's own AWS identity leak into a customer deployment
+  delete env.AWS_PROFILE;
+  delete env.AWS_SESSION_TOKEN;
+
+  if (awsCredentials) {
+    const credentials = await getSessionCredentials(awsCredentials);
+    env.AWS_ACCESS_KEY_ID = credentials.accessKey;
+    env.AWS_SECRET_ACCESS_KEY = credentials.secretKey;
+    if (credentials.sessionToken) {
+      env.AWS_SESSION_TOKEN = credentials.sessionToken;
+    }
+    if (credentials.region) {
+      env.AWS_REGION = credentials.region;
+      env.AWS_DEFAULT_REGION = credentials.region;
     }
   }
 
-  return tfvarsContent;
+  return env;
+};
+
+// Initialise a workspace against its state backend. Returns the environment
+// every later command in that workspace has to run with.
+const initWorkspace = async (workspacePath, stateContext, awsCredentials) => {
+  const backend = getStateBackend(stateContext);
+  const env = await buildTerraformEnv(awsCredentials, stateContext);
+
+  await writeBackendFiles(workspacePath, backend);
+  await execTerraformCommand(['init', '-input=false', ...backend.initArgs], {
+    cwd: workspacePath,
+    env
+  });
+
+  return { env, stateBackend: backend.name };
 };
 
-export const executeTerraform = async (resourceType, config, awsCredentials, userId = 'system') => {
+const PLAN_FILE = 'tfplan';
+
+const checksumPlan = (planFile) => crypto.createHash('sha256').update(planFile).digest('hex');
+
+// Reduce `terraform show -json` output to the resources a reviewer cares about
+export const summarizePlan = (planJson) => {
+  const summary = { add: 0, change: 0, destroy: 0 };
+
+  const resourceChanges = (planJson.resource_changes || [])
+    .filter(rc => rc.change.actions.some(action => !['no-op', 'read'].includes(action)))
+    .map(rc => {
+      const { actions, before, after } = rc.change;
+
+      if (actions.includes('create')) summary.add += 1;
+      if (actions.includes('update')) summary.change += 1;
+      if (actions.includes('delete')) summary.destroy += 1;
+
+      // Only list attribute names, values may be sensitive
+      const changedAttributes = actions.includes('update')
+        ? [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+            .filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+        : [];
+
+      return {
+        address: rc.address,
+        type: rc.type,
+        name: rc.name,
+        actions,
+        changedAttributes
+      };
+    });
+
+  return { summary, resourceChanges };
+};
+
+export const executeTerraform = async (resourceType, config, awsCredentials, userId = 'system', stateContext = null) => {
   const workspaceId = uuidv4();
   const workspacePath = path.join(WORKSPACE_DIR, workspaceId);
 
@@ -239,49 +335,22 @@ export const executeTerraform = async (resourceType, config, awsCredentials, use
     config: JSON.stringify(config, null, 2)
   });
 
-  try {
-    await mkdir(workspacePath, { recursive: true });
-
-    let tfvarsContent = '';
-    let templateFile = '';
-
-    switch (resourceType) {
-      case 'ec2':
-        tfvarsContent = generateEC2TfVars(config, awsCredentials, userId);
-        templateFile = 'ec2.tf';
-        break;
-      case 's3':
-        tfvarsContent = generateS3TfVars(config, awsCredentials, userId);
-        templateFile = 's3.tf';
-        break;
-      case 'iam':
-        tfvarsContent = generateIAMTfVars(config, awsCredentials, userId);
-        templateFile = 'iam.tf';
-        break;
-      default:
-        throw new Error(`Unknown resource type: ${resourceType}`);
-    }
+  let stateBackend;
 
-    // Copy template file to workspace
-    const templatePath = path.join(TEMPLATE_DIR, templateFile);
-    await copyFile(templatePath, path.join(workspacePath, 'main.tf'));
-
-    // Write tfvars file
-    await writeFile(path.join(workspacePath, 'terraform.tfvars'), tfvarsContent);
+  try {
+    await renderWorkspace(workspacePath, resourceType, config, awsCredentials, userId);
 
     // Initialize Terraform
-    await execTerraformCommand(['init'], { 
-      cwd: workspacePath,
-      env: { ...process.env }
-    });
+    const workspace = await initWorkspace(workspacePath, stateContext, awsCredentials);
+    stateBackend = workspace.stateBackend;
 
     // Apply Terraform
-    const { stdout, stderr } = await execTerraformCommand(['apply', '-auto-approve'], {
+    const { stdout, stderr } = await execTerraformCommand(['apply', '-auto-approve', '-input=false'], {
       cwd: workspacePath,
-      env: { ...process.env }
+      env: workspace.env
     });
 
-    return { success: true, output: stdout + stderr, workspaceId };
+    return { success: true, output: stdout + stderr, workspaceId, stateBackend };
   } catch (error) {
     console.error('🔥 Terraform execution failed:', error);
     console.error('🔍 Error details:', {
@@ -292,19 +361,126 @@ export const executeTerraform = async (resourceType, config, awsCredentials, use
       workspaceId: workspaceId
     });
     console.error('📁 Workspace path:', workspacePath);
-    console.error('🛠️ Terraform path:', 'C:\\Program Files\\Terraform\\terraform.exe');
-    return { success: false, error: error.message, workspaceId };
+    console.error('🛠️ Terraform binary:', getTerraformBinaryStatus());
+    return { success: false, error: error.message, workspaceId, stateBackend };
   }
 };
 
-export const destroyTerraform = async (workspaceId) => {
+// Render a workspace and save a plan without touching AWS resources.
+// The plan is applied later, unchanged, by applyTerraformPlan.
+export const planTerraform = async (resourceType, config, awsCredentials, userId = 'system', stateContext = null) => {
+  const workspaceId = uuidv4();
   const workspacePath = path.join(WORKSPACE_DIR, workspaceId);
 
+  console.log('📝 Starting Terraform plan:', { resourceType, workspaceId, workspacePath });
+
+  let stateBackend;
+
   try {
+    await renderWorkspace(workspacePath, resourceType, config, awsCredentials, userId);
+
+    const workspace = await initWorkspace(workspacePath, stateContext, awsCredentials);
+    stateBackend = workspace.stateBackend;
+
+    const { stdout, stderr } = await execTerraformCommand(['plan', '-input=false', `-out=${PLAN_FILE}`], {
+      cwd: workspacePath,
+      env: workspace.env
+    });
+
+    // Machine readable diff of the saved plan
+    const { stdout: planJson } = await execTerraformCommand(['show', '-json', PLAN_FILE], {
+      cwd: workspacePath,
+      env: workspace.env
+    });
+
+    const planFile = await readFile(path.join(workspacePath, PLAN_FILE));
+
+    return {
+      success: true,
+      output: stdout + stderr,
+      workspaceId,
+      stateBackend,
+      planFile,
+      checksum: checksumPlan(planFile),
+      ...summarizePlan(JSON.parse(planJson))
+    };
+  } catch (error) {
+    console.error('🔥 Terraform plan failed:', {
+      message: error.message,
+      code: error.code,
+      stderr: error.stderr,
+      workspaceId
+    });
+    return { success: false, error: error.stderr || error.message, workspaceId, stateBackend };
+  }
+};
+
+// Apply exactly the plan that was reviewed. The stored plan file is written back
+// to the workspace and its checksum verified before Terraform sees it.
+export const applyTerraformPlan = async (workspaceId, planFile, checksum, awsCredentials, stateContext = null) => {
+  const workspacePath = path.join(WORKSPACE_DIR, workspaceId);
+
+  try {
+    if (!fs.existsSync(path.join(workspacePath, 'main.tf'))) {
+      throw new Error('Plan workspace no longer exists, please create a new plan');
+    }
+
+    if (!planFile || checksumPlan(planFile) !== checksum) {
+      throw new Error('Saved plan failed checksum verification, please create a new plan');
+    }
+
+    await writeFile(path.join(workspacePath, PLAN_FILE), planFile);
+
+    const { stdout, stderr } = await execTerraformCommand(['apply', '-input=false', PLAN_FILE], {
+      cwd: workspacePath,
+      env: await buildTerraformEnv(awsCredentials, stateContext)
+    });
+
+    return { success: true, output: stdout + stderr, workspaceId };
+  } catch (error) {
+    console.error('🔥 Terraform apply of saved plan failed:', {
+      message: error.message,
+      stderr: error.stderr,
+      workspaceId
+    });
+    return { success: false, error: error.stderr || error.message, workspaceId };
+  }
+};
+
+// Initialise the workspace of an existing deployment, rebuilding it from the
+// deployment config when the directory is gone and the state is remote
+const prepareExistingWorkspace = async (workspaceId, options) => {
+  const workspacePath = path.join(WORKSPACE_DIR, workspaceId);
+  const { resourceType, config, awsCredentials, userId, stateContext = null } = options;
+
+  const backend = getStateBackend(stateContext);
+
+  if (!fs.existsSync(path.join(workspacePath, 'main.tf'))) {
+    if (backend.name === 'local' || !resourceType) {
+      throw new Error('Terraform workspace not found and no remote state is available');
+    }
+
+    console.log('♻️ Rebuilding Terraform workspace from remote state:', { workspaceId, resourceType });
+    await renderWorkspace(workspacePath, resourceType, config, awsCredentials, userId);
+  }
+
+  return initWorkspace(workspacePath, stateContext, awsCredentials);
+};
+
+// Destroy the resources of a workspace. With a remote state backend the
+// workspace is rebuilt from the deployment config when the directory is gone
+// (e.g. after a container restart).
+// options: { resourceType, config, awsCredentials, userId, stateContext }
+export const destroyTerraform = async (workspaceId, options = {}) => {
+  const workspacePath = path.join(WORKSPACE_DIR, workspaceId);
+
+  try {
+    const workspace = await prepareExistingWorkspace(workspaceId, options);
+
     // Destroy Terraform resources
-    const { stdout, stderr } = await execTerraformCommand(['destroy', '-auto-approve'], {
+    const { stdout, stderr } = await execTerraformCommand(['destroy', '-auto-approve', '-input=false'], {
       cwd: workspacePath,
-      env: { ...process.env }
+      env: workspace.env
     });
 
     return { success: true, output: stdout + stderr };
@@ -313,7 +489,90 @@ export const destroyTerraform = async (workspaceId) => {
   }
 };
 
-export const openSecurityGroupPort = async (securityGroupId, port, awsCredentials, description = 'Auto-opened by RaDynamics') => {
+const DRIFT_PLAN_FILE = 'drift.tfplan';
+const SENSITIVE_PLACEHOLDER = '(sensitive value)';
+
+// Replace values flagged in Terraform's *_sensitive structure
+const maskSensitive = (value, sensitive) => {
+  if (sensitive === true) {
+    return value === null || value === undefined ? value : SENSITIVE_PLACEHOLDER;
+  }
+  if (!sensitive || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) => maskSensitive(item, Array.isArray(sensitive) ? sensitive[index] : undefined));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, maskSensitive(item, sensitive[key])])
+  );
+};
+
+/**
+ * Summarize the resource_drift section of `terraform show -json`
+ * @param {object} planJson - Parsed refresh-only plan
+ * @returns {Array} - [{ address, type, name, actions, attributes: [{ name, before, after }] }]
+ */
+export const summarizeDrift = (planJson) => {
+  return (planJson.resource_drift || []).map(drift => {
+    const change = drift.change || {};
+    const before = maskSensitive(change.before, change.before_sensitive) || {};
+    const after = maskSensitive(change.after, change.after_sensitive) || {};
+
+    const attributes = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+      .map(key => ({ name: key, before: before[key], after: after[key] }));
+
+    return {
+      address: drift.address,
+      type: drift.type,
+      name: drift.name,
+      actions: change.actions || [],
+      attributes
+    };
+  });
+};
+
+// Compare the recorded state with the real resources without changing either.
+// options: { resourceType, config, awsCredentials, userId, stateContext }
+export const detectDrift = async (workspaceId, options = {}) => {
+  const workspacePath = path.join(WORKSPACE_DIR, workspaceId);
+  const planPath = path.join(workspacePath, DRIFT_PLAN_FILE);
+
+  try {
+    const workspace = await prepareExistingWorkspace(workspaceId, options);
+
+    // -detailed-exitcode: 0 = no changes, 2 = drift found, anything else failed
+    const { code } = await execTerraformCommand(
+      ['plan', '-refresh-only', '-detailed-exitcode', '-input=false', `-out=${DRIFT_PLAN_FILE}`],
+      { cwd: workspacePath, env: workspace.env, allowedExitCodes: [0, 2] }
+    );
+
+    if (code === 0) {
+      return { success: true, drifted: false, resources: [] };
+    }
+
+    const { stdout: planJson } = await execTerraformCommand(['show', '-json', DRIFT_PLAN_FILE], {
+      cwd: workspacePath,
+      env: workspace.env
+    });
+
+    const resources = summarizeDrift(JSON.parse(planJson));
+
+    return { success: true, drifted: resources.length > 0, resources };
+  } catch (error) {
+    console.error('🔥 Terraform drift check failed:', {
+      message: error.message,
+      stderr: error.stderr,
+      workspaceId
+    });
+    return { success: false, error: error.stderr || error.message };
+  } finally {
+    await rm(planPath, { force: true }).catch(() => {});
+  }
+};
+
+export const openSecurityGroupPort = async (securityGroupId, port, awsCredentials, description = 'Auto-opened by RaDynamics', stateContext = null) => {
   const workspaceId = uuidv4();
   const workspacePath = path.join(WORKSPACE_DIR, workspaceId);
 
@@ -329,21 +588,12 @@ export const openSecurityGroupPort = async (securityGroupId, port, awsCredential
     // Generate tfvars for security group rule
     const tfvars = {
       aws_region: awsCredentials.region || 'us-east-1',
-      aws_access_key: awsCredentials.accessKey,
-      aws_secret_key: awsCredentials.secretKey,
       security_group_id: securityGroupId,
       port: parseInt(port),
       description: description
     };
 
-    let tfvarsContent = '';
-    for (const [key, value] of Object.entries(tfvars)) {
-      if (typeof value === 'string') {
-        tfvarsContent += `${key} = "${value}"\n`;
-      } else if (typeof value === 'number') {
-        tfvarsContent += `${key} = ${value}\n`;
-      }
-    }
+    const tfvarsContent = toTfvars(tfvars);
 
     // Copy security group rule template to workspace
     const templatePath = path.join(TEMPLATE_DIR, 'security-group-rule.tf');
@@ -353,15 +603,12 @@ export const openSecurityGroupPort = async (securityGroupId, port, awsCredential
     await writeFile(path.join(workspacePath, 'terraform.tfvars'), tfvarsContent);
 
     // Initialize Terraform
-    await execTerraformCommand(['init'], { 
-      cwd: workspacePath,
-      env: { ...process.env }
-    });
+    const workspace = await initWorkspace(workspacePath, stateContext, awsCredentials);
 
     // Apply Terraform
-    const { stdout, stderr } = await execTerraformCommand(['apply', '-auto-approve'], {
+    const { stdout, stderr } = await execTerraformCommand(['apply', '-auto-approve', '-input=false'], {
       cwd: workspacePath,
-      env: { ...process.env }
+      env: workspace.env
     });
 
     console.log('✅ Security group port opened successfully');
@@ -398,3 +645,65 @@ export const openSecurityGroupPort = async (securityGroupId, port, awsCredential
     };
   }
 };
+
+const SECRET_TFVARS = /^\s*aws_(access_key|secret_key|session_token)\s*=.*$/gm;
+
+// Keeps workspaces created before credentials moved to the environment usable:
+// their main.tf still declares the credential variables without defaults
+const LEGACY_CREDENTIALS_OVERRIDE = `# Added by the workspace secret migration. Credentials now come from AWS_*
+# environment variables, a null value makes the provider fall back to them.
+variable "aws_access_key" {
+  default = null
+}
+
+variable "aws_secret_key" {
+  default = null
+}
+`;
+
+/**
+ * Startup migration - remove AWS secrets from existing workspaces
+ * @returns {Promise<object>} - { scanned, redacted, plansRemoved } workspace IDs
+ */
+export const redactWorkspaceSecrets = async () => {
+  const result = { scanned: 0, redacted: [], plansRemoved: [] };
+
+  if (!fs.existsSync(WORKSPACE_DIR)) {
+    return result;
+  }
+
+  const entries = await readdir(WORKSPACE_DIR, { withFileTypes: true });
+
+  for (const entry of entries.filter(e => e.isDirectory())) {
+    const workspacePath = path.join(WORKSPACE_DIR, entry.name);
+    const tfvarsPath = path.join(workspacePath, 'terraform.tfvars');
+    result.scanned += 1;
+
+    try {
+      if (!fs.existsSync(tfvarsPath)) continue;
+
+      const tfvars = await readFile(tfvarsPath, 'utf8');
+      if (!tfvars.match(SECRET_TFVARS)) continue;
+
+      await writeFile(tfvarsPath, tfvars.replace(SECRET_TFVARS, '').replace(/\n{2,}/g, '\n'));
+
+      const mainTf = await readFile(path.join(workspacePath, 'main.tf'), 'utf8').catch(() => '');
+      if (mainTf.includes('variable "aws_access_key"')) {
+        await writeFile(path.join(workspacePath, 'credentials_override.tf'), LEGACY_CREDENTIALS_OVERRIDE);
+      }
+
+      // Saved plans embed every variable value, including the old credentials
+      const planPath = path.join(workspacePath, PLAN_FILE);
+      if (fs.existsSync(planPath)) {
+        await rm(planPath, { force: true });
+        result.plansRemoved.push(entry.name);
+      }
+
+      result.redacted.push(entry.name);
+    } catch (error) {
+      console.error(`⚠️ Failed to redact secrets in workspace ${entry.name}:`, error.message);
+    }
+  }
+
+  return result;
+};
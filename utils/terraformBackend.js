@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { writeFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Terraform state backends
+ *
+ * Each backend describes how a workspace is initialised: extra files to write,
+ * arguments for `terraform init` and environment for every command run in it.
+ * Secrets only ever travel through the environment so they never land in the
+ * workspace directory or in .terraform/terraform.tfstate.
+ */
+
+const getStateSecret = () => process.env.TERRAFORM_STATE_SECRET || process.env.JWT_SECRET;
+
+const getStateAddress = () => {
+  return (process.env.TERRAFORM_STATE_ADDRESS || `http://127.0.0.1:${process.env.PORT || 5000}/api/terraform/state`)
+    .replace(/\/$/, '');
+};
+
+/**
+ * Password Terraform presents to the state API for one organization/state key
+ */
+export const getStateToken = (organizationId, stateKey) => {
+  return crypto
+    .createHmac('sha256', getStateSecret())
+    .update(`${organizationId}:${stateKey}`)
+    .digest('hex');
+};
+
+/**
+ * Timing-safe check of a state API password
+ */
+export const verifyStateToken = (organizationId, stateKey, token) => {
+  if (!token) return false;
+
+  const expected = Buffer.from(getStateToken(organizationId, stateKey));
+  const provided = Buffer.from(String(token));
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+const backends = {
+  // State stays in the workspace directory (legacy behaviour)
+  local: () => ({
+    name: 'local',
+    files: {},
+    initArgs: [],
+    env: {}
+  }),
+
+  // State served by this app from MongoDB/GridFS (routes/terraform-state.js)
+  http: ({ organizationId, stateKey }) => {
+    const address = `${getStateAddress()}/${organizationId}/${stateKey}`;
+
+    return {
+      name: 'http',
+      files: {
+        'backend.tf': 'terraform {\n  backend "http" {}\n}\n'
+      },
+      initArgs: [
+        `-backend-config=address=${address}`,
+        `-backend-config=lock_address=${address}`,
+        `-backend-config=unlock_address=${address}`
+      ],
+      env: {
+        TF_HTTP_USERNAME: 'terraform',
+        TF_HTTP_PASSWORD: getStateToken(organizationId, stateKey)
+      }
+    };
+  }
+};
+
+/**
+ * Register an additional backend
+ * @param {string} name - Backend name, selectable via TERRAFORM_STATE_BACKEND
+ * @param {function} factory - ({ organizationId, stateKey }) => { name, files, initArgs, env }
+ */
+export const registerStateBackend = (name, factory) => {
+  backends[name] = factory;
+};
+
+/**
+ * Resolve the backend for a workspace
+ * @param {object} stateContext - { backend, organizationId, stateKey }
+ */
+export const getStateBackend = (stateContext = null) => {
+  const hasKey = !!(stateContext?.organizationId && stateContext?.stateKey);
+
+  // Remote backends need an organization/state key, anything else stays local
+  const name = stateContext?.backend || (hasKey ? (process.env.TERRAFORM_STATE_BACKEND || 'http') : 'local');
+
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown Terraform state backend: ${name}`);
+  }
+
+  if (name !== 'local' && !hasKey) {
+    throw new Error(`Terraform state backend "${name}" requires an organization and state key`);
+  }
+
+  return factory({
+    organizationId: stateContext?.organizationId?.toString(),
+    stateKey: stateContext?.stateKey?.toString()
+  });
+};
+
+/**
+ * Write the backend files into a workspace
+ */
+export const writeBackendFiles = async (workspacePath, backend) => {
+  for (const [fileName, content] of Object.entries(backend.files)) {
+    await writeFile(path.join(workspacePath, fileName), content);
+  }
+};
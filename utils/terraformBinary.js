@@ -0,0 +1,153 @@
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fs from 'fs';
+import path from 'path';
+
+const execFileAsync = promisify(execFile);
+
+const MIN_TERRAFORM_VERSION = process.env.TERRAFORM_MIN_VERSION || '1.0.0';
+
+// Previous hard-coded location, still checked on Windows hosts
+const LEGACY_WINDOWS_PATH = 'C:\\Program Files\\Terraform\\terraform.exe';
+
+let resolvedBinary = null;
+let lastError = null;
+
+const isExecutableFile = (filePath) => {
+  try {
+    const mode = process.platform === 'win32' ? fs.constants.F_OK : fs.constants.X_OK;
+    fs.accessSync(filePath, mode);
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+};
+
+// Look a command up on PATH the same way a shell would (PATHEXT on Windows)
+const searchPath = (command) => {
+  const extensions = process.platform === 'win32'
+    ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+    : [''];
+  const directories = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  for (const directory of directories) {
+    for (const extension of extensions) {
+      const candidate = path.join(directory, command + extension);
+      if (isExecutableFile(candidate)) {
+        return candidate;
+      }
+    }
+  }
+
+  return null;
+};
+
+const findTerraformBinary = () => {
+  const configured = process.env.TERRAFORM_BIN;
+
+  if (configured) {
+    // Either a path to the binary or a bare command name to look up on PATH
+    if (configured.includes('/') || configured.includes('\\')) {
+      if (isExecutableFile(configured)) {
+        return path.resolve(configured);
+      }
+      throw new Error(`TERRAFORM_BIN is set to "${configured}" but no executable file exists there`);
+    }
+
+    const found = searchPath(configured);
+    if (found) {
+      return found;
+    }
+    throw new Error(`TERRAFORM_BIN is set to "${configured}" but it was not found on PATH`);
+  }
+
+  const found = searchPath('terraform');
+  if (found) {
+    return found;
+  }
+
+  if (process.platform === 'win32' && isExecutableFile(LEGACY_WINDOWS_PATH)) {
+    return LEGACY_WINDOWS_PATH;
+  }
+
+  throw new Error('Terraform binary not found on PATH. Install Terraform or set TERRAFORM_BIN to its location');
+};
+
+const compareVersions = (a, b) => {
+  const left = a.split('-')[0].split('.').map(Number);
+  const right = b.split('-')[0].split('.').map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+};
+
+/**
+ * Locate the Terraform binary and verify its version
+ * @param {object} options - { refresh: true } to ignore the cached result
+ * @returns {Promise<object>} - { path, version, platform, outdated }
+ */
+export const resolveTerraformBinary = async ({ refresh = false } = {}) => {
+  if (resolvedBinary && !refresh) {
+    return resolvedBinary;
+  }
+
+  try {
+    const binaryPath = findTerraformBinary();
+
+    let versionInfo;
+    try {
+      const { stdout } = await execFileAsync(binaryPath, ['version', '-json'], { timeout: 30000 });
+      versionInfo = JSON.parse(stdout);
+    } catch (error) {
+      throw new Error(`Could not run "${binaryPath} version -json": ${error.message}`);
+    }
+
+    const version = versionInfo.terraform_version;
+    if (!version || compareVersions(version, MIN_TERRAFORM_VERSION) < 0) {
+      throw new Error(`Terraform ${version || 'unknown'} at ${binaryPath} is older than the required ${MIN_TERRAFORM_VERSION}`);
+    }
+
+    resolvedBinary = {
+      path: binaryPath,
+      version,
+      platform: versionInfo.platform,
+      outdated: !!versionInfo.terraform_outdated
+    };
+    lastError = null;
+
+    return resolvedBinary;
+  } catch (error) {
+    resolvedBinary = null;
+    lastError = error.message;
+    throw error;
+  }
+};
+
+/**
+ * Last known resolver result, for health endpoints
+ */
+export const getTerraformBinaryStatus = () => {
+  if (resolvedBinary) {
+    return { available: true, ...resolvedBinary };
+  }
+  return { available: false, error: lastError || 'Terraform binary has not been checked yet' };
+};
+
+/**
+ * Startup health check - logs a clear error instead of failing mid-deployment
+ */
+export const checkTerraformHealth = async () => {
+  try {
+    const terraform = await resolveTerraformBinary({ refresh: true });
+    console.log(`✅ Terraform ${terraform.version} found at ${terraform.path}`);
+  } catch (error) {
+    console.error('❌ TERRAFORM HEALTH CHECK FAILED:', error.message);
+    console.error('📝 EC2/S3/IAM deployments will fail until Terraform is available');
+    console.error(`   Install Terraform >= ${MIN_TERRAFORM_VERSION} or set TERRAFORM_BIN`);
+  }
+
+  return getTerraformBinaryStatus();
+};